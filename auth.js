@@ -1,22 +1,92 @@
 // Authentication System for SevaSetu
+const NGO_INVITE_KEY = 'sevasetu_ngo_invite';
+
 class AuthSystem {
     constructor() {
         this.currentUser = null;
-        this.otpData = null;
+        this.resetToken = null;
+        this.verificationEmail = null;
+        this.successMessage = null;
         this.otpTimer = null;
+        this.twoFactorToken = null;
+        this.rememberLogin = false;
         this.init();
     }
 
-    init() {
-        // Check if user is already logged in
-        const savedUser = localStorage.getItem('sevasetu_user');
-        if (savedUser) {
-            this.currentUser = JSON.parse(savedUser);
+    async init() {
+        // Dashboards load this file for logout; only the auth page has forms
+        if (!document.getElementById('login-form')) {
+            return;
         }
 
         // Initialize event listeners
         this.initEventListeners();
-        
+        this.loadSsoProviders();
+
+        // Password reset links from email land here with a token
+        const resetToken = new URLSearchParams(window.location.search).get('resetToken');
+        if (resetToken) {
+            this.resetToken = resetToken;
+            this.showResetPassword();
+            return;
+        }
+
+        // Unlock links from the account locked email
+        const unlockToken = new URLSearchParams(window.location.search).get('unlockToken');
+        if (unlockToken) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+            await this.unlockAccount(unlockToken);
+            return;
+        }
+
+        // Single sign-on returns here with a one-time code, or an error to show
+        const ssoParams = new URLSearchParams(window.location.search);
+        if (ssoParams.has('ssoCode') || ssoParams.has('ssoError')) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+            this.showLogin();
+            if (ssoParams.has('ssoCode')) {
+                await this.completeSsoLogin(ssoParams.get('ssoCode'));
+            } else {
+                this.showError(ssoParams.get('ssoError'));
+            }
+            return;
+        }
+
+        // NGO team invitations are accepted once the invitee is signed in
+        const inviteToken = new URLSearchParams(window.location.search).get('ngoInvite');
+        if (inviteToken) {
+            sessionStorage.setItem(NGO_INVITE_KEY, inviteToken);
+            window.history.replaceState({}, document.title, window.location.pathname);
+
+            const user = await verifySession();
+            if (user && user.isVerified) {
+                this.currentUser = user;
+                if (await this.acceptPendingInvite()) {
+                    return;
+                }
+            }
+        }
+
+        // Accounts whose role requires 2FA are sent here until they enrol
+        if (new URLSearchParams(window.location.search).has('setup2fa')) {
+            const user = await verifySession();
+            if (user && user.twoFactor && !user.twoFactor.enabled) {
+                this.currentUser = user;
+                this.showTwoFactorSetup();
+                return;
+            }
+        }
+
+        // Dashboards send unverified accounts back here to enter their code
+        if (new URLSearchParams(window.location.search).has('verify')) {
+            const user = await verifySession();
+            if (user && !user.isVerified) {
+                this.currentUser = user;
+                this.showOTPVerification(user.email);
+                return;
+            }
+        }
+
         // Show login form by default
         this.showLogin();
     }
@@ -51,6 +121,28 @@ class AuthSystem {
         if (forgotForm) {
             forgotForm.addEventListener('submit', (e) => this.handleForgotPassword(e));
         }
+
+        // Reset password form
+        const resetForm = document.getElementById('resetPasswordForm');
+        if (resetForm) {
+            resetForm.addEventListener('submit', (e) => this.handleResetPassword(e));
+        }
+
+        // Two-factor login and setup forms
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        if (twoFactorForm) {
+            twoFactorForm.addEventListener('submit', (e) => this.handleTwoFactorLogin(e));
+        }
+
+        const twoFactorPasswordForm = document.getElementById('twoFactorPasswordForm');
+        if (twoFactorPasswordForm) {
+            twoFactorPasswordForm.addEventListener('submit', (e) => this.handleTwoFactorSetup(e));
+        }
+
+        const twoFactorEnableForm = document.getElementById('twoFactorEnableForm');
+        if (twoFactorEnableForm) {
+            twoFactorEnableForm.addEventListener('submit', (e) => this.handleTwoFactorEnable(e));
+        }
     }
 
     // Show different forms
@@ -75,8 +167,12 @@ class AuthSystem {
 
     showOTPVerification(email) {
         this.hideAllForms();
+        this.verificationEmail = email;
         document.getElementById('otp-verification-form').classList.remove('hidden');
         document.getElementById('otpEmail').textContent = email;
+        document.querySelectorAll('.otp-input').forEach(input => {
+            input.value = '';
+        });
         this.startOTPTimer();
     }
 
@@ -85,42 +181,213 @@ class AuthSystem {
         document.getElementById('forgot-password-form').classList.remove('hidden');
     }
 
-    showSuccess(message) {
+    showResetPassword() {
+        this.hideAllForms();
+        document.getElementById('reset-password-form').classList.remove('hidden');
+    }
+
+    showTwoFactorLogin() {
+        this.hideAllForms();
+        document.getElementById('two-factor-form').classList.remove('hidden');
+        document.getElementById('twoFactorForm').reset();
+        this.toggleRecoveryCode(false);
+    }
+
+    // Switch the second login step between app codes and recovery codes
+    toggleRecoveryCode(useRecovery = document.getElementById('recoveryCodeGroup').classList.contains('hidden')) {
+        document.getElementById('twoFactorCodeGroup').classList.toggle('hidden', useRecovery);
+        document.getElementById('recoveryCodeGroup').classList.toggle('hidden', !useRecovery);
+        document.getElementById('recoveryToggle').textContent = useRecovery
+            ? 'Use your authenticator app instead'
+            : 'Use a recovery code instead';
+    }
+
+    showTwoFactorSetup() {
+        this.hideAllForms();
+        document.getElementById('two-factor-setup-form').classList.remove('hidden');
+        document.getElementById('twoFactorPasswordForm').classList.remove('hidden');
+        document.getElementById('twoFactorEnableForm').classList.add('hidden');
+        document.getElementById('twoFactorRecovery').classList.add('hidden');
+    }
+
+    showSuccess(message, title = 'Registration Successful!') {
         this.hideAllForms();
         document.getElementById('success-message').classList.remove('hidden');
+        document.getElementById('successTitle').textContent = title;
         document.getElementById('successText').textContent = message;
     }
 
     hideAllForms() {
         const forms = [
             'login-form', 'register-options', 'volunteer-register-form', 
-            'ngo-register-form', 'otp-verification-form', 'forgot-password-form', 'success-message'
+            'ngo-register-form', 'otp-verification-form', 'forgot-password-form',
+            'reset-password-form', 'two-factor-form', 'two-factor-setup-form',
+            'success-message'
         ];
         forms.forEach(formId => {
             document.getElementById(formId).classList.add('hidden');
         });
     }
 
+    // Store the session returned by login/register
+    startSession(data, remember = false) {
+        saveAuthSession(data, remember);
+        this.currentUser = {
+            ...data.user,
+            ngo: data.ngo || null,
+            twoFactor: { ...data.user.twoFactor, setupRequired: Boolean(data.twoFactorSetupRequired) }
+        };
+    }
+
+    // Start the session and send the user on once login has fully succeeded
+    async finishLogin(data, remember) {
+        this.startSession(data, remember);
+        if (this.currentUser.isVerified && await this.acceptPendingInvite()) {
+            return;
+        }
+        this.redirectToDashboard();
+    }
+
     // Handle login
     async handleLogin(e) {
         e.preventDefault();
         const formData = new FormData(e.target);
-        const email = formData.get('email');
-        const password = formData.get('password');
 
         try {
-            // Simulate API call
-            const user = await this.simulateLogin(email, password);
-            
-            if (user) {
-                this.currentUser = user;
-                localStorage.setItem('sevasetu_user', JSON.stringify(user));
-                this.redirectToDashboard();
-            } else {
-                this.showError('Invalid email or password');
+            const { data } = await apiRequest('/auth/login', {
+                method: 'POST',
+                body: {
+                    email: formData.get('email'),
+                    password: formData.get('password')
+                }
+            });
+
+            const remember = formData.get('remember') === 'on';
+
+            // Accounts with 2FA need a code before a session is issued
+            if (data.requiresTwoFactor) {
+                this.twoFactorToken = data.twoFactorToken;
+                this.rememberLogin = remember;
+                this.showTwoFactorLogin();
+                return;
+            }
+
+            await this.finishLogin(data, remember);
+        } catch (error) {
+            this.showError([401, 423].includes(error.status) ? error.message : 'Login failed. Please try again.');
+        }
+    }
+
+    // Show a button for each configured single sign-on provider
+    async loadSsoProviders() {
+        try {
+            const { data } = await apiRequest('/auth/oidc/providers');
+            const container = document.getElementById('ssoProviderButtons');
+            container.innerHTML = '';
+
+            data.providers.forEach(provider => {
+                const link = document.createElement('a');
+                link.className = 'btn btn-outline btn-full';
+                link.href = `${API_BASE_URL}/auth/oidc/${encodeURIComponent(provider.id)}/login`;
+                link.textContent = provider.name;
+                container.appendChild(link);
+            });
+
+            document.getElementById('ssoProviders').classList.toggle('hidden', data.providers.length === 0);
+        } catch (error) {
+            console.error('Failed to load sign-in providers:', error);
+        }
+    }
+
+    // Swap the code from the single sign-on redirect for a session
+    async completeSsoLogin(code) {
+        try {
+            const { data } = await apiRequest('/auth/oidc/exchange', {
+                method: 'POST',
+                body: { code }
+            });
+
+            if (data.requiresTwoFactor) {
+                this.twoFactorToken = data.twoFactorToken;
+                this.rememberLogin = false;
+                this.showTwoFactorLogin();
+                return;
             }
+
+            await this.finishLogin(data, false);
         } catch (error) {
-            this.showError('Login failed. Please try again.');
+            this.showError([401, 423].includes(error.status) ? error.message : 'Single sign-on failed. Please try again.');
+        }
+    }
+
+    // Handle the second login step
+    async handleTwoFactorLogin(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const useRecovery = !document.getElementById('recoveryCodeGroup').classList.contains('hidden');
+
+        const body = { twoFactorToken: this.twoFactorToken };
+        if (useRecovery) {
+            body.recoveryCode = formData.get('recoveryCode').trim();
+        } else {
+            body.code = formData.get('code').trim();
+        }
+
+        try {
+            const { data } = await apiRequest('/auth/login/2fa', { method: 'POST', body });
+            this.twoFactorToken = null;
+            await this.finishLogin(data, this.rememberLogin);
+        } catch (error) {
+            this.showError(this.formatApiError(error, 'Verification failed. Please try again.'));
+        }
+    }
+
+    // Confirm the password and show the authenticator QR code
+    async handleTwoFactorSetup(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+
+        try {
+            const { data } = await apiRequest('/auth/2fa/setup', {
+                method: 'POST',
+                body: { password: formData.get('password') }
+            });
+
+            e.target.reset();
+            e.target.classList.add('hidden');
+            document.getElementById('twoFactorQr').src = data.qrCode;
+            document.getElementById('twoFactorSecret').textContent = data.secret;
+            document.getElementById('twoFactorEnableForm').classList.remove('hidden');
+        } catch (error) {
+            this.showError(this.formatApiError(error, 'Failed to start two-factor setup. Please try again.'));
+        }
+    }
+
+    // Confirm enrolment with a first code and show the recovery codes
+    async handleTwoFactorEnable(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+
+        try {
+            const { data } = await apiRequest('/auth/2fa/enable', {
+                method: 'POST',
+                body: { code: formData.get('code').trim() }
+            });
+
+            this.currentUser.twoFactor = { enabled: true, setupRequired: false };
+
+            const list = document.getElementById('recoveryCodeList');
+            list.innerHTML = '';
+            data.recoveryCodes.forEach(code => {
+                const item = document.createElement('li');
+                item.textContent = code;
+                list.appendChild(item);
+            });
+
+            e.target.classList.add('hidden');
+            document.getElementById('twoFactorRecovery').classList.remove('hidden');
+        } catch (error) {
+            this.showError(this.formatApiError(error, 'Invalid code. Please try again.'));
         }
     }
 
@@ -136,22 +403,24 @@ class AuthSystem {
 
         const userData = {
             role: 'volunteer',
-            firstName: formData.get('firstName'),
-            lastName: formData.get('lastName'),
+            name: `${formData.get('firstName')} ${formData.get('lastName')}`.trim(),
             email: formData.get('email'),
             phone: formData.get('phone'),
             password: formData.get('password'),
-            skills: formData.getAll('skills'),
-            availability: formData.get('availability')
+            skills: formData.getAll('skills').map(name => ({ name }))
         };
 
         try {
-            // Send OTP
-            await this.sendOTP(userData.email);
-            this.otpData = userData;
+            const { data } = await apiRequest('/auth/register', {
+                method: 'POST',
+                body: userData
+            });
+
+            this.startSession(data);
+            this.successMessage = 'Welcome to SevaSetu! You can now start volunteering for causes you care about.';
             this.showOTPVerification(userData.email);
         } catch (error) {
-            this.showError('Registration failed. Please try again.');
+            this.showError(this.formatApiError(error, 'Registration failed. Please try again.'));
         }
     }
 
@@ -165,28 +434,60 @@ class AuthSystem {
             return;
         }
 
-        const userData = {
-            role: 'ngo',
-            organizationName: formData.get('organizationName'),
+        const email = formData.get('email');
+        const ngoData = {
+            name: formData.get('organizationName'),
             registrationNumber: formData.get('registrationNumber'),
-            contactPerson: formData.get('contactPerson'),
-            designation: formData.get('designation'),
-            email: formData.get('email'),
-            phone: formData.get('phone'),
-            website: formData.get('website'),
-            address: formData.get('address'),
+            legalStatus: formData.get('legalStatus'),
+            email,
+            contactPerson: {
+                name: formData.get('contactPerson'),
+                designation: formData.get('designation'),
+                phone: formData.get('phone'),
+                email
+            },
+            address: {
+                street: formData.get('address'),
+                city: formData.get('city'),
+                state: formData.get('state'),
+                zipCode: formData.get('zipCode')
+            },
             focusAreas: formData.getAll('focusAreas'),
             description: formData.get('description'),
-            password: formData.get('password')
+            mission: formData.get('mission')
         };
 
+        const website = formData.get('website');
+        if (website) {
+            ngoData.website = website;
+        }
+
         try {
-            // Send OTP
-            await this.sendOTP(userData.email);
-            this.otpData = userData;
-            this.showOTPVerification(userData.email);
+            // The organisation is linked to the account that registers it, so
+            // create the login first. A retry after a failed NGO step reuses it.
+            if (!(this.currentUser && this.currentUser.role === 'ngo' && !this.currentUser.ngo)) {
+                const { data } = await apiRequest('/auth/register', {
+                    method: 'POST',
+                    body: {
+                        role: 'ngo',
+                        name: ngoData.name,
+                        email,
+                        password: formData.get('password')
+                    }
+                });
+                this.startSession(data);
+            }
+
+            const { data: { ngo } } = await apiRequest('/auth/register-ngo', {
+                method: 'POST',
+                body: ngoData
+            });
+
+            this.currentUser.ngo = { id: ngo.id, name: ngo.name, verificationStatus: ngo.status, memberRole: 'owner' };
+            this.successMessage = 'Welcome to SevaSetu! Your NGO registration is under review. You will be notified once approved.';
+            this.showOTPVerification(email);
         } catch (error) {
-            this.showError('Registration failed. Please try again.');
+            this.showError(this.formatApiError(error, 'Registration failed. Please try again.'));
         }
     }
 
@@ -197,29 +498,83 @@ class AuthSystem {
         const otpInputs = document.querySelectorAll('.otp-input');
         const otp = Array.from(otpInputs).map(input => input.value).join('');
         
-        if (otp.length !== 6) {
+        if (!/^\d{6}$/.test(otp)) {
             this.showError('Please enter the complete 6-digit code');
             return;
         }
 
         try {
-            const isValid = await this.verifyOTP(this.otpData.email, otp);
-            
-            if (isValid) {
-                // Complete registration
-                await this.completeRegistration(this.otpData);
-                this.clearOTPTimer();
-                
-                const message = this.otpData.role === 'volunteer' 
-                    ? 'Welcome to SevaSetu! You can now start volunteering for causes you care about.'
-                    : 'Welcome to SevaSetu! Your NGO registration is under review. You will be notified once approved.';
-                
-                this.showSuccess(message);
-            } else {
-                this.showError('Invalid OTP. Please try again.');
+            await apiRequest('/auth/verify-email', {
+                method: 'POST',
+                body: { email: this.verificationEmail, otp }
+            });
+
+            this.clearOTPTimer();
+            if (this.currentUser) {
+                this.currentUser.isVerified = true;
             }
+            if (await this.acceptPendingInvite()) {
+                return;
+            }
+            
+            this.showSuccess(this.successMessage || 'Your email has been verified.', 'Email Verified!');
+        } catch (error) {
+            this.showError(this.formatApiError(error, 'Verification failed. Please try again.'));
+        }
+    }
+
+    // Lift a sign-in lockout using the emailed link
+    async unlockAccount(token) {
+        try {
+            const { message } = await apiRequest('/auth/unlock', {
+                method: 'POST',
+                body: { token }
+            });
+            this.showSuccess(message, 'Account Unlocked');
         } catch (error) {
-            this.showError('Verification failed. Please try again.');
+            this.showLogin();
+            this.showError(this.formatApiError(error, 'Failed to unlock your account. Please try again.'));
+        }
+    }
+
+    // Join the NGO team from an invitation link opened before signing in
+    async acceptPendingInvite() {
+        const token = sessionStorage.getItem(NGO_INVITE_KEY);
+        if (!token) {
+            return false;
+        }
+        sessionStorage.removeItem(NGO_INVITE_KEY);
+
+        try {
+            const { message } = await apiRequest('/ngos/invitations/accept', {
+                method: 'POST',
+                body: { token }
+            });
+
+            // Membership can change the account's role and NGO
+            this.currentUser = await verifySession() || this.currentUser;
+            this.showSuccess(message, 'Invitation Accepted');
+            return true;
+        } catch (error) {
+            this.showError(this.formatApiError(error, 'Failed to accept the invitation.'));
+            return false;
+        }
+    }
+
+    // Request a fresh verification code
+    async resendOTP() {
+        if (!this.verificationEmail) {
+            return;
+        }
+
+        try {
+            await apiRequest('/auth/resend-verification', {
+                method: 'POST',
+                body: { email: this.verificationEmail }
+            });
+            this.startOTPTimer();
+        } catch (error) {
+            this.showError(this.formatApiError(error, 'Failed to resend code. Please try again.'));
         }
     }
 
@@ -227,17 +582,62 @@ class AuthSystem {
     async handleForgotPassword(e) {
         e.preventDefault();
         const formData = new FormData(e.target);
-        const email = formData.get('email');
 
         try {
-            await this.sendPasswordResetEmail(email);
-            this.showSuccess('Password reset link sent to your email');
+            await apiRequest('/auth/forgot-password', {
+                method: 'POST',
+                body: { email: formData.get('email') }
+            });
+            this.showSuccess('Password reset link sent to your email', 'Check Your Inbox');
         } catch (error) {
-            this.showError('Failed to send reset link. Please try again.');
+            this.showError(this.formatApiError(error, 'Failed to send reset link. Please try again.'));
+        }
+    }
+
+    // Handle reset password
+    async handleResetPassword(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const password = formData.get('password');
+
+        if (password !== formData.get('confirmPassword')) {
+            this.showError('Passwords do not match');
+            return;
+        }
+
+        const passwordProblem = this.checkPassword(password);
+        if (passwordProblem) {
+            this.showError(passwordProblem);
+            return;
+        }
+
+        try {
+            await apiRequest('/auth/reset-password', {
+                method: 'POST',
+                body: { token: this.resetToken, password }
+            });
+
+            // Drop the token from the address bar so it isn't reused or bookmarked
+            window.history.replaceState({}, document.title, window.location.pathname);
+            this.resetToken = null;
+            this.showSuccess('Your password has been reset. Please sign in with your new password.', 'Password Updated');
+        } catch (error) {
+            this.showError(this.formatApiError(error, 'Failed to reset password. Please try again.'));
         }
     }
 
     // Validation functions
+    // Quick client-side check; the server also rejects breached and reused passwords
+    checkPassword(password) {
+        if (password.length < 8) {
+            return 'Password must be at least 8 characters long';
+        }
+        if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+            return 'Password must contain both letters and numbers';
+        }
+        return null;
+    }
+
     validateVolunteerForm(formData) {
         const password = formData.get('password');
         const confirmPassword = formData.get('confirmPassword');
@@ -247,8 +647,9 @@ class AuthSystem {
             return false;
         }
         
-        if (password.length < 8) {
-            this.showError('Password must be at least 8 characters long');
+        const passwordProblem = this.checkPassword(password);
+        if (passwordProblem) {
+            this.showError(passwordProblem);
             return false;
         }
         
@@ -265,8 +666,9 @@ class AuthSystem {
             return false;
         }
         
-        if (password.length < 8) {
-            this.showError('Password must be at least 8 characters long');
+        const passwordProblem = this.checkPassword(password);
+        if (passwordProblem) {
+            this.showError(passwordProblem);
             return false;
         }
         
@@ -275,130 +677,32 @@ class AuthSystem {
             return false;
         }
         
-        return true;
-    }
-
-    // Simulate API calls
-    async simulateLogin(email, password) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Check stored users
-        const users = JSON.parse(localStorage.getItem('sevasetu_users') || '[]');
-        const user = users.find(u => u.email === email && u.password === password);
-        
-        if (user) {
-            return {
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                name: user.role === 'volunteer' 
-                    ? `${user.firstName} ${user.lastName}` 
-                    : user.organizationName,
-                isVerified: user.isVerified,
-                isApproved: user.isApproved || user.role === 'volunteer'
-            };
-        }
-        
-        return null;
-    }
-
-    async sendOTP(email) {
-        // Simulate sending OTP
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Generate random 6-digit OTP
-        const otp = Math.floor(100000 + Math.random() * 900000).toString();
-        
-        // Store OTP (in real app, this would be stored on server)
-        localStorage.setItem(`otp_${email}`, JSON.stringify({
-            code: otp,
-            timestamp: Date.now(),
-            expires: Date.now() + 5 * 60 * 1000 // 5 minutes
-        }));
-        
-        // Simulate email sending
-        console.log(`OTP sent to ${email}: ${otp}`);
-        alert(`OTP sent to ${email}: ${otp} (This is for demo purposes)`);
-        
-        return true;
-    }
-
-    async verifyOTP(email, otp) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        const storedOTP = JSON.parse(localStorage.getItem(`otp_${email}`) || '{}');
-        
-        if (!storedOTP.code) {
+        if (formData.get('description').trim().length < 50) {
+            this.showError('Organization description must be at least 50 characters');
             return false;
         }
         
-        if (Date.now() > storedOTP.expires) {
-            localStorage.removeItem(`otp_${email}`);
+        if (formData.get('mission').trim().length < 20) {
+            this.showError('Mission statement must be at least 20 characters');
             return false;
         }
         
-        if (storedOTP.code === otp) {
-            localStorage.removeItem(`otp_${email}`);
-            return true;
-        }
-        
-        return false;
-    }
-
-    async completeRegistration(userData) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Get existing users
-        const users = JSON.parse(localStorage.getItem('sevasetu_users') || '[]');
-        
-        // Create new user
-        const newUser = {
-            id: Date.now().toString(),
-            ...userData,
-            isVerified: true,
-            isApproved: userData.role === 'volunteer', // Volunteers auto-approved, NGOs need manual approval
-            registeredAt: new Date().toISOString()
-        };
-        
-        // Remove password from stored data (in real app, hash it)
-        delete newUser.password;
-        
-        users.push(newUser);
-        localStorage.setItem('sevasetu_users', JSON.stringify(users));
-        
-        // Set current user
-        this.currentUser = {
-            id: newUser.id,
-            email: newUser.email,
-            role: newUser.role,
-            name: newUser.role === 'volunteer' 
-                ? `${newUser.firstName} ${newUser.lastName}` 
-                : newUser.organizationName,
-            isVerified: newUser.isVerified,
-            isApproved: newUser.isApproved
-        };
-        
-        localStorage.setItem('sevasetu_user', JSON.stringify(this.currentUser));
-        
-        return newUser;
+        return true;
     }
 
-    async sendPasswordResetEmail(email) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // In real app, send actual email
-        console.log(`Password reset email sent to ${email}`);
-        
-        return true;
+    // Turn an API error into a single readable message
+    formatApiError(error, fallback) {
+        if (error.errors && error.errors.length > 0) {
+            return error.errors.map(err => err.msg).join('. ');
+        }
+        return error.status && error.status < 500 ? error.message : fallback;
     }
 
     // OTP Timer functions
     startOTPTimer() {
-        let timeLeft = 300; // 5 minutes in seconds
+        this.clearOTPTimer();
+
+        let timeLeft = 600; // codes expire after 10 minutes
         const timerElement = document.getElementById('otpTimer');
         
         this.otpTimer = setInterval(() => {
@@ -447,44 +751,37 @@ class AuthSystem {
     }
 
     redirectToDashboard() {
-        if (this.currentUser) {
-            if (this.currentUser.role === 'volunteer') {
-                window.location.href = 'volunteer-dashboard.html';
-            } else if (this.currentUser.role === 'ngo') {
-                if (this.currentUser.isApproved) {
-                    window.location.href = 'ngo-dashboard.html';
-                } else {
-                    window.location.href = 'pending-approval.html';
-                }
-            }
+        if (!this.currentUser) {
+            this.showLogin();
+            return;
         }
+
+        window.location.href = getDashboardUrl(this.currentUser);
     }
 
-    logout() {
+    async logout() {
         this.currentUser = null;
-        localStorage.removeItem('sevasetu_user');
+        await logoutSession();
         window.location.href = 'index.html';
     }
 
-    // Check if user is authenticated and has access
-    checkAccess(requiredRole = null) {
+    // Check with the server that the user is authenticated and has access
+    async checkAccess(requiredRole = null) {
+        this.currentUser = await verifySession();
+
         if (!this.currentUser) {
             window.location.href = 'auth.html';
             return false;
         }
         
-        if (!this.currentUser.isVerified) {
-            window.location.href = 'auth.html';
-            return false;
-        }
-        
         if (requiredRole && this.currentUser.role !== requiredRole) {
             window.location.href = 'unauthorized.html';
             return false;
         }
         
-        if (this.currentUser.role === 'ngo' && !this.currentUser.isApproved) {
-            window.location.href = 'pending-approval.html';
+        const dashboardUrl = getDashboardUrl(this.currentUser);
+        if (!this.currentUser.isVerified || (this.currentUser.role === 'ngo' && dashboardUrl !== 'ngo-dashboard.html')) {
+            window.location.href = dashboardUrl;
             return false;
         }
         
@@ -531,10 +828,11 @@ function moveToNext(current, index) {
 }
 
 function resendOTP() {
-    if (authSystem.otpData) {
-        authSystem.sendOTP(authSystem.otpData.email);
-        authSystem.startOTPTimer();
-    }
+    authSystem.resendOTP();
+}
+
+function toggleRecoveryCode() {
+    authSystem.toggleRecoveryCode();
 }
 
 function redirectToDashboard() {
@@ -0,0 +1,84 @@
+// Shift check-in page. The QR code shown at the venue links here with a
+// short-lived token; the volunteer's location is sent along so shifts with a
+// geofence can check they are on site.
+
+const LOCATION_TIMEOUT_MS = 10000;
+
+function showCheckInMessage(message) {
+    document.getElementById('checkInMessage').textContent = message;
+}
+
+function showCheckInError(message) {
+    document.getElementById('checkInErrorText').textContent = message;
+    document.getElementById('checkInError').classList.remove('hidden');
+}
+
+function hideCheckInError() {
+    document.getElementById('checkInError').classList.add('hidden');
+}
+
+// The device's position, or null when it isn't available or the volunteer declines
+function getCurrentLocation() {
+    if (!navigator.geolocation) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+        navigator.geolocation.getCurrentPosition(
+            position => resolve({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+            () => resolve(null),
+            { enableHighAccuracy: true, timeout: LOCATION_TIMEOUT_MS, maximumAge: 0 }
+        );
+    });
+}
+
+function formatTime(value) {
+    return new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+async function recordAttendance(action, token) {
+    const buttons = document.querySelectorAll('#checkInActions button');
+    buttons.forEach(button => { button.disabled = true; });
+    hideCheckInError();
+    showCheckInMessage('Getting your location...');
+
+    try {
+        const location = await getCurrentLocation();
+        showCheckInMessage(action === 'check-in' ? 'Checking you in...' : 'Checking you out...');
+
+        const { message, data } = await apiRequest(`/shifts/${action}`, {
+            method: 'POST',
+            body: { token, ...(location || {}) }
+        });
+
+        document.getElementById('checkInActions').classList.add('hidden');
+        showCheckInMessage(action === 'check-in'
+            ? `${message} at ${formatTime(data.checkedInAt)}. Scan the code again when you leave to check out.`
+            : `${message} at ${formatTime(data.checkedOutAt)}. ${data.hours} hours have been added to your timesheet.`);
+    } catch (error) {
+        showCheckInMessage('Your attendance was not recorded.');
+        showCheckInError(error.message);
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+        showCheckInMessage('Scan the QR code shown at your shift to check in or out.');
+        return;
+    }
+
+    const user = await verifySession();
+    if (!user) {
+        showCheckInMessage('Log in to SevaSetu, then scan the code on display again.');
+        document.getElementById('checkInLogin').classList.remove('hidden');
+        return;
+    }
+
+    showCheckInMessage(`Hi ${user.name}, are you arriving or leaving?`);
+    document.getElementById('checkInActions').classList.remove('hidden');
+    document.getElementById('checkInButton').addEventListener('click', () => recordAttendance('check-in', token));
+    document.getElementById('checkOutButton').addEventListener('click', () => recordAttendance('check-out', token));
+});
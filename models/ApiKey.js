@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Keys start with this so they can be told apart from JWTs
+const KEY_PREFIX = 'sk_';
+
+// What a partner integration may do with a key
+const SCOPES = {
+  'projects:read': 'Read public projects',
+  'ngos:read': 'Read public NGO profiles',
+  'tasks:read': 'Read tasks visible to the key owner',
+  'applications:write': 'Submit volunteer applications to projects'
+};
+
+const DEFAULT_RATE_LIMIT = 60; // requests per minute
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // First characters of the key, shown so owners can tell keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: Object.keys(SCOPES)
+  }],
+  // Keys managed by an NGO team; platform keys created by admins have none
+  ngo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO'
+  },
+  // The key acts with this user's permissions, narrowed to its scopes
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rateLimit: {
+    type: Number,
+    default: DEFAULT_RATE_LIMIT,
+    min: 1,
+    max: 1000
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // A freshly created key still holds its hash in memory; never send it
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+apiKeySchema.index({ ngo: 1, createdAt: -1 });
+apiKeySchema.index({ createdBy: 1 });
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Create a key; the plain key is returned once and only its hash is stored
+apiKeySchema.statics.generate = async function(fields) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await this.create({
+    ...fields,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key)
+  });
+
+  return { apiKey, key };
+};
+
+// Find the active key for a plain key presented with a request
+apiKeySchema.statics.findActiveByKey = async function(key) {
+  const apiKey = await this.findOne({ keyHash: hashKey(key), revokedAt: null });
+  return apiKey && apiKey.isActive ? apiKey : null;
+};
+
+apiKeySchema.statics.isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+// Method to note a request made with the key
+apiKeySchema.methods.recordUse = function(ip) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+  );
+};
+
+apiKeySchema.methods.revoke = function(userId) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// Revoke the keys a user created for an NGO, e.g. when they leave its team
+apiKeySchema.statics.revokeCreatedBy = function(ngoId, creatorId, userId) {
+  return this.updateMany(
+    { ngo: ngoId, createdBy: creatorId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: userId } }
+  );
+};
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Append-only record of privileged actions (admin moderation, NGO team decisions)
+const auditLogSchema = new mongoose.Schema({
+  // Empty for actions taken by the system itself, e.g. scheduled jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  // The user whose account the actor was using, for actions taken while impersonating
+  impersonating: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Named like permission actions, e.g. `ngo:verify`
+  action: {
+    type: String,
+    required: true
+  },
+  resource: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    label: String
+  },
+  // Only the fields that changed, as they were before and after the action
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'resource.type': 1, 'resource.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+
+// Entries can be written once and never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+// Plain, comparable values for a document's paths
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+auditLogSchema.statics.snapshot = function(doc, paths) {
+  return paths.reduce((snapshot, path) => {
+    snapshot[path] = toPlain(doc.get(path));
+    return snapshot;
+  }, {});
+};
+
+// Keep only the keys whose value differs between two snapshots
+const diffSnapshots = (before = {}, after = {}) => {
+  const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(toPlain(before[key])) !== JSON.stringify(toPlain(after[key])));
+
+  return {
+    before: Object.fromEntries(changed.map(key => [key, toPlain(before[key])])),
+    after: Object.fromEntries(changed.map(key => [key, toPlain(after[key])]))
+  };
+};
+
+const describeTarget = (target) => {
+  if (!target) return undefined;
+  if (!target.constructor || !target.constructor.modelName) return target;
+
+  return {
+    type: target.constructor.modelName,
+    id: target._id,
+    label: target.title || target.name || target.key
+  };
+};
+
+// Record an action taken while handling a request (or by the system when req is null).
+// Failures are logged rather than thrown so the action itself is not undone.
+auditLogSchema.statics.record = async function(req, { action, target, before, after, details }) {
+  try {
+    const user = req && req.user;
+    const actor = (req && req.impersonator) || user;
+    return await this.create({
+      actor: actor ? actor._id : undefined,
+      actorRole: actor ? actor.role : 'system',
+      impersonating: req && req.impersonator ? user._id : undefined,
+      action,
+      resource: describeTarget(target),
+      changes: before || after ? diffSnapshots(before, after) : undefined,
+      details,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? (req.get('User-Agent') || '').slice(0, 500) : undefined
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log entry for ${action}:`, error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Unambiguous characters for public certificate IDs (no 0/O or 1/I)
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// e.g. SEVA-7KQ2-M9XD-4HTP
+const generateCertificateId = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map(byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+  return `SEVA-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+// Proof of service for a volunteer who completed a project. What the certificate
+// says is copied in when it is issued, so later edits to the project, NGO or
+// template don't change a certificate someone has already shown to others.
+const certificateSchema = new mongoose.Schema({
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: generateCertificateId
+  },
+  volunteer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  ngo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NGO',
+    required: true
+  },
+  volunteerName: {
+    type: String,
+    required: true
+  },
+  projectTitle: {
+    type: String,
+    required: true
+  },
+  ngoName: {
+    type: String,
+    required: true
+  },
+  role: String,
+  // Approved hours on the project when the certificate was issued
+  hours: {
+    type: Number,
+    default: 0
+  },
+  serviceStart: Date,
+  serviceEnd: Date,
+  template: {
+    title: String,
+    body: String,
+    accentColor: String,
+    signatoryName: String,
+    signatoryTitle: String,
+    footer: String
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'revoked'],
+    default: 'valid'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
+  // Set when this certificate was reissued, e.g. after more hours were approved
+  replacedBy: String
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+certificateSchema.index({ volunteer: 1, issuedAt: -1 });
+certificateSchema.index({ project: 1, volunteer: 1, status: 1 });
+
+certificateSchema.methods.revoke = function(reason, revokedBy = null) {
+  if (this.status === 'revoked') {
+    throw new Error('Certificate is already revoked');
+  }
+
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  this.revocationReason = reason;
+};
+
+// What anyone holding the certificate ID may see
+certificateSchema.methods.toVerification = function() {
+  return {
+    certificateId: this.certificateId,
+    valid: this.status === 'valid',
+    status: this.status,
+    volunteerName: this.volunteerName,
+    projectTitle: this.projectTitle,
+    ngoName: this.ngoName,
+    role: this.role,
+    hours: this.hours,
+    serviceStart: this.serviceStart,
+    serviceEnd: this.serviceEnd,
+    issuedAt: this.issuedAt,
+    revokedAt: this.revokedAt,
+    revocationReason: this.revocationReason,
+    replacedBy: this.replacedBy
+  };
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
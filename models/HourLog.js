@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Shift = require('./Shift');
+
+// Periods hours can be summarised by, as $dateToString formats
+const SUMMARY_PERIODS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+// A volunteer's timesheet entry. Only approved hours count towards the
+// volunteer's project and profile totals; `creditedHours` is what has been
+// added to them so far, so a changed decision only applies the difference.
+const hourLogSchema = new mongoose.Schema({
+  volunteer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // The day the work was done, stored as midnight UTC
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  hours: {
+    type: Number,
+    required: [true, 'Hours are required'],
+    min: [0.01, 'Hours must be more than 0'],
+    // Completed tasks may report the hours of several days at once
+    validate: {
+      validator: function(value) {
+        return this.source === 'task' || value <= 24;
+      },
+      message: 'Cannot log more than 24 hours in a day'
+    }
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // Logged by the volunteer, from a completed task, or from checked shift attendance
+  source: {
+    type: String,
+    enum: ['manual', 'task', 'attendance'],
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Hours the NGO approved, which may differ from the hours logged
+  approvedHours: {
+    type: Number,
+    min: 0
+  },
+  review: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    note: String
+  },
+  creditedHours: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+hourLogSchema.index({ volunteer: 1, date: -1 });
+hourLogSchema.index({ project: 1, status: 1, date: -1 });
+hourLogSchema.index({ shift: 1, volunteer: 1 }, { unique: true, partialFilterExpression: { shift: { $exists: true } } });
+
+// Virtual for whether the NGO approved different hours than were logged
+hourLogSchema.virtual('adjusted').get(function() {
+  return this.status === 'approved' && this.approvedHours !== this.hours;
+});
+
+// Approve (with `hours` when adjusting) or reject the entry
+hourLogSchema.methods.decide = function(decision, { by, note, hours } = {}) {
+  this.status = decision;
+  this.approvedHours = decision === 'approved' ? (hours !== undefined ? hours : this.hours) : undefined;
+  this.review = { by, at: new Date(), note };
+};
+
+// Save the entry and bring the volunteer's totals in line with its approved hours
+hourLogSchema.methods.applyCredit = async function() {
+  const target = this.status === 'approved' ? this.approvedHours : 0;
+  const delta = Math.round((target - this.creditedHours) * 100) / 100;
+
+  // Save first: a failure after this under-counts hours rather than counting them twice
+  this.creditedHours = target;
+  await this.save();
+
+  if (delta !== 0) {
+    await mongoose.model('Project').updateOne(
+      { _id: this.project, 'volunteers.user': this.volunteer },
+      { $inc: { 'volunteers.$.hoursContributed': delta } }
+    );
+    await mongoose.model('User').updateOne(
+      { _id: this.volunteer },
+      { $inc: { 'statistics.hoursVolunteered': delta } }
+    );
+  }
+  return delta;
+};
+
+// Keep the approved entry for a volunteer's shift attendance in step with their checked hours
+hourLogSchema.statics.recordShiftHours = async function(shift, userId, hours, reviewedBy = null) {
+  let entry = await this.findOne({ shift: shift._id, volunteer: userId });
+  if (!entry) {
+    if (!hours) return null;
+    const [year, month, day] = shift.date.split('-').map(Number);
+    entry = new this({
+      volunteer: userId,
+      project: shift.project._id || shift.project,
+      shift: shift._id,
+      date: new Date(Date.UTC(year, month - 1, day)),
+      description: `Shift: ${shift.title}`,
+      source: 'attendance'
+    });
+  }
+
+  if (hours) {
+    entry.hours = hours;
+    entry.decide('approved', { by: reviewedBy, note: reviewedBy ? 'Attendance corrected' : 'Checked attendance' });
+  } else {
+    entry.decide('rejected', { by: reviewedBy, note: 'No attended time' });
+  }
+
+  await entry.applyCredit();
+  return entry;
+};
+
+// Hours per period, split by status, for entries matching `match`
+hourLogSchema.statics.summarize = function(match, period = 'month', { byVolunteer = false } = {}) {
+  const key = { period: { $dateToString: { format: SUMMARY_PERIODS[period], date: '$date', timezone: 'UTC' } } };
+  if (byVolunteer) key.volunteer = '$volunteer';
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: key,
+        entries: { $sum: 1 },
+        loggedHours: { $sum: '$hours' },
+        approvedHours: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, '$approvedHours', 0] } },
+        pendingHours: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$hours', 0] } },
+        rejectedHours: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, '$hours', 0] } }
+      }
+    },
+    { $sort: { '_id.period': 1 } }
+  ]);
+};
+
+// Local calendar day of an instant, as stored in `date`
+hourLogSchema.statics.dayOf = (instant) => new Date(Shift.toLocalDate(instant));
+
+hourLogSchema.statics.SUMMARY_PERIODS = SUMMARY_PERIODS;
+
+module.exports = mongoose.model('HourLog', hourLogSchema);
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { pointForAddress } = require('../utils/geo');
+
+// What each NGO team role is allowed to do on the organisation's behalf
+const MEMBER_PERMISSIONS = {
+  owner: ['view', 'manage-projects', 'manage-tasks', 'manage-volunteers', 'manage-members'],
+  coordinator: ['view', 'manage-projects', 'manage-tasks', 'manage-volunteers'],
+  viewer: ['view']
+};
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const ngoSchema = new mongoose.Schema({
   name: {
@@ -58,6 +71,21 @@ const ngoSchema = new mongoose.Schema({
     country: {
       type: String,
       default: 'India'
+    },
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
+    // GeoJSON copy of the coordinates (or the PIN code's, when none are given) for geo queries
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   description: {
@@ -228,6 +256,87 @@ const ngoSchema = new mongoose.Schema({
       }
     }]
   },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: Object.keys(MEMBER_PERMISSIONS),
+      default: 'viewer'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  invitations: [{
+    email: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    role: {
+      type: String,
+      enum: ['coordinator', 'viewer'],
+      default: 'coordinator'
+    },
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expires: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Wording and look of the certificates volunteers receive; empty fields use the defaults
+  certificateTemplate: {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Certificate title cannot exceed 100 characters']
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Certificate text cannot exceed 1000 characters']
+    },
+    accentColor: {
+      type: String,
+      match: [/^#[\da-f]{6}$/i, 'Accent colour must be a hex colour such as #667eea']
+    },
+    signatoryName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Signatory name cannot exceed 100 characters']
+    },
+    signatoryTitle: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Signatory title cannot exceed 100 characters']
+    },
+    footer: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Footer cannot exceed 200 characters']
+    }
+  },
   followers: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -276,6 +385,96 @@ ngoSchema.index({ 'verification.status': 1 });
 ngoSchema.index({ focusAreas: 1 });
 ngoSchema.index({ isActive: 1 });
 ngoSchema.index({ 'rating.average': -1 });
+ngoSchema.index({ owner: 1 });
+ngoSchema.index({ 'members.user': 1 });
+ngoSchema.index({ 'invitations.tokenHash': 1 });
+ngoSchema.index({ 'address.point': '2dsphere' });
+ngoSchema.index({
+  name: 'text',
+  focusAreas: 'text',
+  mission: 'text',
+  'address.city': 'text',
+  description: 'text'
+}, {
+  name: 'ngo_search',
+  weights: { name: 10, focusAreas: 5, mission: 3, 'address.city': 3, description: 1 }
+});
+
+// Keep the GeoJSON point in step with the address
+ngoSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    this.set('address.point', pointForAddress(this.address));
+  }
+  next();
+});
+
+// NGOs anyone may find through search
+ngoSchema.statics.publicFilter = () => ({
+  'verification.status': 'verified',
+  isActive: true
+});
+
+// Static to find the NGOs a user belongs to
+ngoSchema.statics.findByMember = function(userId) {
+  return this.find({ 'members.user': userId });
+};
+
+// Static to find the NGO holding a pending invitation token
+ngoSchema.statics.findByInvitationToken = function(token) {
+  return this.findOne({
+    'invitations.tokenHash': hashInvitationToken(token),
+    'invitations.expires': { $gt: new Date() }
+  });
+};
+
+// Method to get a user's team role in this NGO (null if not a member)
+ngoSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.user && (m.user._id || m.user).equals(userId));
+  return member ? member.role : null;
+};
+
+// Method to check whether a member may perform an action for this NGO
+ngoSchema.methods.hasMemberPermission = function(userId, permission) {
+  const role = this.getMemberRole(userId);
+  return Boolean(role && MEMBER_PERMISSIONS[role].includes(permission));
+};
+
+// Method to add or update a team member
+ngoSchema.methods.setMember = function(userId, role, addedBy = null) {
+  const member = this.members.find(m => m.user.equals(userId));
+  if (member) {
+    member.role = role;
+  } else {
+    this.members.push({ user: userId, role, addedBy });
+  }
+
+  if (role === 'owner') {
+    this.owner = userId;
+  }
+};
+
+// Method to invite someone by email; returns the plain token for the invitation link
+ngoSchema.methods.createInvitation = function(email, role, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Replace any earlier invitation for the same address
+  this.invitations = this.invitations.filter(inv => inv.email !== email.toLowerCase());
+  this.invitations.push({
+    email,
+    role,
+    tokenHash: hashInvitationToken(token),
+    invitedBy,
+    expires: new Date(Date.now() + INVITATION_TTL)
+  });
+
+  return token;
+};
+
+// Method to find a pending invitation by its plain token
+ngoSchema.methods.getInvitation = function(token) {
+  const tokenHash = hashInvitationToken(token);
+  return this.invitations.find(inv => inv.tokenHash === tokenHash && inv.expires > new Date());
+};
 
 // Method to update statistics
 ngoSchema.methods.updateStatistics = async function() {
@@ -297,16 +496,34 @@ ngoSchema.methods.updateStatistics = async function() {
             $cond: [{ $eq: ['$status', 'completed'] }, 1, 0]
           }
         },
-        totalVolunteers: { $sum: '$volunteers.length' },
-        totalBeneficiaries: { $sum: '$impact.beneficiaries' }
+        // Volunteers who took part, not everyone who applied
+        totalVolunteers: {
+          $sum: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$volunteers', []] },
+                cond: { $in: ['$$this.status', ['accepted', 'completed']] }
+              }
+            }
+          }
+        },
+        totalBeneficiaries: { $sum: { $ifNull: ['$impact.beneficiaries.direct', 0] } },
+        totalFundsRaised: { $sum: { $ifNull: ['$funding.raised', 0] } }
       }
     }
   ]);
   
-  if (stats.length > 0) {
-    this.statistics = { ...this.statistics, ...stats[0] };
-    await this.save();
-  }
+  // An NGO whose projects were all removed goes back to zero
+  const { _id, ...totals } = stats[0] || {
+    totalProjects: 0,
+    activeProjects: 0,
+    completedProjects: 0,
+    totalVolunteers: 0,
+    totalBeneficiaries: 0,
+    totalFundsRaised: 0
+  };
+  Object.entries(totals).forEach(([key, value]) => this.set(`statistics.${key}`, value));
+  await this.save();
 };
 
 // Method to add review
@@ -331,4 +548,6 @@ ngoSchema.methods.addReview = function(userId, rating, comment) {
   return this.save();
 };
 
+ngoSchema.statics.MEMBER_PERMISSIONS = MEMBER_PERMISSIONS;
+
 module.exports = mongoose.model('NGO', ngoSchema);
\ No newline at end of file
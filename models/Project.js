@@ -1,4 +1,197 @@
 const mongoose = require('mongoose');
+const { pointForAddress } = require('../utils/geo');
+
+// Statuses every project shares; each project adds its own screening stages
+const VOLUNTEER_STATUSES = [
+  'applied', 'accepted', 'rejected', 'withdrawn', 'completed', 'dropped',
+  'waitlisted', 'offered', 'expired'
+];
+// How long a waitlisted volunteer has to confirm an open spot
+const WAITLIST_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS, 10) || 48;
+const DEFAULT_APPLICATION_STAGES = [
+  { key: 'screening', label: 'Screening' },
+  { key: 'interview', label: 'Interview' }
+];
+const QUESTION_TYPES = ['text', 'textarea', 'select', 'multiselect', 'boolean', 'number'];
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+// Whether an unmet requirement stops an application or is only shown as a warning
+const ENFORCEMENT = {
+  type: String,
+  enum: ['block', 'warn'],
+  default: 'warn'
+};
+const MAX_ANSWER_LENGTH = 2000;
+
+const PROJECT_STATUSES = [
+  'draft', 'pending-approval', 'rejected', 'approved', 'active', 'on-hold',
+  'completion-review', 'completed', 'cancelled'
+];
+// Project lifecycle. Each event moves a project from one of `from` to `to`.
+// 'approved' is kept for projects approved before approval opened them directly
+// and moves on like an active project until `npm run migrate:approved-projects`
+// makes them active. Projects past their end date are moved to
+// 'completion-review' by the scheduler (the `end` event) until the NGO wraps them up.
+const PROJECT_TRANSITIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'pending-approval' },
+  approve: { from: ['pending-approval'], to: 'active' },
+  reject: { from: ['pending-approval'], to: 'rejected', requiresReason: true },
+  pause: { from: ['approved', 'active'], to: 'on-hold' },
+  resume: { from: ['on-hold', 'completion-review'], to: 'active' },
+  end: { from: ['approved', 'active', 'on-hold'], to: 'completion-review' },
+  complete: { from: ['approved', 'active', 'on-hold', 'completion-review'], to: 'completed' },
+  cancel: {
+    from: ['draft', 'pending-approval', 'rejected', 'approved', 'active', 'on-hold', 'completion-review'],
+    to: 'cancelled',
+    requiresReason: true
+  }
+};
+
+const applicationQuestionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Question label is required'],
+    trim: true,
+    maxlength: [300, 'Question label cannot exceed 300 characters']
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'text'
+  },
+  // Choices for select and multiselect questions
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Option cannot exceed 100 characters']
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Help text cannot exceed 300 characters']
+  }
+});
+
+const volunteerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  joinedDate: {
+    type: Date,
+    default: Date.now
+  },
+  // One of VOLUNTEER_STATUSES or a key from the project's applicationStages
+  status: {
+    type: String,
+    default: 'applied',
+    validate: {
+      validator: function(status) {
+        return VOLUNTEER_STATUSES.includes(status) || this.ownerDocument().getScreeningStageKeys().includes(status);
+      },
+      message: props => `${props.value} is not a valid volunteer status for this project`
+    }
+  },
+  role: {
+    type: String,
+    default: 'volunteer'
+  },
+  hoursContributed: {
+    type: Number,
+    default: 0
+  },
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  feedback: {
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    comment: String,
+    date: Date
+  },
+  // Set while the volunteer is queued because the project was full
+  waitlistedAt: Date,
+  offer: {
+    offeredAt: Date,
+    expiresAt: Date,
+    // Set when the volunteer takes the offer; they keep the spot while their application is reviewed
+    confirmedAt: Date
+  },
+  application: {
+    motivation: {
+      type: String,
+      maxlength: [MAX_ANSWER_LENGTH, `Motivation cannot exceed ${MAX_ANSWER_LENGTH} characters`]
+    },
+    availability: {
+      type: String,
+      maxlength: [500, 'Availability cannot exceed 500 characters']
+    },
+    // Answers keep the question label so they still read correctly if the form changes
+    answers: [{
+      _id: false,
+      question: mongoose.Schema.Types.ObjectId,
+      label: String,
+      answer: mongoose.Schema.Types.Mixed
+    }],
+    // Warn-only requirements the volunteer didn't meet when applying
+    eligibilityWarnings: [{
+      _id: false,
+      requirement: String,
+      message: String
+    }],
+    submittedAt: Date
+  },
+  history: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Reviewer notes, only visible to the NGO team
+  notes: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    text: {
+      type: String,
+      required: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  // Applications are only shown to the project's reviewers (see GET /:id/applications)
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.application;
+      delete ret.history;
+      delete ret.notes;
+      return ret;
+    }
+  }
+});
 
 const projectSchema = new mongoose.Schema({
   title: {
@@ -54,6 +247,17 @@ const projectSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
+    },
+    // GeoJSON copy of the coordinates (or the city's, when none are given) for geo queries
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   timeline: {
@@ -66,6 +270,8 @@ const projectSchema = new mongoose.Schema({
       required: [true, 'End date is required']
     },
     registrationDeadline: Date,
+    // Set by the scheduler once the registration deadline has passed
+    applicationsClosedAt: Date,
     milestones: [{
       title: String,
       description: String,
@@ -75,6 +281,23 @@ const projectSchema = new mongoose.Schema({
         type: String,
         enum: ['pending', 'in-progress', 'completed', 'delayed'],
         default: 'pending'
+      },
+      // Derived from the tasks linked to the milestone (see refreshMilestones)
+      progress: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+      },
+      taskCounts: {
+        total: {
+          type: Number,
+          default: 0
+        },
+        completed: {
+          type: Number,
+          default: 0
+        }
       }
     }]
   },
@@ -97,21 +320,29 @@ const projectSchema = new mongoose.Schema({
       },
       level: {
         type: String,
-        enum: ['beginner', 'intermediate', 'advanced', 'expert'],
+        enum: SKILL_LEVELS,
         default: 'beginner'
       },
       required: {
         type: Boolean,
         default: false
-      }
+      },
+      // Only applies to required skills
+      enforcement: ENFORCEMENT
     }],
     timeCommitment: {
       hoursPerWeek: Number,
       totalHours: Number,
+      // Days of the week volunteers are needed
+      days: [{
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+      }],
       flexible: {
         type: Boolean,
         default: true
-      }
+      },
+      enforcement: ENFORCEMENT
     },
     ageRange: {
       min: {
@@ -123,51 +354,63 @@ const projectSchema = new mongoose.Schema({
         type: Number,
         min: 0,
         max: 100
-      }
+      },
+      enforcement: ENFORCEMENT
     }
   },
-  volunteers: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    joinedDate: {
-      type: Date,
-      default: Date.now
-    },
-    status: {
+  applicationForm: {
+    questions: [applicationQuestionSchema]
+  },
+  // Screening stages an application moves through between `applied` and `accepted`
+  applicationStages: {
+    type: [{
+      _id: false,
+      key: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]{2,30}$/, 'Stage keys may only contain letters, numbers and dashes']
+      },
+      label: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [50, 'Stage label cannot exceed 50 characters']
+      }
+    }],
+    default: () => DEFAULT_APPLICATION_STAGES.map(stage => ({ ...stage }))
+  },
+  volunteers: [volunteerSchema],
+  status: {
+    type: String,
+    enum: PROJECT_STATUSES,
+    default: 'draft'
+  },
+  // Every lifecycle change, oldest first
+  statusHistory: [{
+    from: String,
+    to: {
       type: String,
-      enum: ['applied', 'accepted', 'rejected', 'completed', 'dropped'],
-      default: 'applied'
+      enum: PROJECT_STATUSES
     },
-    role: {
+    event: {
       type: String,
-      default: 'volunteer'
-    },
-    hoursContributed: {
-      type: Number,
-      default: 0
+      enum: Object.keys(PROJECT_TRANSITIONS)
     },
-    tasks: [{
+    changedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Task'
-    }],
-    feedback: {
-      rating: {
-        type: Number,
-        min: 1,
-        max: 5
-      },
-      comment: String,
-      date: Date
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    date: {
+      type: Date,
+      default: Date.now
     }
   }],
-  status: {
-    type: String,
-    enum: ['draft', 'pending-approval', 'approved', 'active', 'completed', 'cancelled', 'on-hold'],
-    default: 'draft'
-  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -272,6 +515,8 @@ const projectSchema = new mongoose.Schema({
   },
   approvedDate: Date,
   rejectionReason: String,
+  // When volunteers were credited for the completed project, so it happens once
+  volunteersCreditedAt: Date,
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -318,6 +563,33 @@ projectSchema.index({ featured: 1 });
 projectSchema.index({ 'location.city': 1 });
 projectSchema.index({ 'location.state': 1 });
 projectSchema.index({ tags: 1 });
+projectSchema.index({ 'location.point': '2dsphere' });
+projectSchema.index({
+  title: 'text',
+  tags: 'text',
+  category: 'text',
+  shortDescription: 'text',
+  'location.city': 'text',
+  description: 'text'
+}, {
+  name: 'project_search',
+  weights: { title: 10, tags: 6, category: 4, shortDescription: 4, 'location.city': 3, description: 1 }
+});
+projectSchema.index({ 'volunteers.status': 1, 'volunteers.offer.expiresAt': 1 });
+
+// Keep the GeoJSON point in step with the address
+projectSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('location')) {
+    this.set('location.point', pointForAddress(this.location));
+  }
+  // Moving the registration deadline later reopens applications
+  const deadline = this.timeline && this.timeline.registrationDeadline;
+  if (this.isModified('timeline.registrationDeadline') && this.timeline.applicationsClosedAt &&
+      (!deadline || deadline > new Date())) {
+    this.timeline.applicationsClosedAt = undefined;
+  }
+  next();
+});
 
 // Pre-save middleware to update volunteer count
 projectSchema.pre('save', function(next) {
@@ -329,35 +601,213 @@ projectSchema.pre('save', function(next) {
   next();
 });
 
+// Screening stage keys configured for this project
+projectSchema.methods.getScreeningStageKeys = function() {
+  return (this.applicationStages || []).map(stage => stage.key);
+};
+
+// Statuses where an application is still waiting for a decision
+projectSchema.methods.getPendingStatuses = function() {
+  return ['applied', ...this.getScreeningStageKeys()];
+};
+
+// Whether a volunteer can be moved from one status to another.
+// Withdrawing and confirming offers is done by the volunteer, waitlist offers
+// and expiry by the system, everything else by the NGO team.
+projectSchema.methods.canMoveVolunteer = function(from, to) {
+  if (from === to) return false;
+
+  const pending = this.getPendingStatuses();
+  if (pending.includes(from)) {
+    return pending.includes(to) || ['accepted', 'rejected', 'withdrawn'].includes(to);
+  }
+
+  switch (from) {
+    case 'waitlisted':
+      return ['offered', 'accepted', 'rejected', 'withdrawn'].includes(to);
+    case 'offered':
+      return ['applied', 'accepted', 'expired', 'rejected', 'withdrawn'].includes(to);
+    case 'accepted':
+      return ['completed', 'dropped', 'rejected', 'withdrawn'].includes(to);
+    default:
+      return false;
+  }
+};
+
+// Whether a volunteer takes up a spot: accepted, holding an open waitlist
+// offer, or in review after confirming one
+projectSchema.methods.holdsSpot = function(volunteer) {
+  if (['accepted', 'offered'].includes(volunteer.status)) return true;
+  return Boolean(volunteer.offer && volunteer.offer.confirmedAt) &&
+    this.getPendingStatuses().includes(volunteer.status);
+};
+
+// Spots not held by any volunteer
+projectSchema.methods.getOpenSpots = function() {
+  const taken = this.volunteers.filter(v => this.holdsSpot(v)).length;
+  return Math.max(this.requirements.volunteers.total - taken, 0);
+};
+
+// Take up an open waitlist offer. The application then goes through review like
+// any other, keeping the spot until the NGO decides.
+projectSchema.methods.confirmOffer = function(userId, eligibilityWarnings = []) {
+  const volunteer = this.volunteers.find(v => v.user.equals(userId));
+  if (!volunteer || volunteer.status !== 'offered') {
+    throw new Error('Volunteer does not have an open offer');
+  }
+
+  volunteer.offer.confirmedAt = new Date();
+  volunteer.application.eligibilityWarnings = eligibilityWarnings;
+  return this.updateVolunteerStatus(userId, 'applied', { changedBy: userId, note: 'Confirmed waitlist offer' });
+};
+
+// Waitlisted volunteers in the order they joined the queue
+projectSchema.methods.getWaitlist = function() {
+  return this.volunteers
+    .filter(v => v.status === 'waitlisted')
+    .sort((a, b) => a.waitlistedAt - b.waitlistedAt);
+};
+
+// 1-based place in the waitlist, or null when not waitlisted
+projectSchema.methods.getWaitlistPosition = function(userId) {
+  const index = this.getWaitlist().findIndex(v => v.user.equals(userId));
+  return index === -1 ? null : index + 1;
+};
+
+// Offer open spots to the front of the waitlist; returns the new offers
+projectSchema.methods.offerOpenSpots = function() {
+  // Paused and closed projects keep their waitlist as it is
+  if (this.status !== 'active') return [];
+
+  const now = new Date();
+  const offers = this.getWaitlist().slice(0, this.getOpenSpots());
+
+  offers.forEach(volunteer => {
+    volunteer.history.push({ from: 'waitlisted', to: 'offered', date: now });
+    volunteer.status = 'offered';
+    volunteer.offer = {
+      offeredAt: now,
+      expiresAt: new Date(now.getTime() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000)
+    };
+  });
+
+  return offers;
+};
+
+// Expire offers that weren't confirmed in time; returns the expired entries
+projectSchema.methods.expireOffers = function(now = new Date()) {
+  const expired = this.volunteers.filter(v =>
+    v.status === 'offered' && v.offer && v.offer.expiresAt <= now);
+
+  expired.forEach(volunteer => {
+    volunteer.history.push({ from: 'offered', to: 'expired', date: now });
+    volunteer.status = 'expired';
+  });
+
+  return expired;
+};
+
+// Check submitted answers against the application form.
+// Returns the answers to store and a list of problems.
+projectSchema.methods.buildApplicationAnswers = function(submitted = []) {
+  const questions = (this.applicationForm && this.applicationForm.questions) || [];
+  const byQuestion = new Map((Array.isArray(submitted) ? submitted : [])
+    .filter(entry => entry && entry.question)
+    .map(entry => [String(entry.question), entry.answer]));
+  const errors = [];
+  const answers = [];
+
+  byQuestion.forEach((answer, questionId) => {
+    if (!questions.id(questionId)) errors.push(`Unknown question ${questionId}`);
+  });
+
+  questions.forEach(question => {
+    let answer = byQuestion.get(String(question._id));
+    const isEmpty = answer === undefined || answer === null || answer === '' ||
+      (Array.isArray(answer) && answer.length === 0);
+
+    if (isEmpty) {
+      if (question.required) errors.push(`"${question.label}" is required`);
+      return;
+    }
+
+    switch (question.type) {
+      case 'boolean':
+        if (typeof answer !== 'boolean') errors.push(`"${question.label}" must be yes or no`);
+        break;
+      case 'number':
+        answer = Number(answer);
+        if (!Number.isFinite(answer)) errors.push(`"${question.label}" must be a number`);
+        break;
+      case 'select':
+        if (!question.options.includes(answer)) errors.push(`"${question.label}" must be one of the listed options`);
+        break;
+      case 'multiselect':
+        if (!Array.isArray(answer) || !answer.every(option => question.options.includes(option))) {
+          errors.push(`"${question.label}" must only contain the listed options`);
+        }
+        break;
+      default:
+        if (typeof answer !== 'string' || answer.length > MAX_ANSWER_LENGTH) {
+          errors.push(`"${question.label}" must be text of at most ${MAX_ANSWER_LENGTH} characters`);
+        } else {
+          answer = answer.trim();
+        }
+    }
+
+    answers.push({ question: question._id, label: question.label, answer });
+  });
+
+  return { answers, errors };
+};
+
 // Method to add volunteer
-projectSchema.methods.addVolunteer = function(userId, role = 'volunteer') {
-  // Check if user already applied
+projectSchema.methods.addVolunteer = function(userId, role = 'volunteer', application = {}) {
+  // Check if user already applied; withdrawn or expired applications can be submitted again
   const existingVolunteer = this.volunteers.find(v => v.user.equals(userId));
-  if (existingVolunteer) {
+  if (existingVolunteer && !['withdrawn', 'expired'].includes(existingVolunteer.status)) {
     throw new Error('User has already applied for this project');
   }
   
-  // Check if project has space
-  if (this.requirements.volunteers.current >= this.requirements.volunteers.total) {
-    throw new Error('Project is full');
-  }
-  
-  this.volunteers.push({
+  // Join the waitlist when the project is full or others are already queued
+  const now = new Date();
+  const waitlisted = this.getOpenSpots() === 0 || this.getWaitlist().length > 0;
+  const entry = {
     user: userId,
     role,
-    status: 'applied'
-  });
+    status: waitlisted ? 'waitlisted' : 'applied',
+    joinedDate: now,
+    waitlistedAt: waitlisted ? now : undefined,
+    offer: undefined,
+    application: { ...application, submittedAt: now }
+  };
+
+  if (existingVolunteer) {
+    existingVolunteer.history.push({ from: existingVolunteer.status, to: entry.status, changedBy: userId });
+    existingVolunteer.set(entry);
+  } else {
+    this.volunteers.push({ ...entry, history: [{ to: entry.status, changedBy: userId }] });
+  }
   
   return this.save();
 };
 
 // Method to update volunteer status
-projectSchema.methods.updateVolunteerStatus = function(userId, status) {
+projectSchema.methods.updateVolunteerStatus = function(userId, status, { changedBy, note } = {}) {
   const volunteer = this.volunteers.find(v => v.user.equals(userId));
   if (!volunteer) {
     throw new Error('Volunteer not found in this project');
   }
-  
+
+  if (!this.canMoveVolunteer(volunteer.status, status)) {
+    throw new Error(`Cannot move volunteer from ${volunteer.status} to ${status}`);
+  }
+
+  if (status === 'accepted' && !this.holdsSpot(volunteer) && this.getOpenSpots() === 0) {
+    throw new Error('Project is full');
+  }
+
+  volunteer.history.push({ from: volunteer.status, to: status, changedBy, note });
   volunteer.status = status;
   
   // Update current volunteer count
@@ -368,17 +818,214 @@ projectSchema.methods.updateVolunteerStatus = function(userId, status) {
   return this.save();
 };
 
-// Method to add milestone
-projectSchema.methods.addMilestone = function(title, description, targetDate) {
-  this.timeline.milestones.push({
-    title,
-    description,
-    targetDate
+const ageOn = (dateOfBirth, date = new Date()) => {
+  const birth = new Date(dateOfBirth);
+  const age = date.getFullYear() - birth.getFullYear();
+  const birthdayPassed = date.getMonth() > birth.getMonth() ||
+    (date.getMonth() === birth.getMonth() && date.getDate() >= birth.getDate());
+  return birthdayPassed ? age : age - 1;
+};
+
+// Compare a user's skills, age and availability with the project's requirements.
+// Each unmet requirement says whether it blocks the application or is a warning;
+// a shortfall in hours is only ever a warning when the time commitment is flexible.
+projectSchema.methods.checkEligibility = function(user) {
+  const { skills = [], ageRange = {}, timeCommitment = {} } = this.requirements;
+  const unmet = [];
+
+  skills.filter(skill => skill.required).forEach(skill => {
+    const userSkill = (user.skills || []).find(s => s.name.toLowerCase() === skill.name.toLowerCase());
+    if (!userSkill || SKILL_LEVELS.indexOf(userSkill.level) < SKILL_LEVELS.indexOf(skill.level)) {
+      unmet.push({
+        requirement: 'skill',
+        enforcement: skill.enforcement,
+        expected: { name: skill.name, level: skill.level },
+        actual: userSkill ? { name: userSkill.name, level: userSkill.level } : null,
+        message: userSkill
+          ? `${skill.name} at ${skill.level} level or above is required (you have ${userSkill.level})`
+          : `${skill.name} at ${skill.level} level or above is required`
+      });
+    }
   });
+
+  if (ageRange.min != null || ageRange.max != null) {
+    const dateOfBirth = user.profile && user.profile.dateOfBirth;
+    const age = dateOfBirth ? ageOn(dateOfBirth) : null;
+    if (age === null || (ageRange.min != null && age < ageRange.min) || (ageRange.max != null && age > ageRange.max)) {
+      const range = [ageRange.min != null ? `at least ${ageRange.min}` : null, ageRange.max != null ? `at most ${ageRange.max}` : null]
+        .filter(Boolean).join(' and ');
+      unmet.push({
+        requirement: 'age',
+        enforcement: ageRange.enforcement,
+        expected: { min: ageRange.min, max: ageRange.max },
+        actual: age,
+        message: age === null
+          ? 'Add your date of birth to your profile to apply for this project'
+          : `Volunteers must be ${range} years old`
+      });
+    }
+  }
+
+  if (timeCommitment.hoursPerWeek) {
+    const hours = user.availability && user.availability.hoursPerWeek;
+    if (hours == null || hours < timeCommitment.hoursPerWeek) {
+      unmet.push({
+        requirement: 'availability',
+        enforcement: timeCommitment.flexible ? 'warn' : timeCommitment.enforcement,
+        expected: { hoursPerWeek: timeCommitment.hoursPerWeek },
+        actual: hours == null ? null : { hoursPerWeek: hours },
+        message: hours == null
+          ? 'Add your weekly availability to your profile'
+          : `This project needs ${timeCommitment.hoursPerWeek} hours per week (you have ${hours} available)`
+      });
+    }
+  }
+
+  return {
+    eligible: !unmet.some(item => item.enforcement === 'block'),
+    unmet
+  };
+};
+
+// Query conditions for projects a user may apply to, matching checkEligibility:
+// only requirements enforced with 'block' filter projects out, as unmet 'warn'
+// ones don't stop an application.
+projectSchema.statics.eligibilityConditions = function(user) {
+  // Required here rather than at the top: utils/search loads this model
+  const { escapeRegExp } = require('../utils/search');
+  const dateOfBirth = user.profile && user.profile.dateOfBirth;
+  const age = dateOfBirth ? ageOn(dateOfBirth) : null;
+  const hours = user.availability && user.availability.hoursPerWeek;
+  const userSkills = (user.skills || []).map(skill => ({
+    name: new RegExp(`^${escapeRegExp(skill.name)}$`, 'i'),
+    level: { $in: SKILL_LEVELS.slice(0, SKILL_LEVELS.indexOf(skill.level) + 1) }
+  }));
+
+  const unmetSkill = { required: true, enforcement: 'block' };
+  if (userSkills.length > 0) unmetSkill.$nor = userSkills;
+
+  const ageNotBlocking = { 'requirements.ageRange.enforcement': { $ne: 'block' } };
+
+  return [
+    { 'requirements.skills': { $not: { $elemMatch: unmetSkill } } },
+    {
+      $or: [
+        ageNotBlocking,
+        { 'requirements.ageRange.min': null },
+        ...(age === null ? [] : [{ 'requirements.ageRange.min': { $lte: age } }])
+      ]
+    },
+    {
+      $or: [
+        ageNotBlocking,
+        { 'requirements.ageRange.max': null },
+        ...(age === null ? [] : [{ 'requirements.ageRange.max': { $gte: age } }])
+      ]
+    },
+    {
+      $or: [
+        { 'requirements.timeCommitment.flexible': { $ne: false } },
+        { 'requirements.timeCommitment.enforcement': { $ne: 'block' } },
+        { 'requirements.timeCommitment.hoursPerWeek': null },
+        { 'requirements.timeCommitment.hoursPerWeek': 0 },
+        ...(hours == null ? [] : [{ 'requirements.timeCommitment.hoursPerWeek': { $lte: hours } }])
+      ]
+    }
+  ];
+};
+
+// Label for a volunteer status, using the project's stage names
+projectSchema.methods.getStatusLabel = function(status) {
+  const stage = (this.applicationStages || []).find(s => s.key === status);
+  return stage ? stage.label : status.charAt(0).toUpperCase() + status.slice(1);
+};
+
+// Method to add milestone, at `position` in the timeline or at the end
+projectSchema.methods.addMilestone = function(title, description, targetDate, position = null) {
+  const milestone = { title, description, targetDate };
+  if (position === null || position >= this.timeline.milestones.length) {
+    this.timeline.milestones.push(milestone);
+  } else {
+    this.timeline.milestones.splice(Math.max(position, 0), 0, milestone);
+  }
   
   return this.save();
 };
 
+// Put milestones in the order of `milestoneIds`, which must list each milestone once.
+// Returns false, leaving the order unchanged, when it doesn't.
+projectSchema.methods.reorderMilestones = function(milestoneIds) {
+  const milestones = this.timeline.milestones;
+  const ids = milestoneIds.map(String);
+  if (ids.length !== milestones.length || new Set(ids).size !== ids.length ||
+      !ids.every(id => milestones.id(id))) {
+    return false;
+  }
+
+  this.timeline.milestones = ids.map(id => milestones.id(id).toObject());
+  return true;
+};
+
+// Recalculate each milestone's progress and status from its linked tasks.
+// Milestones without tasks keep the status set by hand, apart from being
+// marked delayed once their target date passes (or undelayed when it moves).
+projectSchema.methods.refreshMilestones = async function(now = new Date()) {
+  const counts = await mongoose.model('Task').aggregate([
+    { $match: { project: this._id, milestone: { $ne: null }, status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: '$milestone',
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        started: { $sum: { $cond: [{ $in: ['$status', ['in-progress', 'completed']] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  this.timeline.milestones.forEach(milestone => {
+    const { total = 0, completed = 0, started = 0 } = counts.find(c => c._id.equals(milestone._id)) || {};
+    const overdue = Boolean(milestone.targetDate && milestone.targetDate < now);
+    milestone.taskCounts = { total, completed };
+
+    if (total > 0) {
+      milestone.progress = Math.round((completed / total) * 100);
+      if (completed === total) {
+        milestone.status = 'completed';
+        milestone.completedDate = milestone.completedDate || now;
+        return;
+      }
+      milestone.completedDate = undefined;
+      milestone.status = overdue ? 'delayed' : (started > 0 ? 'in-progress' : 'pending');
+      return;
+    }
+
+    milestone.progress = milestone.status === 'completed' ? 100 : 0;
+    if (milestone.status === 'delayed' && !overdue) {
+      milestone.status = 'pending';
+    } else if (['pending', 'in-progress'].includes(milestone.status) && overdue) {
+      milestone.status = 'delayed';
+    }
+  });
+};
+
+// Milestones in order with their progress, for the project timeline view
+projectSchema.methods.getMilestoneTimeline = function(now = new Date()) {
+  return this.timeline.milestones.map((milestone, index) => ({
+    _id: milestone._id,
+    position: index,
+    title: milestone.title,
+    description: milestone.description,
+    targetDate: milestone.targetDate,
+    completedDate: milestone.completedDate,
+    status: milestone.status,
+    progress: milestone.progress,
+    taskCounts: milestone.taskCounts,
+    daysRemaining: milestone.status === 'completed' || !milestone.targetDate
+      ? null
+      : Math.ceil((milestone.targetDate - now) / (1000 * 60 * 60 * 24))
+  }));
+};
+
 // Method to complete milestone
 projectSchema.methods.completeMilestone = function(milestoneId) {
   const milestone = this.timeline.milestones.id(milestoneId);
@@ -405,4 +1052,89 @@ projectSchema.methods.addDonation = function(donorInfo, amount, paymentId) {
   return this.save();
 };
 
+// Whether volunteers can apply: the project is active and registration hasn't closed
+projectSchema.methods.isAcceptingApplications = function(now = new Date()) {
+  const { registrationDeadline, applicationsClosedAt } = this.timeline || {};
+  return this.status === 'active' && !applicationsClosedAt &&
+    !(registrationDeadline && registrationDeadline <= now);
+};
+
+// Whether a lifecycle event can be applied from the current status
+projectSchema.methods.canTransition = function(event) {
+  const transition = PROJECT_TRANSITIONS[event];
+  return Boolean(transition && transition.from.includes(this.status));
+};
+
+// Reasons a lifecycle event can't happen right now; empty when it can
+projectSchema.methods.getTransitionBlockers = async function(event) {
+  if (!this.canTransition(event)) {
+    return [`Cannot ${event} a project that is ${this.status}`];
+  }
+
+  const blockers = [];
+  const endDate = this.timeline && this.timeline.endDate;
+
+  if (['submit', 'resume'].includes(event) && endDate && endDate <= new Date()) {
+    blockers.push('The project end date has passed; update the timeline first');
+  }
+
+  if (event === 'complete') {
+    const openTasks = await mongoose.model('Task').countDocuments({
+      project: this._id,
+      status: { $nin: ['completed', 'cancelled'] }
+    });
+    if (openTasks > 0) {
+      blockers.push(`${openTasks} task${openTasks === 1 ? ' is' : 's are'} still open; complete or cancel them first`);
+    }
+  }
+
+  return blockers;
+};
+
+// Method to apply a lifecycle event and record it in the status history
+projectSchema.methods.transition = function(event, { changedBy, reason } = {}) {
+  if (!this.canTransition(event)) {
+    throw new Error(`Cannot ${event} a project that is ${this.status}`);
+  }
+
+  const { to, requiresReason } = PROJECT_TRANSITIONS[event];
+  if (requiresReason && !reason) {
+    throw new Error(`A reason is required to ${event} a project`);
+  }
+
+  this.statusHistory.push({ from: this.status, to, event, changedBy, reason });
+  this.status = to;
+
+  if (event === 'approve') {
+    this.approvedBy = changedBy;
+    this.approvedDate = new Date();
+    this.rejectionReason = undefined;
+  } else if (event === 'reject') {
+    this.rejectionReason = reason;
+  }
+
+  return this.save();
+};
+
+// Recalculate a project's milestones after its tasks changed
+projectSchema.statics.syncMilestoneProgress = async function(projectId) {
+  const project = await this.findById(projectId);
+  if (!project || project.timeline.milestones.length === 0) return null;
+
+  await project.refreshMilestones();
+  return project.save();
+};
+
+// Projects anyone may find through search
+projectSchema.statics.publicFilter = () => ({
+  visibility: 'public',
+  status: { $in: ['approved', 'active', 'on-hold', 'completion-review', 'completed'] }
+});
+
+projectSchema.statics.PROJECT_TRANSITIONS = PROJECT_TRANSITIONS;
+projectSchema.statics.VOLUNTEER_STATUSES = VOLUNTEER_STATUSES;
+projectSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+projectSchema.statics.SKILL_LEVELS = SKILL_LEVELS;
+projectSchema.statics.WAITLIST_OFFER_HOURS = WAITLIST_OFFER_HOURS;
+
 module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// When each background job last ran and is next due. Kept in MongoDB so jobs
+// pick up where they left off after a restart, and so only one server instance
+// runs a job at a time.
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastDurationMs: Number,
+  // Whatever the job reported, e.g. how many records it changed
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  // Set while an instance is running the job; a lock past its time is treated as abandoned
+  lockedBy: String,
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+scheduledJobSchema.index({ nextRunAt: 1 });
+
+// Make sure a job has a record, due at `nextRunAt` the first time it is seen
+scheduledJobSchema.statics.register = function(name, nextRunAt) {
+  return this.findOneAndUpdate(
+    { name },
+    { $setOnInsert: { name, nextRunAt } },
+    { new: true, upsert: true }
+  );
+};
+
+// Claim a job that is due and not being run elsewhere; returns null when there is nothing to do
+scheduledJobSchema.statics.claim = function(name, instanceId, lockMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + lockMs), lastRunAt: now } },
+    { new: true }
+  );
+};
+
+// Method to record the outcome of a run and release the lock
+scheduledJobSchema.methods.finish = function({ nextRunAt, result, error }) {
+  const finishedAt = new Date();
+  const update = {
+    $set: {
+      nextRunAt,
+      lastFinishedAt: finishedAt,
+      lastDurationMs: finishedAt - this.lastRunAt,
+      lastResult: result,
+      lastError: error ? error.message : null
+    },
+    $unset: { lockedBy: 1, lockedUntil: 1 },
+    $inc: error ? { runCount: 1, failureCount: 1 } : { runCount: 1 }
+  };
+
+  return this.constructor.updateOne({ _id: this._id, lockedBy: this.lockedBy }, update);
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const IMPERSONATION_TTL = (parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Short human-readable label for the "my sessions" list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token this one replaced, kept to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  // Whether sign-in for this session passed a two-factor check
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when staff are viewing the platform as this user
+  impersonation: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    // Impersonated sessions are read-only unless this was granted when starting
+    allowWrites: {
+      type: Boolean,
+      default: false
+    }
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ 'impersonation.by': 1, createdAt: -1 });
+// Let MongoDB drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.virtual('isImpersonation').get(function() {
+  return Boolean(this.impersonation && this.impersonation.by);
+});
+
+// Start a session for a user signing in from this request; returns the plain refresh token
+sessionSchema.statics.start = async function(userId, req, { twoFactorVerified = false } = {}) {
+  const userAgent = req.get('User-Agent') || '';
+  const session = new this({
+    user: userId,
+    twoFactorVerified,
+    device: describeDevice(userAgent),
+    userAgent: userAgent.slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  const refreshToken = session.issueRefreshToken();
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Start a short-lived session for a staff member to act as a user.
+// It has no usable refresh token, so it simply ends when it expires.
+sessionSchema.statics.startImpersonation = async function(userId, impersonatorId, req, {
+  reason,
+  allowWrites = false,
+  twoFactorVerified = false
+}) {
+  const session = new this({
+    user: userId,
+    // Counts as 2FA-verified only if the staff member's own session was
+    twoFactorVerified,
+    device: 'Support session',
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip,
+    impersonation: { by: impersonatorId, reason, allowWrites }
+  });
+
+  // The token is never handed out; issuing one just fills the required hash
+  session.issueRefreshToken();
+  session.expiresAt = new Date(Date.now() + IMPERSONATION_TTL);
+  await session.save();
+
+  return session;
+};
+
+// Find the session a refresh token belongs to, current or already rotated
+sessionSchema.statics.findByRefreshToken = async function(token) {
+  const hash = hashRefreshToken(token);
+  const session = await this.findOne({
+    $or: [{ tokenHash: hash }, { previousTokenHash: hash }]
+  }).select('+tokenHash +previousTokenHash');
+
+  if (!session) return { session: null, reused: false };
+  return { session, reused: session.tokenHash !== hash };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Replace the refresh token and slide the expiry; returns the plain token
+sessionSchema.methods.issueRefreshToken = function() {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  this.previousTokenHash = this.tokenHash;
+  this.tokenHash = hashRefreshToken(token);
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+
+  return token;
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+sessionSchema.statics.IMPERSONATION_TTL = IMPERSONATION_TTL;
+
+module.exports = mongoose.model('Session', sessionSchema);
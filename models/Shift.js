@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+
+// Shift times are entered as local wall-clock times; this is the platform's
+// offset from UTC in minutes (India Standard Time by default)
+const TIMEZONE_OFFSET_MINUTES = parseInt(process.env.TIMEZONE_OFFSET_MINUTES, 10) || 330;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Check-in opens this long before a shift starts
+const CHECK_IN_EARLY_MINUTES = 30;
+
+// UTC instant of a local date ("YYYY-MM-DD") and time ("HH:MM")
+const toInstant = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes) - TIMEZONE_OFFSET_MINUTES * 60 * 1000);
+};
+
+const shiftSignupSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: String,
+  status: {
+    type: String,
+    enum: ['confirmed', 'cancelled'],
+    default: 'confirmed'
+  },
+  // Availability mismatches the volunteer was warned about when signing up
+  warnings: [String],
+  signedUpAt: {
+    type: Date,
+    default: Date.now
+  },
+  cancelledAt: Date,
+  // On-site attendance, from QR check-in/out or a coordinator's correction
+  attendance: {
+    checkedInAt: Date,
+    checkedOutAt: Date,
+    // Metres from the project when scanning, for geofenced shifts
+    checkInDistance: Number,
+    checkOutDistance: Number,
+    // Closed by the scheduler because the volunteer never checked out
+    autoCheckedOut: {
+      type: Boolean,
+      default: false
+    },
+    // Attended hours, credited to the volunteer through an approved timesheet entry (see HourLog)
+    hoursCredited: {
+      type: Number,
+      default: 0
+    },
+    corrections: [{
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      before: {
+        checkedInAt: Date,
+        checkedOutAt: Date,
+        hoursCredited: Number
+      },
+      reason: String,
+      date: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  }
+});
+
+const shiftSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Shift title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // Local date and times as entered; a shift ending before it starts runs past midnight
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [DATE_PATTERN, 'Date must be YYYY-MM-DD']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be HH:MM']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be HH:MM']
+  },
+  // Derived from date and times, for ordering and overlap checks
+  startsAt: Date,
+  endsAt: Date,
+  // Defaults to the project's location
+  location: {
+    name: String,
+    address: String,
+    city: String
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  // Roles volunteers sign up for, each with its own number of places
+  roles: [{
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      trim: true,
+      maxlength: [100, 'Role name cannot exceed 100 characters']
+    },
+    slots: {
+      type: Number,
+      required: [true, 'Role slots are required'],
+      min: [1, 'A role needs at least 1 slot']
+    },
+    description: String
+  }],
+  // Volunteers must scan within this many metres of the project's coordinates; unset means anywhere
+  geofenceRadius: {
+    type: Number,
+    min: [10, 'Geofence radius must be at least 10 metres']
+  },
+  signups: [shiftSignupSchema],
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancellationReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Who signed up is only shown on the roster
+    transform: (doc, ret) => {
+      delete ret.signups;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+shiftSchema.index({ project: 1, startsAt: 1 });
+shiftSchema.index({ 'signups.user': 1, startsAt: 1 });
+
+shiftSchema.pre('validate', function(next) {
+  if (DATE_PATTERN.test(this.date || '') && TIME_PATTERN.test(this.startTime || '') && TIME_PATTERN.test(this.endTime || '')) {
+    this.startsAt = toInstant(this.date, this.startTime);
+    this.endsAt = toInstant(this.date, this.endTime);
+    if (this.endsAt <= this.startsAt) {
+      this.endsAt = new Date(this.endsAt.getTime() + 24 * 60 * 60 * 1000);
+    }
+  }
+
+  const roleSlots = this.roles.reduce((sum, role) => sum + role.slots, 0);
+  if (roleSlots > this.capacity) {
+    this.invalidate('capacity', `Capacity must cover the ${roleSlots} slots of the shift's roles`);
+  }
+  const names = this.roles.map(role => role.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    this.invalidate('roles', 'Role names must be unique');
+  }
+
+  next();
+});
+
+// Virtual for the number of confirmed sign-ups
+shiftSchema.virtual('filled').get(function() {
+  return this.signups ? this.signups.filter(s => s.status === 'confirmed').length : 0;
+});
+
+shiftSchema.virtual('openSlots').get(function() {
+  return Math.max(this.capacity - this.filled, 0);
+});
+
+shiftSchema.virtual('durationHours').get(function() {
+  return this.startsAt && this.endsAt ? Math.round((this.endsAt - this.startsAt) / (60 * 60 * 1000) * 100) / 100 : null;
+});
+
+// Confirmed sign-ups and open places for each role
+shiftSchema.methods.getRoleSummary = function() {
+  return this.roles.map(role => {
+    const filled = this.signups.filter(s => s.status === 'confirmed' && s.role === role.name).length;
+    return { name: role.name, description: role.description, slots: role.slots, filled, open: Math.max(role.slots - filled, 0) };
+  });
+};
+
+shiftSchema.methods.getSignup = function(userId) {
+  return this.signups.find(s => s.user.equals(userId) && s.status === 'confirmed');
+};
+
+// Mismatches between the shift and a user's stated availability, as warnings
+shiftSchema.methods.checkAvailability = function(user) {
+  const { days = [], timeSlots = [] } = user.availability || {};
+  const warnings = [];
+
+  const [year, month, day] = this.date.split('-').map(Number);
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  if (days.length > 0 && !days.includes(weekday)) {
+    warnings.push(`This shift is on a ${weekday}, which isn't one of your available days`);
+  }
+
+  const slots = timeSlots.filter(slot => TIME_PATTERN.test(slot.start || '') && TIME_PATTERN.test(slot.end || ''));
+  const overnight = this.endTime <= this.startTime;
+  if (slots.length > 0 &&
+      (overnight || !slots.some(slot => slot.start <= this.startTime && this.endTime <= slot.end))) {
+    warnings.push(`${this.startTime}-${this.endTime} is outside your available time slots`);
+  }
+
+  return warnings;
+};
+
+// Sign a user up, in `role` when the shift has roles; returns the sign-up
+shiftSchema.methods.addSignup = function(userId, role, warnings = []) {
+  if (this.getSignup(userId)) {
+    throw new Error('Already signed up for this shift');
+  }
+  if (this.openSlots === 0) {
+    throw new Error('This shift is full');
+  }
+
+  this.signups.push({ user: userId, role, warnings });
+  return this.signups[this.signups.length - 1];
+};
+
+shiftSchema.methods.cancelSignup = function(userId) {
+  const signup = this.getSignup(userId);
+  if (!signup) {
+    throw new Error('Not signed up for this shift');
+  }
+
+  signup.status = 'cancelled';
+  signup.cancelledAt = new Date();
+  return signup;
+};
+
+shiftSchema.methods.isCheckInOpen = function(now = new Date()) {
+  return this.status === 'scheduled' &&
+    now >= new Date(this.startsAt.getTime() - CHECK_IN_EARLY_MINUTES * 60 * 1000) &&
+    now < this.endsAt;
+};
+
+// Hours of the shift between check-in and check-out; time outside the shift isn't counted
+shiftSchema.methods.getAttendedHours = function(checkedInAt, checkedOutAt) {
+  if (!checkedInAt || !checkedOutAt) return 0;
+  const from = Math.max(checkedInAt.getTime(), this.startsAt.getTime());
+  const to = Math.min(checkedOutAt.getTime(), this.endsAt.getTime());
+  return to > from ? Math.round((to - from) / (60 * 60 * 1000) * 100) / 100 : 0;
+};
+
+// Record a check-out and the hours it earns
+shiftSchema.methods.recordCheckOut = function(signup, checkedOutAt, { distance, auto = false } = {}) {
+  signup.attendance.checkedOutAt = checkedOutAt;
+  signup.attendance.checkOutDistance = distance;
+  signup.attendance.autoCheckedOut = auto;
+  signup.attendance.hoursCredited = this.getAttendedHours(signup.attendance.checkedInAt, checkedOutAt);
+};
+
+// Coordinator's fix to a sign-up's attendance. Hours follow the corrected times unless given.
+shiftSchema.methods.correctAttendance = function(signup, { checkedInAt, checkedOutAt, hours }, { by, reason }) {
+  const { attendance } = signup;
+  attendance.corrections.push({
+    by,
+    before: {
+      checkedInAt: attendance.checkedInAt,
+      checkedOutAt: attendance.checkedOutAt,
+      hoursCredited: attendance.hoursCredited
+    },
+    reason
+  });
+
+  attendance.checkedInAt = checkedInAt;
+  attendance.checkedOutAt = checkedOutAt;
+  attendance.autoCheckedOut = false;
+  attendance.hoursCredited = hours !== undefined ? hours : this.getAttendedHours(checkedInAt, checkedOutAt);
+};
+
+// Shifts a user is signed up for that overlap the given window
+shiftSchema.statics.findOverlapping = function(userId, startsAt, endsAt, excludeShiftId = null) {
+  return this.find({
+    _id: { $ne: excludeShiftId },
+    status: 'scheduled',
+    signups: { $elemMatch: { user: userId, status: 'confirmed' } },
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt }
+  }).select('title project date startTime endTime startsAt endsAt');
+};
+
+// Cancel a volunteer's sign-ups for a project's upcoming shifts, e.g. when they leave the project
+shiftSchema.statics.cancelUpcomingSignups = function(projectId, userId) {
+  const now = new Date();
+  return this.updateMany(
+    { project: projectId, startsAt: { $gt: now }, signups: { $elemMatch: { user: userId, status: 'confirmed' } } },
+    { $set: { 'signups.$[signup].status': 'cancelled', 'signups.$[signup].cancelledAt': now } },
+    { arrayFilters: [{ 'signup.user': userId, 'signup.status': 'confirmed' }] }
+  );
+};
+
+// Local calendar date ("YYYY-MM-DD") of an instant
+shiftSchema.statics.toLocalDate = (instant) =>
+  new Date(new Date(instant).getTime() + TIMEZONE_OFFSET_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+
+shiftSchema.statics.TIME_PATTERN = TIME_PATTERN;
+shiftSchema.statics.CHECK_IN_EARLY_MINUTES = CHECK_IN_EARLY_MINUTES;
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SSO_STATE_TTL = 10 * 60 * 1000; // 10 minutes to finish at the provider
+const SSO_CODE_TTL = 2 * 60 * 1000; // 2 minutes for the browser to collect the session
+
+const hashValue = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+// An OpenID Connect sign-in in progress. It starts with the `state` sent to the
+// provider and, once the provider calls back, holds a one-time login code that
+// the frontend exchanges for a normal session.
+const ssoLoginSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  stateHash: String,
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier, only needed until the code exchange with the provider
+  codeVerifier: {
+    type: String,
+    select: false
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  loginCodeHash: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ssoLoginSchema.index({ stateHash: 1 });
+ssoLoginSchema.index({ loginCodeHash: 1 });
+ssoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Begin a sign-in; returns the values to send in the authorization request
+ssoLoginSchema.statics.begin = async function(provider) {
+  const state = randomValue();
+  const codeVerifier = randomValue();
+
+  const login = await this.create({
+    provider,
+    stateHash: hashValue(state),
+    nonce: randomValue(),
+    codeVerifier,
+    expiresAt: new Date(Date.now() + SSO_STATE_TTL)
+  });
+
+  return {
+    state,
+    nonce: login.nonce,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  };
+};
+
+// Claim the sign-in a provider callback belongs to; each state works once
+ssoLoginSchema.statics.claimState = function(provider, state) {
+  return this.findOneAndUpdate(
+    { provider, stateHash: hashValue(state), expiresAt: { $gt: new Date() } },
+    { $unset: { stateHash: 1 } },
+    { new: true }
+  ).select('+codeVerifier');
+};
+
+// Record who signed in and return the one-time code for the frontend
+ssoLoginSchema.methods.issueLoginCode = async function(userId) {
+  const code = randomValue();
+
+  this.user = userId;
+  this.loginCodeHash = hashValue(code);
+  this.codeVerifier = undefined;
+  this.expiresAt = new Date(Date.now() + SSO_CODE_TTL);
+  await this.save();
+
+  return code;
+};
+
+// Spend a login code; returns the finished sign-in or null
+ssoLoginSchema.statics.redeemLoginCode = function(code) {
+  return this.findOneAndDelete({
+    loginCodeHash: hashValue(code),
+    user: { $ne: null },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('SsoLogin', ssoLoginSchema);
@@ -17,6 +17,10 @@ const taskSchema = new mongoose.Schema({
     ref: 'Project',
     required: [true, 'Project is required']
   },
+  // One of the project's timeline milestones; its progress follows this task's status
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -238,19 +242,43 @@ taskSchema.virtual('deliverableProgress').get(function() {
 
 // Index for better query performance
 taskSchema.index({ project: 1 });
+taskSchema.index({ project: 1, milestone: 1 });
 taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ status: 1 });
 taskSchema.index({ priority: 1 });
 taskSchema.index({ 'timeline.dueDate': 1 });
 taskSchema.index({ category: 1 });
 taskSchema.index({ tags: 1 });
+taskSchema.index({
+  title: 'text',
+  tags: 'text',
+  category: 'text',
+  description: 'text'
+}, {
+  name: 'task_search',
+  weights: { title: 10, tags: 6, category: 4, description: 1 }
+});
 
 // Pre-save middleware to calculate total points
 taskSchema.pre('save', function(next) {
   this.points.total = this.points.base + this.points.bonus;
+  // Note whether the project's milestone progress needs recalculating once saved
+  this.$locals.milestoneChanged = this.isModified('milestone') ||
+    (Boolean(this.milestone) && (this.isNew || this.isModified('status')));
   next();
 });
 
+// Keep the linked milestone's progress in step; a failure here doesn't undo the task change
+taskSchema.post('save', async function(doc) {
+  if (!doc.$locals.milestoneChanged) return;
+
+  try {
+    await mongoose.model('Project').syncMilestoneProgress(doc.project._id || doc.project);
+  } catch (error) {
+    console.error(`Failed to update milestone progress for project ${doc.project}:`, error);
+  }
+});
+
 // Method to update progress
 taskSchema.methods.updateProgress = function(percentage, message, updatedBy, attachments = []) {
   this.progress.percentage = Math.min(100, Math.max(0, percentage));
@@ -335,6 +363,20 @@ taskSchema.methods.addMilestone = function(title, description, targetDate) {
   return this.save();
 };
 
+// Put milestones in the order of `milestoneIds`, which must list each milestone once.
+// Returns false, leaving the order unchanged, when it doesn't.
+taskSchema.methods.reorderMilestones = function(milestoneIds) {
+  const milestones = this.progress.milestones;
+  const ids = milestoneIds.map(String);
+  if (ids.length !== milestones.length || new Set(ids).size !== ids.length ||
+      !ids.every(id => milestones.id(id))) {
+    return false;
+  }
+
+  this.progress.milestones = ids.map(id => milestones.id(id).toObject());
+  return true;
+};
+
 // Method to complete milestone
 taskSchema.methods.completeMilestone = function(milestoneId) {
   const milestone = this.progress.milestones.id(milestoneId);
@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { generateSecret, verifyCode } = require('../utils/totp');
+
+const ROLES = ['volunteer', 'ngo', 'moderator', 'admin'];
+
+// Email verification code settings
+const VERIFICATION_CODE_TTL = 10 * 60 * 1000; // 10 minutes
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+const VERIFICATION_MAX_SENDS_PER_HOUR = 5;
+
+const hashVerificationCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Login lockout settings; each lock in a row doubles the lock time
+const MAX_LOGIN_ATTEMPTS = 5;
+const BASE_LOCK_TIME = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_TIME = 24 * 60 * 60 * 1000; // 24 hours
+const UNLOCK_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Number of previous passwords that may not be reused
+const PASSWORD_HISTORY_LIMIT = parseInt(process.env.PASSWORD_HISTORY_COUNT, 10) || 5;
+
+// Days between a deletion request and the account being anonymised
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Two-factor recovery codes
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,7 +52,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['volunteer', 'ngo', 'admin'],
+    enum: ROLES,
     default: 'volunteer'
   },
   profile: {
@@ -165,9 +194,100 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationToken: String,
+  verificationToken: {
+    type: String,
+    select: false
+  },
+  verificationExpires: Date,
+  verificationAttempts: {
+    type: Number,
+    default: 0
+  },
+  verificationSentAt: Date,
+  verificationSendCount: {
+    type: Number,
+    default: 0
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Hashes of recent passwords, newest first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: Date,
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Locks in a row since the last successful login
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockExpires: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code from the app
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Accounts at single sign-on providers (OpenID Connect) linked to this user
+  ssoIdentities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }],
+  // College or CSR programme the user volunteers through
+  affiliation: {
+    organisation: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Organisation cannot exceed 200 characters']
+    },
+    // SSO provider whose claims set it
+    provider: String,
+    updatedAt: Date
+  },
+  // Deletion requested by the user; the account is anonymised once scheduledFor passes
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date
+  },
+  deletedAt: Date,
   lastLogin: Date,
   joinedDate: {
     type: Date,
@@ -188,11 +308,18 @@ userSchema.virtual('currentBadge').get(function() {
   return { name: 'Newcomer', color: '#808080' };
 });
 
+// Virtual for whether sign-in is currently blocked by too many failed attempts
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+});
+
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ 'points.total': -1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 });
+userSchema.index({ 'ssoIdentities.provider': 1, 'ssoIdentities.subject': 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -251,4 +378,261 @@ userSchema.methods.checkAndAwardBadges = function() {
   });
 };
 
+// Method to issue a new email verification code
+// Only the hash is stored; the plain code is returned so it can be emailed
+userSchema.methods.createVerificationCode = function() {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const now = Date.now();
+
+  // Reset the hourly send counter once the last code is over an hour old
+  if (!this.verificationSentAt || now - this.verificationSentAt.getTime() > 60 * 60 * 1000) {
+    this.verificationSendCount = 0;
+  }
+
+  this.verificationToken = hashVerificationCode(code);
+  this.verificationExpires = new Date(now + VERIFICATION_CODE_TTL);
+  this.verificationAttempts = 0;
+  this.verificationSentAt = new Date(now);
+  this.verificationSendCount += 1;
+
+  return code;
+};
+
+// Method to get seconds until another verification code may be sent (0 if allowed now)
+userSchema.methods.getVerificationCooldown = function() {
+  if (!this.verificationSentAt) return 0;
+
+  const elapsed = Date.now() - this.verificationSentAt.getTime();
+
+  if (this.verificationSendCount >= VERIFICATION_MAX_SENDS_PER_HOUR && elapsed < 60 * 60 * 1000) {
+    return Math.ceil((60 * 60 * 1000 - elapsed) / 1000);
+  }
+
+  if (elapsed < VERIFICATION_RESEND_COOLDOWN) {
+    return Math.ceil((VERIFICATION_RESEND_COOLDOWN - elapsed) / 1000);
+  }
+
+  return 0;
+};
+
+// Method to check a verification code
+// Requires verificationToken to be selected; returns 'verified', 'invalid', 'expired' or 'locked'
+userSchema.methods.checkVerificationCode = function(code) {
+  if (!this.verificationToken || !this.verificationExpires) return 'expired';
+  if (this.verificationExpires.getTime() < Date.now()) return 'expired';
+  if (this.verificationAttempts >= VERIFICATION_MAX_ATTEMPTS) return 'locked';
+
+  const expected = Buffer.from(this.verificationToken, 'hex');
+  const received = Buffer.from(hashVerificationCode(code), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    this.verificationAttempts += 1;
+    return this.verificationAttempts >= VERIFICATION_MAX_ATTEMPTS ? 'locked' : 'invalid';
+  }
+
+  this.isVerified = true;
+  this.verificationToken = undefined;
+  this.verificationExpires = undefined;
+  this.verificationAttempts = 0;
+  return 'verified';
+};
+
+// Method to set a new password, remembering the current one
+// Requires password and passwordHistory to be selected
+userSchema.methods.changePassword = function(newPassword) {
+  if (this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, PASSWORD_HISTORY_LIMIT);
+  }
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+};
+
+// Method to check a candidate against the current and recent passwords
+// Requires password and passwordHistory to be selected
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const hashes = [this.password, ...(this.passwordHistory || [])].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+// Method to get seconds until the account unlocks (0 if not locked)
+userSchema.methods.getLockRemaining = function() {
+  return this.isLocked ? Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000) : 0;
+};
+
+// Method to record a failed sign-in
+// Returns a plain unlock token when this failure locks the account, otherwise null
+userSchema.methods.registerFailedLogin = function() {
+  // Start counting afresh once a previous lock has run out
+  if (this.lockUntil && !this.isLocked) {
+    this.loginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.loginAttempts += 1;
+  if (this.loginAttempts < MAX_LOGIN_ATTEMPTS) return null;
+
+  const lockTime = Math.min(BASE_LOCK_TIME * 2 ** this.lockCount, MAX_LOCK_TIME);
+  this.lockUntil = new Date(Date.now() + lockTime);
+  this.lockCount += 1;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  this.unlockToken = hashVerificationCode(token);
+  this.unlockExpires = new Date(Date.now() + UNLOCK_TOKEN_TTL);
+  return token;
+};
+
+// Method to clear failed sign-in tracking after a successful login or unlock
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockCount = 0;
+  this.unlockToken = undefined;
+  this.unlockExpires = undefined;
+};
+
+// Find the user an emailed unlock link belongs to
+userSchema.statics.findByUnlockToken = function(token) {
+  return this.findOne({
+    unlockToken: hashVerificationCode(token),
+    unlockExpires: { $gt: new Date() }
+  });
+};
+
+// Method to start two-factor enrolment; returns the new secret for the authenticator app
+userSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactor.pendingSecret = generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Method to finish enrolment with a code from the app
+// Requires twoFactor.pendingSecret to be selected; returns plain recovery codes, or null if the code is wrong
+userSchema.methods.enableTwoFactor = function(code) {
+  const step = verifyCode(this.twoFactor.pendingSecret, code);
+  if (step === null) return null;
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+
+  return this.generateRecoveryCodes();
+};
+
+// Method to replace the recovery codes; only hashes are stored
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => hashVerificationCode(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Method to check an authenticator code
+// Requires twoFactor.secret and twoFactor.lastUsedStep to be selected
+userSchema.methods.checkTwoFactorCode = function(code) {
+  if (!this.twoFactor.enabled) return false;
+
+  const lastUsedStep = this.twoFactor.lastUsedStep ?? null;
+  const step = verifyCode(this.twoFactor.secret, code, lastUsedStep);
+  if (step === null) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to spend a recovery code
+// Requires twoFactor.recoveryCodes to be selected
+userSchema.methods.useRecoveryCode = function(code) {
+  if (!this.twoFactor.enabled) return false;
+
+  const hash = hashVerificationCode(normalizeRecoveryCode(code));
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = undefined;
+  this.twoFactor.enabledAt = undefined;
+};
+
+// Find the user linked to an identity at a single sign-on provider
+userSchema.statics.findBySsoIdentity = function(provider, subject) {
+  return this.findOne({
+    ssoIdentities: { $elemMatch: { provider, subject: String(subject) } }
+  });
+};
+
+// Method to link a provider identity (or note that it was used again)
+userSchema.methods.recordSsoLogin = function(provider, subject) {
+  let identity = this.ssoIdentities.find(i => i.provider === provider && i.subject === String(subject));
+  if (!identity) {
+    this.ssoIdentities.push({ provider, subject: String(subject) });
+    identity = this.ssoIdentities[this.ssoIdentities.length - 1];
+  }
+  identity.lastUsedAt = new Date();
+};
+
+// Method to set the organisation affiliation reported by a provider
+userSchema.methods.setAffiliation = function(organisation, provider = undefined) {
+  if (this.affiliation.organisation === organisation && this.affiliation.provider === provider) return;
+
+  this.affiliation = { organisation, provider, updatedAt: new Date() };
+};
+
+// Method to schedule the account for deletion after the grace period
+userSchema.methods.scheduleDeletion = function() {
+  this.deletion = {
+    requestedAt: new Date(),
+    scheduledFor: new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+userSchema.methods.cancelDeletion = function() {
+  this.deletion.requestedAt = undefined;
+  this.deletion.scheduledFor = undefined;
+};
+
+// Method to strip personal data from the account itself.
+// Points, badges and statistics are kept so leaderboards and NGO totals stay correct.
+userSchema.methods.anonymise = function() {
+  this.name = 'Deleted User';
+  this.email = `deleted-${this._id}@deleted.sevasetu.org`;
+  this.password = crypto.randomBytes(32).toString('hex');
+  this.passwordHistory = [];
+  this.profile = { avatar: '' };
+  this.skills = [];
+  this.interests = [];
+  this.ssoIdentities = [];
+  this.affiliation = {};
+  this.availability = { days: [], timeSlots: [] };
+  this.points.earned.forEach(entry => { entry.reason = undefined; });
+  this.preferences.notifications = { email: false, sms: false, push: false };
+  this.preferences.privacy = { showProfile: false, showStats: false };
+  this.isActive = false;
+  this.verificationToken = undefined;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.unlockToken = undefined;
+  this.unlockExpires = undefined;
+  this.disableTwoFactor();
+  this.lastLogin = undefined;
+  this.cancelDeletion();
+  this.deletedAt = new Date();
+};
+
+userSchema.statics.ROLES = ROLES;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -6,9 +6,10 @@ class NGODashboard {
         this.init();
     }
 
-    init() {
+    async init() {
         // Check authentication and role
-        this.checkAuth();
+        const authorized = await this.checkAuth();
+        if (!authorized) return;
         
         // Load user data
         this.loadUserData();
@@ -20,20 +21,22 @@ class NGODashboard {
         this.showNGOSection('overview');
     }
 
-    checkAuth() {
-        const user = JSON.parse(localStorage.getItem('sevasetu_user') || '{}');
+    async checkAuth() {
+        const user = await verifySession();
         
-        if (!user.id || user.role !== 'ngo' || !user.isVerified) {
+        if (!user) {
             window.location.href = 'auth.html';
-            return;
+            return false;
         }
         
-        if (!user.isApproved) {
-            window.location.href = 'pending-approval.html';
-            return;
+        const dashboardUrl = getDashboardUrl(user);
+        if (dashboardUrl !== 'ngo-dashboard.html') {
+            window.location.href = dashboardUrl;
+            return false;
         }
         
         this.currentUser = user;
+        return true;
     }
 
     loadUserData() {
@@ -44,7 +47,7 @@ class NGODashboard {
         nameElements.forEach(id => {
             const element = document.getElementById(id);
             if (element) {
-                element.textContent = this.currentUser.name || 'NGO Organization';
+                element.textContent = this.currentUser.ngo?.name || this.currentUser.name || 'NGO Organization';
             }
         });
         
@@ -299,10 +302,10 @@ class NGODashboard {
         alert('Settings page coming soon!');
     }
 
-    logout() {
+    async logout() {
         const confirmation = confirm('Are you sure you want to logout?');
         if (confirmation) {
-            localStorage.removeItem('sevasetu_user');
+            await logoutSession();
             window.location.href = 'index.html';
         }
     }
@@ -1,21 +1,66 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const NGO = require('../models/NGO');
 const Project = require('../models/Project');
 const Task = require('../models/Task');
-const { verifyToken, requireAdmin } = require('../utils/auth');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const {
+  verifyToken,
+  generateImpersonationToken,
+  blockImpersonation,
+  TWO_FACTOR_POLICY_KEY,
+  getTwoFactorRequiredRoles
+} = require('../utils/auth');
+const { authorize } = require('../utils/permissions');
 const { sendProjectApprovalEmail } = require('../utils/email');
+const { getJobStatuses, runJobSoon } = require('../utils/scheduler');
 
 const router = express.Router();
 
-// Apply admin middleware to all routes
-router.use(verifyToken, requireAdmin);
+// Filters shared by the audit log listing and its CSV export
+const auditLogFilters = [
+  query('actor').optional().isMongoId().withMessage('actor must be a user ID'),
+  query('resourceId').optional().isMongoId().withMessage('resourceId must be an ID'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+];
+
+const buildAuditLogQuery = ({ actor, action, resourceType, resourceId, from, to }) => {
+  const filter = {};
+
+  if (actor) filter.actor = actor;
+  if (action) filter.action = String(action);
+  if (resourceType) filter['resource.type'] = String(resourceType);
+  if (resourceId) filter['resource.id'] = resourceId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+const toCSVField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Stop spreadsheet apps from treating a value as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Apply admin middleware to all routes; staff roles named in the 2FA policy
+// must have passed 2FA, like every other role in it
+router.use(verifyToken, authorize('admin:access'));
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
-// @access  Private (Admin only)
-router.get('/dashboard', async (req, res) => {
+// @access  Private (Admin or Moderator)
+router.get('/dashboard', authorize('admin:dashboard'), async (req, res) => {
   try {
     // Get overall statistics
     const totalUsers = await User.countDocuments({ isActive: true });
@@ -128,7 +173,7 @@ router.get('/dashboard', async (req, res) => {
 // @route   GET /api/admin/users
 // @desc    Get all users with filtering and pagination
 // @access  Private (Admin only)
-router.get('/users', async (req, res) => {
+router.get('/users', authorize('user:manage'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -192,7 +237,7 @@ router.get('/users', async (req, res) => {
 // @route   PUT /api/admin/users/:id/status
 // @desc    Update user status (activate/deactivate)
 // @access  Private (Admin only)
-router.put('/users/:id/status', [
+router.put('/users/:id/status', authorize('user:manage'), [
   body('isActive').isBoolean().withMessage('isActive must be a boolean'),
   body('reason').optional().trim().isLength({ max: 500 })
 ], async (req, res) => {
@@ -216,9 +261,23 @@ router.put('/users/:id/status', [
       });
     }
 
+    const before = AuditLog.snapshot(user, ['isActive']);
     user.isActive = isActive;
     await user.save();
 
+    // Deactivated accounts are signed out everywhere straight away
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id, 'account-deactivated');
+    }
+
+    await AuditLog.record(req, {
+      action: 'user:update-status',
+      target: user,
+      before,
+      after: AuditLog.snapshot(user, ['isActive']),
+      details: reason ? { reason } : undefined
+    });
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -235,10 +294,371 @@ router.put('/users/:id/status', [
   }
 });
 
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's platform role
+// @access  Private (Admin only)
+router.put('/users/:id/role', authorize('user:manage'), [
+  body('role').isIn(User.ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = AuditLog.snapshot(user, ['role']);
+    user.role = req.body.role;
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: 'user:update-role',
+      target: user,
+      before,
+      after: AuditLog.snapshot(user, ['role'])
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { user: { id: user._id, name: user.name, role: user.role } }
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Start a time-limited support session to view the platform as a user
+// @access  Private (Admin only)
+router.post('/users/:id/impersonate', authorize('user:impersonate'), [
+  body('reason').trim().isLength({ min: 10, max: 500 }).withMessage('Please give a reason of 10 to 500 characters'),
+  body('allowWrites').optional().isBoolean().withMessage('allowWrites must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Staff accounts can't be impersonated, which also rules out impersonating yourself
+    if (!['volunteer', 'ngo'].includes(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only volunteer and NGO accounts can be impersonated'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot impersonate a deactivated account'
+      });
+    }
+
+    const { reason } = req.body;
+    const allowWrites = req.body.allowWrites === true;
+    const session = await Session.startImpersonation(user._id, req.user._id, req, {
+      reason,
+      allowWrites,
+      twoFactorVerified: req.twoFactorVerified
+    });
+
+    await AuditLog.record(req, {
+      action: 'user:impersonate',
+      target: user,
+      details: { reason, allowWrites, session: session._id, expiresAt: session.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Viewing as ${user.name} until ${session.expiresAt.toISOString()}`,
+      data: {
+        token: generateImpersonationToken(session),
+        session: {
+          id: session._id,
+          allowWrites,
+          expiresAt: session.expiresAt
+        },
+        user: { id: user._id, name: user.name, email: user.email, role: user.role }
+      }
+    });
+
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/admin/impersonations
+// @desc    List impersonation sessions for review
+// @access  Private (Admin only)
+router.get('/impersonations', authorize('user:impersonate'), [
+  query('staff').optional().isMongoId().withMessage('staff must be a user ID'),
+  query('user').optional().isMongoId().withMessage('user must be a user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { 'impersonation.by': req.query.staff || { $exists: true } };
+    if (req.query.user) filter.user = req.query.user;
+
+    const sessions = await Session.find(filter)
+      .select('user impersonation ip createdAt lastUsedAt expiresAt revokedAt revokedReason')
+      .populate('user', 'name email role')
+      .populate('impersonation.by', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await Session.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get impersonations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/admin/impersonations/:id
+// @desc    End an impersonation session early
+// @access  Private (Admin only)
+router.delete('/impersonations/:id', authorize('user:impersonate'), async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      'impersonation.by': { $exists: true }
+    });
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active impersonation session not found'
+      });
+    }
+
+    await session.revoke('impersonation-ended');
+
+    await AuditLog.record(req, {
+      action: 'user:end-impersonation',
+      target: session,
+      details: { user: session.user, startedBy: session.impersonation.by }
+    });
+
+    res.json({
+      success: true,
+      message: 'Impersonation session ended'
+    });
+
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/admin/api-keys
+// @desc    List partner API keys across the platform
+// @access  Private (Admin only)
+router.get('/api-keys', authorize('api-key:manage'), [
+  query('ngo').optional().isMongoId().withMessage('ngo must be an NGO ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { ngo, status } = req.query;
+    const filter = {};
+    if (ngo) filter.ngo = ngo;
+    if (status === 'active') filter.revokedAt = null;
+    if (status === 'revoked') filter.revokedAt = { $ne: null };
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('ngo', 'name')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { apiKeys, scopes: ApiKey.SCOPES }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/admin/api-keys
+// @desc    Create a platform API key (the key is only shown once)
+// @access  Private (Admin only)
+router.post('/api-keys', authorize('api-key:manage'), blockImpersonation, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Key name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(Object.keys(ApiKey.SCOPES)).withMessage('Invalid scope'),
+  body('rateLimit').optional().isInt({ min: 1, max: 1000 }).withMessage('rateLimit must be 1-1000 requests per minute'),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, rateLimit, expiresAt } = req.body;
+    const { apiKey, key } = await ApiKey.generate({
+      name,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user._id,
+      rateLimit,
+      expiresAt
+    });
+
+    await AuditLog.record(req, {
+      action: 'api-key:create',
+      target: apiKey,
+      details: { scopes: apiKey.scopes, rateLimit: apiKey.rateLimit }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { apiKey, key }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke any API key
+// @access  Private (Admin only)
+router.delete('/api-keys/:id', authorize('api-key:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await apiKey.revoke(req.user._id);
+
+    await AuditLog.record(req, {
+      action: 'api-key:revoke',
+      target: apiKey,
+      details: { ngo: apiKey.ngo }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/admin/ngos
 // @desc    Get all NGOs with filtering and pagination
-// @access  Private (Admin only)
-router.get('/ngos', async (req, res) => {
+// @access  Private (Admin or Moderator)
+router.get('/ngos', authorize('ngo:list-all'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -298,8 +718,8 @@ router.get('/ngos', async (req, res) => {
 
 // @route   PUT /api/admin/ngos/:id/verify
 // @desc    Verify or reject NGO
-// @access  Private (Admin only)
-router.put('/ngos/:id/verify', [
+// @access  Private (Admin or Moderator)
+router.put('/ngos/:id/verify', authorize('ngo:verify'), [
   body('status').isIn(['verified', 'rejected']).withMessage('Status must be verified or rejected'),
   body('rejectionReason').optional().trim().isLength({ max: 1000 })
 ], async (req, res) => {
@@ -323,6 +743,9 @@ router.put('/ngos/:id/verify', [
       });
     }
 
+    const auditPaths = ['verification.status', 'verification.rejectionReason'];
+    const before = AuditLog.snapshot(ngo, auditPaths);
+
     ngo.verification.status = status;
     ngo.verification.verifiedBy = req.user.id;
     ngo.verification.verifiedDate = new Date();
@@ -333,6 +756,13 @@ router.put('/ngos/:id/verify', [
 
     await ngo.save();
 
+    await AuditLog.record(req, {
+      action: 'ngo:verify',
+      target: ngo,
+      before,
+      after: AuditLog.snapshot(ngo, auditPaths)
+    });
+
     // Send notification email
     const emailSubject = status === 'verified' ? 'NGO Verification Approved' : 'NGO Verification Rejected';
     const emailContent = status === 'verified' 
@@ -365,8 +795,8 @@ router.put('/ngos/:id/verify', [
 
 // @route   GET /api/admin/projects
 // @desc    Get all projects with filtering and pagination
-// @access  Private (Admin only)
-router.get('/projects', async (req, res) => {
+// @access  Private (Admin or Moderator)
+router.get('/projects', authorize('project:list-all'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -429,10 +859,12 @@ router.get('/projects', async (req, res) => {
 
 // @route   PUT /api/admin/projects/:id/approve
 // @desc    Approve or reject project
-// @access  Private (Admin only)
-router.put('/projects/:id/approve', [
+// @access  Private (Admin or Moderator)
+router.put('/projects/:id/approve', authorize('project:approve'), [
   body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
-  body('rejectionReason').optional().trim().isLength({ max: 1000 })
+  body('rejectionReason').optional().trim().isLength({ max: 1000 }).withMessage('Rejection reason cannot exceed 1000 characters'),
+  body('rejectionReason').if(body('status').equals('rejected'))
+    .trim().notEmpty().withMessage('A rejection reason is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -454,15 +886,25 @@ router.put('/projects/:id/approve', [
       });
     }
 
-    project.status = status === 'approved' ? 'active' : 'rejected';
-    project.approvedBy = req.user.id;
-    project.approvedDate = new Date();
-    
-    if (status === 'rejected' && rejectionReason) {
-      project.rejectionReason = rejectionReason;
+    const event = status === 'approved' ? 'approve' : 'reject';
+    if (!project.canTransition(event)) {
+      return res.status(409).json({
+        success: false,
+        message: `Only projects pending approval can be ${status}; this one is ${project.status}`
+      });
     }
 
-    await project.save();
+    const auditPaths = ['status', 'rejectionReason'];
+    const before = AuditLog.snapshot(project, auditPaths);
+
+    await project.transition(event, { changedBy: req.user._id, reason: rejectionReason });
+
+    await AuditLog.record(req, {
+      action: `project:${event}`,
+      target: project,
+      before,
+      after: AuditLog.snapshot(project, auditPaths)
+    });
 
     // Send notification email
     if (status === 'approved') {
@@ -502,7 +944,7 @@ router.put('/projects/:id/approve', [
 // @route   PUT /api/admin/projects/:id/featured
 // @desc    Toggle project featured status
 // @access  Private (Admin only)
-router.put('/projects/:id/featured', [
+router.put('/projects/:id/featured', authorize('project:feature'), [
   body('featured').isBoolean().withMessage('featured must be a boolean')
 ], async (req, res) => {
   try {
@@ -525,9 +967,17 @@ router.put('/projects/:id/featured', [
       });
     }
 
+    const before = AuditLog.snapshot(project, ['featured']);
     project.featured = featured;
     await project.save();
 
+    await AuditLog.record(req, {
+      action: 'project:feature',
+      target: project,
+      before,
+      after: AuditLog.snapshot(project, ['featured'])
+    });
+
     res.json({
       success: true,
       message: `Project ${featured ? 'featured' : 'unfeatured'} successfully`,
@@ -553,7 +1003,7 @@ router.put('/projects/:id/featured', [
 // @route   GET /api/admin/analytics
 // @desc    Get detailed analytics
 // @access  Private (Admin only)
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', authorize('admin:analytics'), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -641,4 +1091,236 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/admin/settings/two-factor
+// @desc    Get the roles that must use two-factor authentication
+// @access  Private (Admin only)
+router.get('/settings/two-factor', authorize('settings:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { requiredRoles: await getTwoFactorRequiredRoles() }
+    });
+
+  } catch (error) {
+    console.error('Get 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings/two-factor
+// @desc    Set the roles that must use two-factor authentication
+// @access  Private (Admin only)
+router.put('/settings/two-factor', authorize('settings:manage'), [
+  body('requiredRoles').isArray().withMessage('requiredRoles must be an array'),
+  body('requiredRoles.*').isIn(User.ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const requiredRoles = [...new Set(req.body.requiredRoles)];
+
+    // Otherwise the admin's own session would be shut out of the admin area
+    if (requiredRoles.includes(req.user.role) && !req.twoFactorVerified) {
+      return res.status(409).json({
+        success: false,
+        message: 'Set up two-factor authentication and sign in with it before requiring it for your own role'
+      });
+    }
+
+    const previousRoles = await getTwoFactorRequiredRoles();
+    const setting = await Setting.setValue(TWO_FACTOR_POLICY_KEY, requiredRoles, req.user._id);
+
+    await AuditLog.record(req, {
+      action: 'settings:manage',
+      target: setting,
+      before: { value: previousRoles },
+      after: { value: requiredRoles }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: { requiredRoles }
+    });
+
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    List background jobs with their schedule and last run
+// @access  Private (Admin only)
+router.get('/jobs', authorize('jobs:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { jobs: await getJobStatuses() }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Run a background job at the next scheduler check instead of waiting for its time
+// @access  Private (Admin only)
+router.post('/jobs/:name/run', authorize('jobs:manage'), async (req, res) => {
+  try {
+    const job = await runJobSoon(req.params.name);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'jobs:manage',
+      target: job,
+      details: { runRequested: true }
+    });
+
+    res.json({
+      success: true,
+      message: 'Job will run within a minute',
+      data: { job: { name: job.name, nextRunAt: job.nextRunAt } }
+    });
+
+  } catch (error) {
+    console.error('Run scheduled job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    List audit log entries, filterable by actor, action, resource and date
+// @access  Private (Admin only)
+router.get('/audit-log', authorize('audit:view'), auditLogFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = buildAuditLogQuery(req.query);
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-log/export
+// @desc    Download matching audit log entries as CSV
+// @access  Private (Admin only)
+router.get('/audit-log/export', authorize('audit:view'), auditLogFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const columns = [
+      'timestamp', 'actorId', 'actorName', 'actorEmail', 'actorRole', 'action',
+      'resourceType', 'resourceId', 'resourceLabel', 'before', 'after', 'details', 'ip', 'userAgent'
+    ];
+
+    const cursor = AuditLog.find(buildAuditLogQuery(req.query))
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(`${columns.join(',')}\n`);
+
+    for await (const entry of cursor) {
+      const actor = entry.actor || {};
+      const resource = entry.resource || {};
+      const changes = entry.changes || {};
+      const row = [
+        entry.createdAt.toISOString(), actor._id && String(actor._id), actor.name, actor.email, entry.actorRole, entry.action,
+        resource.type, resource.id && String(resource.id), resource.label, changes.before, changes.after, entry.details,
+        entry.ip, entry.userAgent
+      ];
+      res.write(`${row.map(toCSVField).join(',')}\n`);
+    }
+
+    res.end();
+
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,206 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const NGO = require('../models/NGO');
-const { sendEmail } = require('../utils/email');
-const { generateToken, verifyToken } = require('../utils/auth');
+const Session = require('../models/Session');
+const SsoLogin = require('../models/SsoLogin');
+const {
+  sendEmail,
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail
+} = require('../utils/email');
+const { getEnrolment } = require('../utils/totp');
+const oidc = require('../utils/oidc');
+const { passwordPolicyRule } = require('../utils/passwordPolicy');
+const { authorize } = require('../utils/permissions');
+const {
+  generateToken,
+  createSession,
+  verifyToken,
+  verifyTokenDuringSetup,
+  blockImpersonation,
+  isTwoFactorRequired,
+  sensitiveOperationLimit
+} = require('../utils/auth');
 
 const router = express.Router();
 
+// Each 2FA route gets its own budget, so enrolling does not use up the attempts
+// left for signing in with a code. Signed-in routes count per user, not per IP.
+const twoFactorLimiter = () => rateLimit({
+  ...sensitiveOperationLimit,
+  keyGenerator: (req) => (req.user ? req.user.id : req.ip)
+});
+const accountRecoveryLimiter = rateLimit(sensitiveOperationLimit);
+// Exchange codes are long, random and single-use, so this only needs to stop
+// floods; many people may sign in with SSO from one campus or office address
+const ssoExchangeLimiter = rateLimit({ ...sensitiveOperationLimit, max: 50 });
+
+// Summarise the NGO an `ngo` account belongs to so the client can route it
+// to the dashboard or the pending-approval page
+const getNGOSummary = async (user) => {
+  if (user.role !== 'ngo') return null;
+
+  const ngo = await NGO.findOne({ 'members.user': user._id })
+    .select('name verification.status members');
+
+  if (!ngo) return null;
+
+  return {
+    id: ngo._id,
+    name: ngo.name,
+    verificationStatus: ngo.verification.status,
+    memberRole: ngo.getMemberRole(user._id)
+  };
+};
+
+// Count a failed sign-in and email an unlock link if it locks the account
+const recordFailedLogin = async (user) => {
+  const unlockToken = user.registerFailedLogin();
+  await user.save();
+
+  if (unlockToken) {
+    try {
+      const unlockUrl = `${process.env.FRONTEND_URL}/auth.html?unlockToken=${unlockToken}`;
+      await sendAccountLockedEmail(user.email, user.name, Math.ceil(user.getLockRemaining() / 60), unlockUrl);
+    } catch (emailError) {
+      console.error('Failed to send account locked email:', emailError);
+    }
+  }
+};
+
+const sendLockedResponse = (res, user) => {
+  const retryAfter = user.getLockRemaining();
+  return res.status(423).json({
+    success: false,
+    message: `Account is temporarily locked after too many failed sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes or use the unlock link we emailed you.`,
+    retryAfter
+  });
+};
+
+// Hold back the session until the second login step at /login/2fa
+const sendTwoFactorChallenge = (res, user) => {
+  const twoFactorToken = jwt.sign(
+    { id: user._id, purpose: 'two-factor-login' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+
+  return res.json({
+    success: true,
+    message: 'Enter the code from your authenticator app',
+    data: {
+      requiresTwoFactor: true,
+      twoFactorToken
+    }
+  });
+};
+
+// Finish signing a user in: start a session and send the login response
+const completeLogin = async (req, res, user, { twoFactorVerified = false } = {}) => {
+  user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await createSession(user._id, req, { twoFactorVerified });
+
+  // Remove password and 2FA secrets from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  userResponse.twoFactor = {
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt
+  };
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userResponse,
+      ngo: await getNGOSummary(user),
+      token,
+      refreshToken,
+      twoFactorSetupRequired: !user.twoFactor.enabled && await isTwoFactorRequired(user)
+    }
+  });
+};
+
+// Where a provider sends the browser back after single sign-on
+const getSsoCallbackUrl = (req, providerId) => {
+  const base = process.env.OIDC_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/api/auth/oidc/${encodeURIComponent(providerId)}/callback`;
+};
+
+const redirectToAuthPage = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL || ''}/auth.html?${new URLSearchParams(params).toString()}`);
+};
+
+// Find or create the account for a provider identity. Identities are linked to
+// existing accounts by email, but only when the provider has verified it.
+// Returns { user } or { error } with a message for the sign-in page.
+const resolveSsoUser = async (provider, claims) => {
+  let user = await User.findBySsoIdentity(provider.id, claims.sub);
+  let isNew = false;
+
+  if (!user) {
+    if (!oidc.hasVerifiedEmail(provider, claims)) {
+      return { error: 'Your organisation did not confirm your email address, so we could not sign you in.' };
+    }
+
+    const email = String(claims.email).toLowerCase();
+    user = await User.findOne({ email });
+
+    if (user && ['admin', 'moderator'].includes(user.role)) {
+      return { error: 'Staff accounts must sign in with their password.' };
+    }
+
+    if (!user) {
+      isNew = true;
+      user = new User({
+        name: String(claims.name || email.split('@')[0]).slice(0, 100),
+        email,
+        // Never used; the user can set a password later with "forgot password"
+        password: crypto.randomBytes(32).toString('hex'),
+        role: 'volunteer'
+      });
+    }
+
+    // The provider has proven ownership of the address
+    user.isVerified = true;
+  }
+
+  user.recordSsoLogin(provider.id, claims.sub);
+
+  const organisation = oidc.getOrganisation(provider, claims);
+  if (organisation) {
+    user.setAffiliation(organisation.slice(0, 200), provider.id);
+  }
+
+  await user.save();
+
+  if (isNew) {
+    try {
+      await sendWelcomeEmail(user.email, user.name);
+    } catch (emailError) {
+      console.error('Failed to send welcome email:', emailError);
+    }
+  }
+
+  return { user };
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post('/register', [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  passwordPolicyRule(),
   body('role').isIn(['volunteer', 'ngo']).withMessage('Role must be volunteer or ngo')
 ], async (req, res) => {
   try {
@@ -55,21 +240,32 @@ router.post('/register', [
     }
 
     const user = new User(userData);
+    const verificationCode = user.createVerificationCode();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Send email verification code
+    try {
+      await sendVerificationEmail(user.email, user.name, verificationCode);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+    }
+
+    // Start a session for the new account
+    const { token, refreshToken } = await createSession(user._id, req);
 
-    // Remove password from response
+    // Remove password and verification code hash from response
     const userResponse = user.toObject();
     delete userResponse.password;
+    delete userResponse.verificationToken;
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please verify your email with the code we sent you.',
       data: {
         user: userResponse,
-        token
+        token,
+        refreshToken,
+        requiresVerification: true
       }
     });
 
@@ -119,34 +315,30 @@ router.post('/login', [
       });
     }
 
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
+    }
+
     // Compare password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailedLogin(user);
+      if (user.isLocked) {
+        return sendLockedResponse(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = generateToken(user._id);
-
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    // Accounts with 2FA finish signing in at /login/2fa
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token
-      }
-    });
+    await completeLogin(req, res, user);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -158,19 +350,13 @@ router.post('/login', [
   }
 });
 
-// @route   POST /api/auth/register-ngo
-// @desc    Register a new NGO
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step for accounts with two-factor authentication
 // @access  Public
-router.post('/register-ngo', [
-  body('name').trim().isLength({ min: 2, max: 200 }).withMessage('NGO name must be between 2 and 200 characters'),
-  body('registrationNumber').trim().isLength({ min: 5 }).withMessage('Registration number is required'),
-  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('contactPerson.name').trim().isLength({ min: 2 }).withMessage('Contact person name is required'),
-  body('contactPerson.phone').isMobilePhone().withMessage('Please enter a valid phone number'),
-  body('contactPerson.email').isEmail().normalizeEmail().withMessage('Please enter a valid contact email'),
-  body('description').trim().isLength({ min: 50, max: 2000 }).withMessage('Description must be between 50 and 2000 characters'),
-  body('mission').trim().isLength({ min: 20, max: 1000 }).withMessage('Mission must be between 20 and 1000 characters'),
-  body('focusAreas').isArray({ min: 1 }).withMessage('At least one focus area is required')
+router.post('/login/2fa', twoFactorLimiter(), [
+  body('twoFactorToken').isJWT().withMessage('Invalid sign-in request'),
+  body('code').optional().trim().matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits'),
+  body('recoveryCode').optional().trim().isLength({ min: 10, max: 11 }).withMessage('Invalid recovery code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -182,74 +368,158 @@ router.post('/register-ngo', [
       });
     }
 
-    const ngoData = req.body;
-
-    // Check if NGO already exists
-    const existingNGO = await NGO.findOne({
-      $or: [
-        { email: ngoData.email },
-        { registrationNumber: ngoData.registrationNumber }
-      ]
-    });
+    const { twoFactorToken, code, recoveryCode } = req.body;
 
-    if (existingNGO) {
+    if (!code && !recoveryCode) {
       return res.status(400).json({
         success: false,
-        message: 'NGO already exists with this email or registration number'
+        message: 'Authentication code or recovery code is required'
       });
     }
 
-    // Create NGO
-    const ngo = new NGO(ngoData);
-    await ngo.save();
-
-    // Send notification email to admin
+    let decoded;
     try {
-      await sendEmail({
-        to: process.env.ADMIN_EMAIL,
-        subject: 'New NGO Registration - SevaSetu',
-        html: `
-          <h2>New NGO Registration</h2>
-          <p><strong>NGO Name:</strong> ${ngo.name}</p>
-          <p><strong>Registration Number:</strong> ${ngo.registrationNumber}</p>
-          <p><strong>Contact Person:</strong> ${ngo.contactPerson.name}</p>
-          <p><strong>Email:</strong> ${ngo.email}</p>
-          <p><strong>Focus Areas:</strong> ${ngo.focusAreas.join(', ')}</p>
-          <p>Please review and approve this registration.</p>
-        `
+      decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'two-factor-login') {
+      return res.status(401).json({
+        success: false,
+        message: 'Your sign-in has expired. Please log in again.'
       });
-    } catch (emailError) {
-      console.error('Failed to send notification email:', emailError);
     }
 
-    res.status(201).json({
-      success: true,
-      message: 'NGO registration submitted successfully. It will be reviewed by our team.',
-      data: {
-        ngo: {
-          id: ngo._id,
-          name: ngo.name,
-          email: ngo.email,
-          status: ngo.verification.status
-        }
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
+    }
+
+    const isValid = code ? user.checkTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+    if (!isValid) {
+      await recordFailedLogin(user);
+      if (user.isLocked) {
+        return sendLockedResponse(res, user);
       }
-    });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(req, res, user, { twoFactorVerified: true });
 
   } catch (error) {
-    console.error('NGO registration error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during NGO registration',
+      message: 'Server error during login',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// @route   POST /api/auth/forgot-password
-// @desc    Send password reset email
+// @route   GET /api/auth/oidc/providers
+// @desc    List the single sign-on providers shown on the sign-in page
 // @access  Public
-router.post('/forgot-password', [
-  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: oidc.listProviders() }
+  });
+});
+
+// @route   GET /api/auth/oidc/:provider/login
+// @desc    Start single sign-on by redirecting to the provider
+// @access  Public
+router.get('/oidc/:provider/login', async (req, res) => {
+  const provider = oidc.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sign-in provider not found'
+    });
+  }
+
+  try {
+    const { state, nonce, codeChallenge } = await SsoLogin.begin(provider.id);
+    const authorizationUrl = await oidc.buildAuthorizationUrl(provider, {
+      state,
+      nonce,
+      codeChallenge,
+      redirectUri: getSsoCallbackUrl(req, provider.id)
+    });
+
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    console.error('SSO login error:', error);
+    redirectToAuthPage(res, { ssoError: 'Could not reach your organisation\'s sign-in service. Please try again later.' });
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Finish single sign-on when the provider redirects back
+// @access  Public
+router.get('/oidc/:provider/callback', async (req, res) => {
+  const provider = oidc.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sign-in provider not found'
+    });
+  }
+
+  try {
+    const { code, state, error } = req.query;
+
+    if (error) {
+      return redirectToAuthPage(res, { ssoError: 'Sign-in was cancelled or refused by your organisation.' });
+    }
+
+    const login = code && state && await SsoLogin.claimState(provider.id, String(state));
+    if (!login) {
+      return redirectToAuthPage(res, { ssoError: 'Your sign-in has expired. Please try again.' });
+    }
+
+    const tokens = await oidc.exchangeCode(provider, {
+      code: String(code),
+      codeVerifier: login.codeVerifier,
+      redirectUri: getSsoCallbackUrl(req, provider.id)
+    });
+    const claims = await oidc.verifyIdToken(provider, tokens.id_token, login.nonce);
+
+    const result = await resolveSsoUser(provider, claims);
+    if (result.error) {
+      return redirectToAuthPage(res, { ssoError: result.error });
+    }
+
+    // The session itself is handed over by POST /oidc/exchange, keeping tokens out of URLs
+    const loginCode = await login.issueLoginCode(result.user._id);
+    redirectToAuthPage(res, { ssoCode: loginCode });
+
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectToAuthPage(res, { ssoError: 'Single sign-on failed. Please try again.' });
+  }
+});
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Exchange the one-time code from single sign-on for a session
+// @access  Public
+router.post('/oidc/exchange', ssoExchangeLimiter, [
+  body('code').isString().isLength({ min: 20, max: 100 }).withMessage('Invalid sign-in code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -261,66 +531,48 @@ router.post('/forgot-password', [
       });
     }
 
-    const { email } = req.body;
-
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    const login = await SsoLogin.redeemLoginCode(req.body.code);
+    if (!login) {
+      return res.status(401).json({
         success: false,
-        message: 'User not found with this email'
+        message: 'Your sign-in has expired. Please try again.'
       });
     }
 
-    // Generate reset token
-    const resetToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    const user = await User.findById(login.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
 
-    // Save reset token and expiry
-    user.passwordResetToken = resetToken;
-    user.passwordResetExpires = Date.now() + 3600000; // 1 hour
-    await user.save();
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
+    }
 
-    // Send reset email
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-    
-    await sendEmail({
-      to: user.email,
-      subject: 'Password Reset - SevaSetu',
-      html: `
-        <h2>Password Reset Request</h2>
-        <p>Hi ${user.name},</p>
-        <p>You requested a password reset for your SevaSetu account.</p>
-        <p>Click the link below to reset your password:</p>
-        <a href="${resetUrl}" style="background: #667eea; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
-        <p>This link will expire in 1 hour.</p>
-        <p>If you didn't request this, please ignore this email.</p>
-      `
-    });
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
 
-    res.json({
-      success: true,
-      message: 'Password reset email sent successfully'
-    });
+    await completeLogin(req, res, user);
 
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('SSO exchange error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during password reset request',
+      message: 'Server error during login',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// @route   POST /api/auth/reset-password
-// @desc    Reset password with token
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the emailed code
 // @access  Public
-router.post('/reset-password', [
-  body('token').exists().withMessage('Reset token is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+router.post('/verify-email', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('otp').trim().matches(/^\d{6}$/).withMessage('Verification code must be 6 digits')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -332,84 +584,965 @@ router.post('/reset-password', [
       });
     }
 
-    const { token, password } = req.body;
+    const { email, otp } = req.body;
 
-    // Verify token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (error) {
+    const user = await User.findOne({ email }).select('+verificationToken');
+    if (!user) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired reset token'
+        message: 'Invalid or expired verification code'
       });
     }
 
-    // Find user with valid reset token
-    const user = await User.findOne({
-      _id: decoded.userId,
-      passwordResetToken: token,
-      passwordResetExpires: { $gt: Date.now() }
-    });
+    if (user.isVerified) {
+      return res.json({
+        success: true,
+        message: 'Email is already verified'
+      });
+    }
 
-    if (!user) {
+    const result = user.checkVerificationCode(otp);
+    await user.save();
+
+    if (result === 'expired') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired reset token'
+        message: 'Verification code has expired. Please request a new one.'
       });
     }
 
-    // Update password
-    user.password = password;
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
-    await user.save();
+    if (result === 'locked') {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new code.'
+      });
+    }
 
-    res.json({
-      success: true,
+    if (result === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification code'
+      });
+    }
+
+    // Send welcome email now that the account is confirmed
+    try {
+      await sendWelcomeEmail(user.email, user.name);
+    } catch (emailError) {
+      console.error('Failed to send welcome email:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification code
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found with this email'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const cooldown = user.getVerificationCooldown();
+    if (cooldown > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${cooldown} seconds before requesting another code`,
+        retryAfter: cooldown
+      });
+    }
+
+    const verificationCode = user.createVerificationCode();
+    await user.save();
+
+    await sendVerificationEmail(user.email, user.name, verificationCode);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent successfully'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/register-ngo
+// @desc    Register a new NGO owned by the current user
+// @access  Private (NGO accounts)
+router.post('/register-ngo', verifyTokenDuringSetup, authorize('ngo:register'), [
+  body('name').trim().isLength({ min: 2, max: 200 }).withMessage('NGO name must be between 2 and 200 characters'),
+  body('registrationNumber').trim().isLength({ min: 5 }).withMessage('Registration number is required'),
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('contactPerson.name').trim().isLength({ min: 2 }).withMessage('Contact person name is required'),
+  body('contactPerson.phone').isMobilePhone().withMessage('Please enter a valid phone number'),
+  body('contactPerson.email').isEmail().normalizeEmail().withMessage('Please enter a valid contact email'),
+  body('description').trim().isLength({ min: 50, max: 2000 }).withMessage('Description must be between 50 and 2000 characters'),
+  body('mission').trim().isLength({ min: 20, max: 1000 }).withMessage('Mission must be between 20 and 1000 characters'),
+  body('focusAreas').isArray({ min: 1 }).withMessage('At least one focus area is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ngoData = req.body;
+
+    // Check if NGO already exists
+    const existingNGO = await NGO.findOne({
+      $or: [
+        { email: ngoData.email },
+        { registrationNumber: ngoData.registrationNumber }
+      ]
+    });
+
+    if (existingNGO) {
+      return res.status(400).json({
+        success: false,
+        message: 'NGO already exists with this email or registration number'
+      });
+    }
+
+    // Create NGO with the registering account as its owner
+    delete ngoData.owner;
+    delete ngoData.members;
+    delete ngoData.invitations;
+
+    const ngo = new NGO(ngoData);
+    ngo.setMember(req.user._id, 'owner', req.user._id);
+    await ngo.save();
+
+    // Send notification email to admin
+    try {
+      await sendEmail({
+        to: process.env.ADMIN_EMAIL,
+        subject: 'New NGO Registration - SevaSetu',
+        html: `
+          <h2>New NGO Registration</h2>
+          <p><strong>NGO Name:</strong> ${ngo.name}</p>
+          <p><strong>Registration Number:</strong> ${ngo.registrationNumber}</p>
+          <p><strong>Contact Person:</strong> ${ngo.contactPerson.name}</p>
+          <p><strong>Email:</strong> ${ngo.email}</p>
+          <p><strong>Focus Areas:</strong> ${ngo.focusAreas.join(', ')}</p>
+          <p>Please review and approve this registration.</p>
+        `
+      });
+    } catch (emailError) {
+      console.error('Failed to send notification email:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'NGO registration submitted successfully. It will be reviewed by our team.',
+      data: {
+        ngo: {
+          id: ngo._id,
+          name: ngo.name,
+          email: ngo.email,
+          status: ngo.verification.status
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('NGO registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during NGO registration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', accountRecoveryLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found with this email'
+      });
+    }
+
+    // Generate reset token
+    const resetToken = jwt.sign(
+      { userId: user._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    // Save reset token and expiry
+    user.passwordResetToken = resetToken;
+    user.passwordResetExpires = Date.now() + 3600000; // 1 hour
+    await user.save();
+
+    // Send reset email
+    const resetUrl = `${process.env.FRONTEND_URL}/auth.html?resetToken=${resetToken}`;
+    
+    await sendEmail({
+      to: user.email,
+      subject: 'Password Reset - SevaSetu',
+      html: `
+        <h2>Password Reset Request</h2>
+        <p>Hi ${user.name},</p>
+        <p>You requested a password reset for your SevaSetu account.</p>
+        <p>Click the link below to reset your password:</p>
+        <a href="${resetUrl}" style="background: #667eea; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
+        <p>This link will expire in 1 hour.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+      `
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset email sent successfully'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with token
+// @access  Public
+router.post('/reset-password', accountRecoveryLimiter, [
+  body('token').exists().withMessage('Reset token is required'),
+  passwordPolicyRule()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    // Verify token
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Find user with valid reset token
+    const user = await User.findOne({
+      _id: decoded.userId,
+      passwordResetToken: token,
+      passwordResetExpires: { $gt: Date.now() }
+    }).select('+password +passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    if (await user.isPasswordReused(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a password you have not used recently'
+      });
+    }
+
+    // Update password; proving access to the inbox also lifts any lockout
+    user.changePassword(password);
+    user.resetLoginAttempts();
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user._id, 'password-reset');
+
+    res.json({
+      success: true,
       message: 'Password reset successfully'
     });
 
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the current user's password
+// @access  Private
+router.post('/change-password', verifyToken, blockImpersonation, [
+  body('currentPassword').exists().withMessage('Current password is required'),
+  passwordPolicyRule('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a password you have not used recently'
+      });
+    }
+
+    user.changePassword(newPassword);
+    await user.save();
+
+    // Keep this device signed in and end every other session
+    await Session.revokeAllForUser(user._id, 'password-change', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/unlock
+// @desc    Lift a sign-in lockout using the emailed unlock link
+// @access  Public
+router.post('/unlock', accountRecoveryLimiter, [
+  body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid unlock token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByUnlockToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock link'
+      });
+    }
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Your account has been unlocked. You can sign in again.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-token
+// @desc    Verify JWT token
+// @access  Private
+router.get('/verify-token', verifyTokenDuringSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Let the client show who is viewing the account during a support session
+    let impersonation;
+    if (req.impersonator) {
+      const session = await Session.findById(req.sessionId).select('impersonation expiresAt');
+      impersonation = {
+        by: { id: req.impersonator._id, name: req.impersonator.name },
+        allowWrites: session.impersonation.allowWrites,
+        expiresAt: session.expiresAt
+      };
+    }
+
+    res.json({
+      success: true,
+      message: 'Token is valid',
+      data: {
+        user,
+        ngo: await getNGOSummary(user),
+        twoFactor: {
+          enabled: user.twoFactor.enabled,
+          verified: req.twoFactorVerified,
+          setupRequired: !user.twoFactor.enabled && await isTwoFactorRequired(user)
+        },
+        impersonation
+      }
+    });
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isHexadecimal().isLength({ min: 80, max: 80 }).withMessage('Invalid refresh token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { session, reused } = await Session.findByRefreshToken(req.body.refreshToken);
+
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
+
+    // A rotated token coming back means it was copied; end the session
+    if (reused) {
+      await session.revoke('token-reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
+
+    const user = await User.findById(session.user).select('isActive');
+    if (!user || !user.isActive) {
+      await session.revoke('account-deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    const refreshToken = session.issueRefreshToken();
+    session.ip = req.ip;
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token: generateToken(user._id, session._id),
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during password reset',
+      message: 'Server error during token refresh',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// @route   GET /api/auth/verify-token
-// @desc    Verify JWT token
+// @route   POST /api/auth/logout
+// @desc    End the session a refresh token belongs to
+// @access  Public
+router.post('/logout', [
+  body('refreshToken').isHexadecimal().isLength({ min: 80, max: 80 }).withMessage('Invalid refresh token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { session } = await Session.findByRefreshToken(req.body.refreshToken);
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
 // @access  Private
-router.get('/verify-token', verifyToken, async (req, res) => {
+router.get('/sessions', verifyToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
-    
-    if (!user) {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: session._id.equals(req.sessionId)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', verifyToken, blockImpersonation, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Session not found'
       });
     }
 
+    await session.revoke('user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's other sessions
+// @access  Private
+router.delete('/sessions', verifyToken, blockImpersonation, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'user', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      data: { revoked: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/2fa', verifyTokenDuringSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
     res.json({
       success: true,
-      message: 'Token is valid',
       data: {
-        user
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: await isTwoFactorRequired(user),
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
       }
     });
 
   } catch (error) {
-    console.error('Token verification error:', error);
+    console.error('Get 2FA status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during token verification',
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment and get the authenticator QR code
+// @access  Private
+router.post('/2fa/setup', verifyTokenDuringSetup, blockImpersonation, twoFactorLimiter(), [
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: await getEnrolment(secret, user.email)
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code from the authenticator app
+// @access  Private
+router.post('/2fa/enable', verifyTokenDuringSetup, blockImpersonation, twoFactorLimiter(), [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = user.enableTwoFactor(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.save();
+
+    // This session has just proved the second factor; sign out the others
+    await Session.updateOne({ _id: req.sessionId }, { twoFactorVerified: true });
+    await Session.revokeAllForUser(user._id, 'two-factor-enabled', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', verifyToken, blockImpersonation, twoFactorLimiter(), [
+  body('password').exists().withMessage('Password is required'),
+  body('code').trim().matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account and cannot be turned off'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !user.checkTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password or authentication code'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', verifyToken, blockImpersonation, twoFactorLimiter(), [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.checkTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const Project = require('../models/Project');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken } = require('../utils/auth');
+const { can } = require('../utils/permissions');
+const {
+  getVerifyUrl,
+  renderCertificatePdf,
+  createCertificate,
+  notifyCertificateIssued,
+  issueCertificates
+} = require('../utils/certificates');
+
+const router = express.Router();
+
+const reasonValidation = body('reason').trim().isLength({ min: 1, max: 500 })
+  .withMessage('A reason of up to 500 characters is required');
+
+// Certificate IDs are case-insensitive when typed in
+const findByCertificateId = (id) => Certificate.findOne({ certificateId: String(id).trim().toUpperCase() });
+
+const formatCertificate = (certificate) => ({
+  ...certificate.toVerification(),
+  _id: certificate._id,
+  volunteer: certificate.volunteer,
+  project: certificate.project,
+  ngo: certificate.ngo,
+  verifyUrl: getVerifyUrl(certificate.certificateId)
+});
+
+// @route   GET /api/certificates
+// @desc    Get the current user's certificates
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ volunteer: req.user._id }).sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { certificates: certificates.map(formatCertificate) }
+    });
+
+  } catch (error) {
+    console.error('Get certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/certificates/projects/:projectId
+// @desc    Get the certificates issued for a project
+// @access  Private (NGO team or Admin)
+router.get('/projects/:projectId', verifyToken, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId).select('title ngo');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'certificate:view', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view certificates for this project'
+      });
+    }
+
+    const query = { project: project._id };
+    if (req.query.status) query.status = String(req.query.status);
+
+    const certificates = await Certificate.find(query).sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { certificates: certificates.map(formatCertificate) }
+    });
+
+  } catch (error) {
+    console.error('Get project certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/certificates/projects/:projectId
+// @desc    Issue a certificate to a volunteer who completed the project and has no valid one
+// @access  Private (NGO team or Admin)
+router.post('/projects/:projectId', verifyToken, [
+  body('volunteer').isMongoId().withMessage('Invalid volunteer ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'certificate:manage', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to issue certificates for this project'
+      });
+    }
+
+    const volunteer = project.volunteers.find(v => v.user.equals(req.body.volunteer));
+    if (!volunteer || volunteer.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Certificates are only issued to volunteers who completed the project'
+      });
+    }
+
+    if (await Certificate.exists({ project: project._id, volunteer: volunteer.user, status: 'valid' })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This volunteer already has a valid certificate; reissue it to update it'
+      });
+    }
+
+    const [certificate] = await issueCertificates(project, [volunteer.user]);
+    if (!certificate) {
+      return res.status(500).json({
+        success: false,
+        message: 'Certificate could not be issued'
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'certificate:issue',
+      target: certificate,
+      details: { certificateId: certificate.certificateId, volunteer: volunteer.user, project: project._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Certificate issued',
+      data: { certificate: formatCertificate(certificate) }
+    });
+
+  } catch (error) {
+    console.error('Issue certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/certificates/:id/verify
+// @desc    Check that a certificate is genuine and still valid
+// @access  Public
+router.get('/:id/verify', async (req, res) => {
+  try {
+    const certificate = await findByCertificateId(req.params.id);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate was issued with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: certificate.status === 'valid' ? 'This certificate is valid' : 'This certificate has been revoked',
+      data: { certificate: certificate.toVerification() }
+    });
+
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/certificates/:id/pdf
+// @desc    Download a certificate as a PDF
+// @access  Private (Certificate holder, NGO team or Admin)
+router.get('/:id/pdf', verifyToken, async (req, res) => {
+  try {
+    const certificate = await findByCertificateId(req.params.id);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    if (!certificate.volunteer.equals(req.user._id) && !(await can(req.user, 'certificate:view', certificate))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this certificate'
+      });
+    }
+
+    if (certificate.status === 'revoked') {
+      return res.status(410).json({
+        success: false,
+        message: certificate.replacedBy
+          ? `This certificate was replaced by ${certificate.replacedBy}`
+          : 'This certificate has been revoked'
+      });
+    }
+
+    const pdf = renderCertificatePdf(certificate);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="certificate-${certificate.certificateId}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/certificates/:id/revoke
+// @desc    Revoke a certificate, e.g. one issued by mistake
+// @access  Private (NGO team or Admin)
+router.post('/:id/revoke', verifyToken, [reasonValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const certificate = await findByCertificateId(req.params.id);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    if (!(await can(req.user, 'certificate:manage', certificate))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revoke this certificate'
+      });
+    }
+
+    if (certificate.status === 'revoked') {
+      return res.status(409).json({
+        success: false,
+        message: 'Certificate is already revoked'
+      });
+    }
+
+    certificate.revoke(req.body.reason, req.user._id);
+    await certificate.save();
+
+    await AuditLog.record(req, {
+      action: 'certificate:revoke',
+      target: certificate,
+      before: { status: 'valid' },
+      after: { status: 'revoked' },
+      details: { certificateId: certificate.certificateId, volunteer: certificate.volunteer, reason: req.body.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Certificate revoked',
+      data: { certificate: formatCertificate(certificate) }
+    });
+
+  } catch (error) {
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/certificates/:id/reissue
+// @desc    Replace a certificate with one showing current hours and the NGO's current template
+// @access  Private (NGO team or Admin)
+router.post('/:id/reissue', verifyToken, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const certificate = await findByCertificateId(req.params.id);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    if (!(await can(req.user, 'certificate:manage', certificate))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reissue this certificate'
+      });
+    }
+
+    if (certificate.status === 'revoked') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only valid certificates can be reissued'
+      });
+    }
+
+    const project = await Project.findById(certificate.project);
+    const volunteer = project && project.volunteers.find(v => v.user.equals(certificate.volunteer));
+    if (!volunteer || volunteer.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'The volunteer is no longer marked as having completed this project'
+      });
+    }
+
+    // Issue the replacement first so the volunteer is never left without a valid certificate
+    const { certificate: replacement, user } = await createCertificate(project, certificate.volunteer);
+
+    certificate.revoke(req.body.reason || 'Reissued', req.user._id);
+    certificate.replacedBy = replacement.certificateId;
+    await certificate.save();
+
+    await AuditLog.record(req, {
+      action: 'certificate:reissue',
+      target: replacement,
+      before: { certificateId: certificate.certificateId, hours: certificate.hours },
+      after: { certificateId: replacement.certificateId, hours: replacement.hours },
+      details: { volunteer: certificate.volunteer, reason: req.body.reason }
+    });
+
+    await notifyCertificateIssued(replacement, user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Certificate reissued',
+      data: {
+        certificate: formatCertificate(replacement),
+        replaced: formatCertificate(certificate)
+      }
+    });
+
+  } catch (error) {
+    console.error('Reissue certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,623 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, param, validationResult } = require('express-validator');
+const HourLog = require('../models/HourLog');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken } = require('../utils/auth');
+const { can } = require('../utils/permissions');
+const { sendHoursReviewedEmail } = require('../utils/email');
+
+const router = express.Router();
+
+// Volunteers can log hours for projects they are or were part of
+const LOGGING_STATUSES = ['accepted', 'completed'];
+
+const periodValidation = [
+  query('period').optional().isIn(Object.keys(HourLog.SUMMARY_PERIODS))
+    .withMessage(`period must be one of: ${Object.keys(HourLog.SUMMARY_PERIODS).join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+];
+
+const projectIdValidation = param('projectId').isMongoId().withMessage('Invalid project ID');
+const entryIdValidation = param('id').isMongoId().withMessage('Invalid entry ID');
+
+const entryValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('task').optional({ values: 'null' }).isMongoId().withMessage('Invalid task ID'),
+    field('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+    field('hours').isFloat({ min: 0.25, max: 24 }).withMessage('Hours must be between 0.25 and 24'),
+    field('description').trim().isLength({ min: 3, max: 1000 }).withMessage('Description must be between 3 and 1000 characters')
+  ];
+};
+
+// Date range filter on `date` from the from/to query parameters
+const dateRange = ({ from, to }) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+};
+
+// Summary rows plus totals across them
+const withTotals = (rows) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const summary = rows.map(({ _id, ...totals }) => ({
+    ..._id,
+    entries: totals.entries,
+    loggedHours: round(totals.loggedHours),
+    approvedHours: round(totals.approvedHours),
+    pendingHours: round(totals.pendingHours),
+    rejectedHours: round(totals.rejectedHours)
+  }));
+
+  const totals = ['entries', 'loggedHours', 'approvedHours', 'pendingHours', 'rejectedHours']
+    .reduce((sums, key) => ({ ...sums, [key]: round(summary.reduce((sum, row) => sum + row[key], 0)) }), {});
+
+  return { summary, totals };
+};
+
+// Check a new or edited entry against the project, its task and the day's other entries
+const checkEntry = async (entry, volunteer) => {
+  const project = await Project.findById(entry.project).select('title timeline volunteers');
+  if (!project) return { status: 404, message: 'Project not found' };
+
+  const member = project.volunteers.find(v => v.user.equals(volunteer._id));
+  if (!member || !LOGGING_STATUSES.includes(member.status)) {
+    return { status: 403, message: 'You can only log hours for projects you volunteer on' };
+  }
+
+  const firstDay = HourLog.dayOf(project.timeline.startDate);
+  if (entry.date < firstDay || entry.date > HourLog.dayOf(new Date())) {
+    return { status: 400, message: 'Hours can only be logged for days from the project start up to today' };
+  }
+
+  if (entry.task) {
+    const task = await Task.findOne({ _id: entry.task, project: project._id }).select('_id');
+    if (!task) return { status: 400, message: 'Task is not part of this project' };
+  }
+
+  // Task entries are dated when the task was completed but may cover several
+  // days, so they neither count towards nor are held to the daily limit
+  if (entry.source !== 'task') {
+    const [logged] = await HourLog.aggregate([
+      {
+        $match: {
+          volunteer: volunteer._id,
+          date: entry.date,
+          source: { $ne: 'task' },
+          status: { $ne: 'rejected' },
+          _id: { $ne: entry._id }
+        }
+      },
+      { $group: { _id: null, hours: { $sum: '$hours' } } }
+    ]);
+    const loggedHours = logged ? Math.round(logged.hours * 100) / 100 : 0;
+    if (loggedHours + entry.hours > 24) {
+      return { status: 400, message: `You have already logged ${loggedHours} hours on this day` };
+    }
+  }
+
+  return null;
+};
+
+// @route   GET /api/hours
+// @desc    Get your logged hours
+// @access  Private
+router.get('/', verifyToken, [
+  ...periodValidation,
+  query('project').optional().isMongoId().withMessage('Invalid project ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, project } = req.query;
+
+    const query = { volunteer: req.user._id };
+    if (status) query.status = String(status);
+    if (project) query.project = String(project);
+    const range = dateRange(req.query);
+    if (range) query.date = range;
+
+    const entries = await HourLog.find(query)
+      .populate('project', 'title')
+      .populate('task', 'title')
+      .populate('review.by', 'name')
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await HourLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/hours/summary
+// @desc    Your logged, approved, pending and rejected hours per day, week, month or year
+// @access  Private
+router.get('/summary', verifyToken, [
+  ...periodValidation,
+  query('project').optional().isMongoId().withMessage('Invalid project ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { period = 'month', project } = req.query;
+
+    const match = { volunteer: req.user._id };
+    if (project) match.project = new mongoose.Types.ObjectId(project);
+    const range = dateRange(req.query);
+    if (range) match.date = range;
+
+    const rows = await HourLog.summarize(match, period);
+
+    res.json({
+      success: true,
+      data: { period, ...withTotals(rows) }
+    });
+
+  } catch (error) {
+    console.error('Get hours summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/hours
+// @desc    Log hours against a project, optionally for one of its tasks
+// @access  Private
+router.post('/', verifyToken, [
+  body('project').isMongoId().withMessage('Valid project ID is required'),
+  ...entryValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { project, task, date, hours, description } = req.body;
+    const entry = new HourLog({
+      volunteer: req.user._id,
+      project,
+      task: task || undefined,
+      date: new Date(date),
+      hours: Number(hours),
+      description
+    });
+
+    const problem = await checkEntry(entry, req.user);
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        message: problem.message
+      });
+    }
+
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Hours logged and sent for approval',
+      data: { entry }
+    });
+
+  } catch (error) {
+    console.error('Log hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/hours/:id
+// @desc    Edit your own entry while it is pending
+// @access  Private
+router.put('/:id', verifyToken, entryIdValidation, entryValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await HourLog.findById(req.params.id);
+
+    if (!entry || !entry.volunteer.equals(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found'
+      });
+    }
+
+    if (entry.status !== 'pending' || entry.source === 'attendance') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only pending entries can be edited'
+      });
+    }
+
+    const { task, date, hours, description } = req.body;
+    if (task !== undefined) entry.task = task || undefined;
+    if (date) entry.date = new Date(date);
+    if (hours !== undefined) entry.hours = Number(hours);
+    if (description) entry.description = description;
+
+    const problem = await checkEntry(entry, req.user);
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        message: problem.message
+      });
+    }
+
+    await entry.save();
+
+    res.json({
+      success: true,
+      message: 'Entry updated',
+      data: { entry }
+    });
+
+  } catch (error) {
+    console.error('Update hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/hours/:id
+// @desc    Delete your own entry while it is pending
+// @access  Private
+router.delete('/:id', verifyToken, entryIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await HourLog.findById(req.params.id);
+
+    if (!entry || !entry.volunteer.equals(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found'
+      });
+    }
+
+    if (entry.status !== 'pending' || entry.source === 'attendance') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only pending entries can be deleted'
+      });
+    }
+
+    await entry.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Entry deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/hours/projects/:projectId
+// @desc    Get the hours volunteers logged on a project, pending first
+// @access  Private (NGO team or Admin)
+router.get('/projects/:projectId', verifyToken, [
+  ...periodValidation,
+  projectIdValidation,
+  query('volunteer').optional().isMongoId().withMessage('Invalid volunteer ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.projectId).select('title ngo');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'hours:view', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view hours for this project'
+      });
+    }
+
+    const { page = 1, limit = 20, status, volunteer } = req.query;
+
+    const query = { project: project._id };
+    if (status) query.status = String(status);
+    if (volunteer) query.volunteer = String(volunteer);
+    const range = dateRange(req.query);
+    if (range) query.date = range;
+
+    const entries = await HourLog.find(query)
+      .populate('volunteer', 'name email profile.avatar')
+      .populate('task', 'title')
+      .populate('review.by', 'name')
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await HourLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get project hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/hours/projects/:projectId/summary
+// @desc    A project's hours per period, optionally per volunteer
+// @access  Private (NGO team or Admin)
+router.get('/projects/:projectId/summary', verifyToken, [
+  ...periodValidation,
+  projectIdValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.projectId).select('title ngo');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'hours:view', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view hours for this project'
+      });
+    }
+
+    const { period = 'month' } = req.query;
+    const byVolunteer = req.query.byVolunteer === 'true';
+
+    const match = { project: project._id };
+    const range = dateRange(req.query);
+    if (range) match.date = range;
+
+    const { summary, totals } = withTotals(await HourLog.summarize(match, period, { byVolunteer }));
+
+    if (byVolunteer) {
+      const users = await User.find({ _id: { $in: summary.map(row => row.volunteer) } }).select('name profile.avatar');
+      summary.forEach(row => {
+        row.volunteer = users.find(user => user._id.equals(row.volunteer)) || { _id: row.volunteer };
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { project: { id: project._id, title: project.title }, period, summary, totals }
+    });
+
+  } catch (error) {
+    console.error('Get project hours summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Approve, adjust or reject an entry. Attendance entries follow the shift's
+// attendance and are corrected there instead.
+const reviewEntry = (decision) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await HourLog.findById(req.params.id).populate('project', 'title ngo');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entry not found'
+      });
+    }
+
+    if (!(await can(req.user, 'hours:review', entry.project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review hours for this project'
+      });
+    }
+
+    if (entry.volunteer.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own hours'
+      });
+    }
+
+    if (entry.source === 'attendance') {
+      return res.status(409).json({
+        success: false,
+        message: "Shift hours come from attendance; correct the volunteer's attendance on the shift instead"
+      });
+    }
+
+    const hours = req.body.hours !== undefined ? Number(req.body.hours) : undefined;
+    if (hours > 24 && entry.source !== 'task') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot approve more than 24 hours for a day'
+      });
+    }
+
+    const auditPaths = ['status', 'approvedHours'];
+    const before = AuditLog.snapshot(entry, auditPaths);
+
+    entry.decide(decision, { by: req.user._id, note: req.body.note, hours });
+    await entry.applyCredit();
+
+    await AuditLog.record(req, {
+      action: `hours:${decision === 'approved' ? 'approve' : 'reject'}`,
+      target: entry,
+      before,
+      after: AuditLog.snapshot(entry, auditPaths),
+      details: { volunteer: entry.volunteer, hours: entry.hours, note: req.body.note }
+    });
+
+    const volunteer = await User.findById(entry.volunteer).select('name email');
+    try {
+      await sendHoursReviewedEmail(
+        volunteer.email,
+        volunteer.name,
+        entry.project.title,
+        entry.date,
+        entry.hours,
+        entry.approvedHours,
+        decision,
+        req.body.note
+      );
+    } catch (emailError) {
+      console.error('Failed to send hours review email:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'rejected' ? 'Hours rejected' : (entry.adjusted ? 'Hours adjusted and approved' : 'Hours approved'),
+      data: { entry }
+    });
+
+  } catch (error) {
+    console.error(`Review hours (${decision}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @route   POST /api/hours/:id/approve
+// @desc    Approve an entry, optionally with adjusted `hours`
+// @access  Private (NGO team or Admin)
+router.post('/:id/approve', verifyToken, [
+  entryIdValidation,
+  body('hours').optional().isFloat({ min: 0.25 }).withMessage('Hours must be at least 0.25'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], reviewEntry('approved'));
+
+// @route   POST /api/hours/:id/reject
+// @desc    Reject an entry
+// @access  Private (NGO team or Admin)
+router.post('/:id/reject', verifyToken, [
+  entryIdValidation,
+  body('note').trim().isLength({ min: 1, max: 500 }).withMessage('A note of up to 500 characters is required')
+], reviewEntry('rejected'));
+
+module.exports = router;
@@ -2,14 +2,52 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const NGO = require('../models/NGO');
 const Project = require('../models/Project');
-const { verifyToken } = require('../utils/auth');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const Certificate = require('../models/Certificate');
+const { verifyToken, requireVerified, identifyApiKey, blockImpersonation } = require('../utils/auth');
+const { can } = require('../utils/permissions');
+const { sendNGOInvitationEmail } = require('../utils/email');
+const { parseGeoQuery, findNear } = require('../utils/geo');
+const { escapeRegExp } = require('../utils/search');
+const {
+  TEMPLATE_FIELDS,
+  TEMPLATE_PLACEHOLDERS,
+  findUnknownPlaceholders,
+  resolveTemplate,
+  renderCertificatePdf
+} = require('../utils/certificates');
 
 const router = express.Router();
 
+// Empty values reset a certificate template field to its default
+const templateText = (field, label, max) => body(field).optional({ values: 'null' }).isString().trim()
+  .isLength({ max }).withMessage(`${label} cannot exceed ${max} characters`)
+  .custom(value => {
+    const unknown = findUnknownPlaceholders(value);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholders: ${unknown.join(', ')}. Use any of: ${TEMPLATE_PLACEHOLDERS.join(', ')}`);
+    }
+    return true;
+  });
+
+const certificateTemplateValidation = [
+  templateText('title', 'Certificate title', 100),
+  templateText('body', 'Certificate text', 1000),
+  body('accentColor').optional({ values: 'falsy' }).matches(/^#[\da-f]{6}$/i)
+    .withMessage('Accent colour must be a hex colour such as #667eea'),
+  body('signatoryName').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+    .withMessage('Signatory name cannot exceed 100 characters'),
+  body('signatoryTitle').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+    .withMessage('Signatory title cannot exceed 100 characters'),
+  templateText('footer', 'Footer', 200)
+];
+
 // @route   GET /api/ngos
 // @desc    Get all verified NGOs with filtering and pagination
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', identifyApiKey('ngos:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -34,16 +72,16 @@ router.get('/', async (req, res) => {
     
     if (location) {
       query.$or = [
-        { 'address.city': new RegExp(location, 'i') },
-        { 'address.state': new RegExp(location, 'i') }
+        { 'address.city': new RegExp(escapeRegExp(location), 'i') },
+        { 'address.state': new RegExp(escapeRegExp(location), 'i') }
       ];
     }
     
     if (search) {
       query.$or = [
-        { name: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { mission: new RegExp(search, 'i') }
+        { name: new RegExp(escapeRegExp(search), 'i') },
+        { description: new RegExp(escapeRegExp(search), 'i') },
+        { mission: new RegExp(escapeRegExp(search), 'i') }
       ];
     }
     
@@ -51,17 +89,43 @@ router.get('/', async (req, res) => {
       query.isFeatured = true;
     }
 
-    // Sort options
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const geo = parseGeoQuery(req.query);
+    if (geo && geo.error) {
+      return res.status(400).json({
+        success: false,
+        message: geo.error
+      });
+    }
 
-    const ngos = await NGO.find(query)
-      .select('-documents -bankDetails -verification.rejectionReason')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    let ngos;
+    let total;
+
+    if (geo) {
+      // Location searches are sorted nearest first
+      const results = await findNear(NGO, 'address.point', geo, query, {
+        skip: (page - 1) * limit,
+        limit: limit * 1,
+        project: { documents: 0, bankDetails: 0, 'verification.rejectionReason': 0, invitations: 0 }
+      });
+
+      ngos = results.docs.map(ngo => ({
+        ...ngo.toJSON(),
+        distanceKm: results.distances.get(String(ngo._id))
+      }));
+      total = results.total;
+    } else {
+      // Sort options
+      const sortOptions = {};
+      sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+      ngos = await NGO.find(query)
+        .select('-documents -bankDetails -verification.rejectionReason -invitations')
+        .sort(sortOptions)
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
 
-    const total = await NGO.countDocuments(query);
+      total = await NGO.countDocuments(query);
+    }
 
     // Get focus areas for filtering
     const focusAreas = await NGO.distinct('focusAreas', { 
@@ -94,7 +158,8 @@ router.get('/', async (req, res) => {
         filters: {
           focusAreas,
           locations: locations[0] || { cities: [], states: [] }
-        }
+        },
+        area: geo ? { place: geo.place, center: geo.center, radiusKm: geo.radiusKm, bbox: geo.box ? req.query.bbox : undefined } : undefined
       }
     });
 
@@ -111,10 +176,10 @@ router.get('/', async (req, res) => {
 // @route   GET /api/ngos/:id
 // @desc    Get NGO by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', identifyApiKey('ngos:read'), async (req, res) => {
   try {
     const ngo = await NGO.findById(req.params.id)
-      .select('-documents -bankDetails -verification.rejectionReason')
+      .select('-documents -bankDetails -verification.rejectionReason -invitations')
       .populate('rating.reviews.user', 'name profile.avatar');
 
     if (!ngo) {
@@ -162,7 +227,7 @@ router.get('/:id', async (req, res) => {
 // @route   GET /api/ngos/:id/projects
 // @desc    Get projects by NGO
 // @access  Public
-router.get('/:id/projects', async (req, res) => {
+router.get('/:id/projects', identifyApiKey('ngos:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -277,8 +342,8 @@ router.post('/:id/follow', verifyToken, async (req, res) => {
 
 // @route   POST /api/ngos/:id/review
 // @desc    Add review for NGO
-// @access  Private
-router.post('/:id/review', verifyToken, [
+// @access  Private (verified users)
+router.post('/:id/review', verifyToken, requireVerified, [
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
 ], async (req, res) => {
@@ -345,29 +410,63 @@ router.post('/:id/review', verifyToken, [
   }
 });
 
-// @route   GET /api/ngos/featured
-// @desc    Get featured NGOs
-// @access  Public
-router.get('/featured', async (req, res) => {
+// @route   POST /api/ngos/invitations/accept
+// @desc    Accept an invitation to join an NGO team
+// @access  Private (verified users)
+router.post('/invitations/accept', verifyToken, requireVerified, [
+  body('token').isLength({ min: 64, max: 64 }).withMessage('Invalid invitation token')
+], async (req, res) => {
   try {
-    const { limit = 6 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    const ngos = await NGO.find({
-      isFeatured: true,
-      'verification.status': 'verified',
-      isActive: true
-    })
-    .select('name description focusAreas rating statistics address.city address.state')
-    .sort({ 'rating.average': -1 })
-    .limit(parseInt(limit));
+    const { token } = req.body;
+
+    const ngo = await NGO.findByInvitationToken(token);
+    const invitation = ngo && ngo.getInvitation(token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (!ngo.getMemberRole(req.user._id)) {
+      ngo.setMember(req.user._id, invitation.role, invitation.invitedBy);
+    }
+    ngo.invitations = ngo.invitations.filter(inv => !inv._id.equals(invitation._id));
+    await ngo.save();
 
+    // Access comes from the membership; the account keeps its own role, so a
+    // volunteer who joins a team keeps their volunteer dashboard and history
     res.json({
       success: true,
-      data: { ngos }
+      message: `You have joined ${ngo.name}`,
+      data: {
+        ngo: {
+          id: ngo._id,
+          name: ngo.name,
+          memberRole: ngo.getMemberRole(req.user._id)
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Get featured NGOs error:', error);
+    console.error('Accept invitation error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -376,44 +475,743 @@ router.get('/featured', async (req, res) => {
   }
 });
 
-// @route   GET /api/ngos/search/suggestions
-// @desc    Get NGO search suggestions
-// @access  Public
-router.get('/search/suggestions', async (req, res) => {
+// @route   GET /api/ngos/:id/members
+// @desc    Get NGO team members and pending invitations
+// @access  Private (NGO members or Admin)
+router.get('/:id/members', verifyToken, async (req, res) => {
   try {
-    const { q } = req.query;
-    
-    if (!q || q.length < 2) {
-      return res.json({
-        success: true,
-        data: { suggestions: [] }
+    const ngo = await NGO.findById(req.params.id)
+      .select('name owner members invitations')
+      .populate('members.user', 'name email profile.avatar')
+      .populate('invitations.invitedBy', 'name');
+
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
       });
     }
 
-    const suggestions = await NGO.find({
-      'verification.status': 'verified',
-      isActive: true,
-      $or: [
-        { name: new RegExp(q, 'i') },
-        { focusAreas: new RegExp(q, 'i') }
-      ]
-    })
-    .select('name focusAreas')
-    .limit(10);
+    if (!(await can(req.user, 'ngo:view-members', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this team'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        owner: ngo.owner,
+        members: ngo.members,
+        invitations: ngo.invitations
+          .filter(inv => inv.expires > new Date())
+          .map(inv => ({
+            id: inv._id,
+            email: inv.email,
+            role: inv.role,
+            invitedBy: inv.invitedBy,
+            expires: inv.expires
+          }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get NGO members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/ngos/:id/members/invite
+// @desc    Invite someone to the NGO team by email
+// @access  Private (NGO owner or Admin)
+router.post('/:id/members/invite', verifyToken, [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('role').isIn(['coordinator', 'viewer']).withMessage('Role must be coordinator or viewer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-members', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const { email, role } = req.body;
+
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && ngo.getMemberRole(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the team'
+      });
+    }
+
+    const token = ngo.createInvitation(email, role, req.user.id);
+    await ngo.save();
+
+    await AuditLog.record(req, {
+      action: 'ngo:invite-member',
+      target: ngo,
+      details: { email, role }
+    });
+
+    const inviteUrl = `${process.env.FRONTEND_URL}/auth.html?ngoInvite=${token}`;
+
+    try {
+      await sendNGOInvitationEmail(email, ngo.name, req.user.name, role, inviteUrl);
+    } catch (emailError) {
+      console.error('Failed to send invitation email:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`
+    });
+
+  } catch (error) {
+    console.error('Invite NGO member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/ngos/:id/invitations/:invitationId
+// @desc    Cancel a pending invitation
+// @access  Private (NGO owner or Admin)
+router.delete('/:id/invitations/:invitationId', verifyToken, async (req, res) => {
+  try {
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-members', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const invitation = ngo.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    ngo.invitations.pull(invitation._id);
+    await ngo.save();
+
+    await AuditLog.record(req, {
+      action: 'ngo:cancel-invitation',
+      target: ngo,
+      details: { email: invitation.email, role: invitation.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/ngos/:id/members/:userId
+// @desc    Change a team member's role
+// @access  Private (NGO owner or Admin)
+router.put('/:id/members/:userId', verifyToken, [
+  body('role').isIn(['coordinator', 'viewer']).withMessage('Role must be coordinator or viewer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-members', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const currentRole = ngo.getMemberRole(req.params.userId);
+    if (!currentRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this team'
+      });
+    }
+
+    if (currentRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer ownership before changing the owner\'s role'
+      });
+    }
+
+    ngo.setMember(req.params.userId, req.body.role);
+    await ngo.save();
+
+    await AuditLog.record(req, {
+      action: 'ngo:update-member',
+      target: ngo,
+      before: { role: currentRole },
+      after: { role: req.body.role },
+      details: { member: req.params.userId }
+    });
+
+    res.json({
+      success: true,
+      message: `Member role updated to ${req.body.role}`
+    });
+
+  } catch (error) {
+    console.error('Update NGO member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/ngos/:id/members/:userId
+// @desc    Remove a team member (members may also remove themselves)
+// @access  Private (NGO owner, the member themselves, or Admin)
+router.delete('/:id/members/:userId', verifyToken, async (req, res) => {
+  try {
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    const isSelf = req.user.id === req.params.userId;
+    if (!isSelf && !(await can(req.user, 'ngo:manage-members', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const currentRole = ngo.getMemberRole(req.params.userId);
+    if (!currentRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this team'
+      });
+    }
+
+    if (currentRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot be removed. Transfer ownership first.'
+      });
+    }
 
-    const formattedSuggestions = suggestions.map(ngo => ({
-      id: ngo._id,
-      name: ngo.name,
-      focusAreas: ngo.focusAreas
-    }));
+    ngo.members = ngo.members.filter(m => !m.user.equals(req.params.userId));
+    await ngo.save();
+
+    // Keys the member created stop acting for the NGO with them gone
+    const { modifiedCount: revokedApiKeys } = await ApiKey.revokeCreatedBy(ngo._id, req.params.userId, req.user._id);
+
+    await AuditLog.record(req, {
+      action: 'ngo:remove-member',
+      target: ngo,
+      before: { role: currentRole },
+      after: { role: null },
+      details: { member: req.params.userId, revokedApiKeys }
+    });
 
     res.json({
       success: true,
-      data: { suggestions: formattedSuggestions }
+      message: 'Member removed from the team'
     });
 
   } catch (error) {
-    console.error('Get NGO suggestions error:', error);
+    console.error('Remove NGO member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/ngos/:id/owner
+// @desc    Transfer NGO ownership to another team member
+// @access  Private (NGO owner or Admin)
+router.put('/:id/owner', verifyToken, [
+  body('userId').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:transfer-ownership', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can transfer ownership'
+      });
+    }
+
+    const { userId } = req.body;
+    if (!ngo.getMemberRole(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New owner must already be a member of the team'
+      });
+    }
+
+    const before = AuditLog.snapshot(ngo, ['owner']);
+
+    // The previous owner stays on as a coordinator
+    if (ngo.owner && !ngo.owner.equals(userId)) {
+      ngo.setMember(ngo.owner, 'coordinator');
+    }
+    ngo.setMember(userId, 'owner');
+    await ngo.save();
+
+    await AuditLog.record(req, {
+      action: 'ngo:transfer-ownership',
+      target: ngo,
+      before,
+      after: AuditLog.snapshot(ngo, ['owner'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      data: { owner: ngo.owner }
+    });
+
+  } catch (error) {
+    console.error('Transfer NGO ownership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/ngos/:id/api-keys
+// @desc    List the NGO's partner API keys
+// @access  Private (NGO owner or Admin)
+router.get('/:id/api-keys', verifyToken, async (req, res) => {
+  try {
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-api-keys', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage API keys for this NGO'
+      });
+    }
+
+    const apiKeys = await ApiKey.find({ ngo: ngo._id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { apiKeys, scopes: ApiKey.SCOPES }
+    });
+
+  } catch (error) {
+    console.error('Get NGO API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/ngos/:id/api-keys
+// @desc    Create a partner API key for the NGO (the key is only shown once)
+// @access  Private (NGO owner or Admin)
+router.post('/:id/api-keys', verifyToken, blockImpersonation, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Key name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(Object.keys(ApiKey.SCOPES)).withMessage('Invalid scope'),
+  body('rateLimit').optional().isInt({ min: 1, max: 1000 }).withMessage('rateLimit must be 1-1000 requests per minute'),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-api-keys', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage API keys for this NGO'
+      });
+    }
+
+    const { name, scopes, rateLimit, expiresAt } = req.body;
+    const { apiKey, key } = await ApiKey.generate({
+      name,
+      scopes: [...new Set(scopes)],
+      ngo: ngo._id,
+      createdBy: req.user._id,
+      rateLimit,
+      expiresAt
+    });
+
+    await AuditLog.record(req, {
+      action: 'api-key:create',
+      target: apiKey,
+      details: { ngo: ngo._id, scopes: apiKey.scopes, rateLimit: apiKey.rateLimit }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { apiKey, key }
+    });
+
+  } catch (error) {
+    console.error('Create NGO API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/ngos/:id/api-keys/:keyId
+// @desc    Revoke one of the NGO's API keys
+// @access  Private (NGO owner or Admin)
+router.delete('/:id/api-keys/:keyId', verifyToken, async (req, res) => {
+  try {
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-api-keys', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage API keys for this NGO'
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.keyId, ngo: ngo._id });
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await apiKey.revoke(req.user._id);
+
+    await AuditLog.record(req, {
+      action: 'api-key:revoke',
+      target: apiKey,
+      details: { ngo: ngo._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke NGO API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/ngos/:id/certificate-template
+// @desc    Get the NGO's certificate template, with defaults for anything not customised
+// @access  Private (NGO owner or Admin)
+router.get('/:id/certificate-template', verifyToken, async (req, res) => {
+  try {
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-certificates', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage certificates for this NGO'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        template: resolveTemplate(ngo),
+        custom: ngo.toObject().certificateTemplate || {},
+        placeholders: TEMPLATE_PLACEHOLDERS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get certificate template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/ngos/:id/certificate-template
+// @desc    Customise the NGO's certificate template (applies to certificates issued from now on)
+// @access  Private (NGO owner or Admin)
+router.put('/:id/certificate-template', verifyToken, certificateTemplateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-certificates', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage certificates for this NGO'
+      });
+    }
+
+    const before = AuditLog.snapshot(ngo, ['certificateTemplate']);
+
+    TEMPLATE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => ngo.set(`certificateTemplate.${field}`, req.body[field] || undefined));
+    await ngo.save();
+
+    await AuditLog.record(req, {
+      action: 'ngo:update-certificate-template',
+      target: ngo,
+      before,
+      after: AuditLog.snapshot(ngo, ['certificateTemplate'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Certificate template updated',
+      data: {
+        template: resolveTemplate(ngo),
+        custom: ngo.toObject().certificateTemplate || {}
+      }
+    });
+
+  } catch (error) {
+    console.error('Update certificate template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/ngos/:id/certificate-template/preview
+// @desc    Render a sample certificate as a PDF, with any unsaved template changes in the body
+// @access  Private (NGO owner or Admin)
+router.post('/:id/certificate-template/preview', verifyToken, certificateTemplateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const ngo = await NGO.findById(req.params.id);
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: 'NGO not found'
+      });
+    }
+
+    if (!(await can(req.user, 'ngo:manage-certificates', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage certificates for this NGO'
+      });
+    }
+
+    const overrides = {};
+    TEMPLATE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { overrides[field] = req.body[field]; });
+
+    // Never saved, so the sample ID can't be verified
+    const now = new Date();
+    const sample = new Certificate({
+      certificateId: 'SEVA-XXXX-XXXX-XXXX',
+      volunteer: req.user._id,
+      project: ngo._id,
+      ngo: ngo._id,
+      volunteerName: req.user.name,
+      projectTitle: 'Sample Project',
+      ngoName: ngo.name,
+      role: 'volunteer',
+      hours: 24,
+      serviceStart: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000),
+      serviceEnd: now,
+      issuedAt: now,
+      template: resolveTemplate(ngo, overrides)
+    });
+
+    const pdf = renderCertificatePdf(sample);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'inline; filename="certificate-preview.pdf"',
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Preview certificate template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/ngos/featured
+// @desc    Get featured NGOs
+// @access  Public
+router.get('/featured', identifyApiKey('ngos:read'), async (req, res) => {
+  try {
+    const { limit = 6 } = req.query;
+
+    const ngos = await NGO.find({
+      isFeatured: true,
+      'verification.status': 'verified',
+      isActive: true
+    })
+    .select('name description focusAreas rating statistics address.city address.state')
+    .sort({ 'rating.average': -1 })
+    .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: { ngos }
+    });
+
+  } catch (error) {
+    console.error('Get featured NGOs error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
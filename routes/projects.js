@@ -3,15 +3,48 @@ const { body, validationResult } = require('express-validator');
 const Project = require('../models/Project');
 const NGO = require('../models/NGO');
 const User = require('../models/User');
-const { verifyToken, requireNGO } = require('../utils/auth');
-const { sendVolunteerApplicationEmail } = require('../utils/email');
+const Task = require('../models/Task');
+const Shift = require('../models/Shift');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken, requireVerified, acceptApiKey, identifyApiKey } = require('../utils/auth');
+const { can } = require('../utils/permissions');
+const { sendVolunteerApplicationEmail, sendApplicationStatusEmail } = require('../utils/email');
+const { fillOpenSpots } = require('../utils/waitlist');
+const { issueCertificates } = require('../utils/certificates');
+const { WEIGHTS, rankProjects } = require('../utils/recommendations');
+const { parseGeoQuery, findNear } = require('../utils/geo');
+const { escapeRegExp } = require('../utils/search');
 
 const router = express.Router();
 
+// Most recent active projects considered for recommendations
+const RECOMMENDATION_CANDIDATES = 200;
+
+// "Projects I'm eligible for" needs to know who is asking
+const authenticateForEligibility = (req, res, next) =>
+  (req.query.eligible === 'true' && !req.user ? verifyToken(req, res, next) : next());
+
+// Let a volunteer know their application moved; failures are only logged
+const notifyApplicationStatus = async (project, volunteer, status) => {
+  try {
+    const ngoName = project.ngo && project.ngo.name ? project.ngo.name : 'The NGO';
+    await sendApplicationStatusEmail(
+      volunteer.email,
+      volunteer.name,
+      project.title,
+      ngoName,
+      project.getStatusLabel(status),
+      status
+    );
+  } catch (emailError) {
+    console.error('Failed to send application status email:', emailError);
+  }
+};
+
 // @route   GET /api/projects
 // @desc    Get all projects with filtering and pagination
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', identifyApiKey('projects:read'), authenticateForEligibility, async (req, res) => {
   try {
     const {
       page = 1,
@@ -21,6 +54,7 @@ router.get('/', async (req, res) => {
       status = 'active',
       search,
       featured,
+      eligible,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -38,16 +72,16 @@ router.get('/', async (req, res) => {
     
     if (location) {
       query.$or = [
-        { 'location.city': new RegExp(location, 'i') },
-        { 'location.state': new RegExp(location, 'i') }
+        { 'location.city': new RegExp(escapeRegExp(location), 'i') },
+        { 'location.state': new RegExp(escapeRegExp(location), 'i') }
       ];
     }
     
     if (search) {
       query.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { tags: new RegExp(search, 'i') }
+        { title: new RegExp(escapeRegExp(search), 'i') },
+        { description: new RegExp(escapeRegExp(search), 'i') },
+        { tags: new RegExp(escapeRegExp(search), 'i') }
       ];
     }
     
@@ -55,18 +89,51 @@ router.get('/', async (req, res) => {
       query.featured = true;
     }
 
-    // Sort options
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    if (eligible === 'true') {
+      query.$and = Project.eligibilityConditions(req.user);
+    }
+
+    const geo = parseGeoQuery(req.query);
+    if (geo && geo.error) {
+      return res.status(400).json({
+        success: false,
+        message: geo.error
+      });
+    }
+
+    let projects;
+    let total;
 
-    const projects = await Project.find(query)
-      .populate('ngo', 'name email rating.average')
-      .populate('createdBy', 'name')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    if (geo) {
+      // Location searches are sorted nearest first
+      const results = await findNear(Project, 'location.point', geo, query, {
+        skip: (page - 1) * limit,
+        limit: limit * 1
+      });
+      await Project.populate(results.docs, [
+        { path: 'ngo', select: 'name email rating.average' },
+        { path: 'createdBy', select: 'name' }
+      ]);
+
+      projects = results.docs.map(project => ({
+        ...project.toJSON(),
+        distanceKm: results.distances.get(String(project._id))
+      }));
+      total = results.total;
+    } else {
+      // Sort options
+      const sortOptions = {};
+      sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-    const total = await Project.countDocuments(query);
+      projects = await Project.find(query)
+        .populate('ngo', 'name email rating.average')
+        .populate('createdBy', 'name')
+        .sort(sortOptions)
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      total = await Project.countDocuments(query);
+    }
 
     // Get categories for filtering
     const categories = await Project.distinct('category', { visibility: 'public', status: 'active' });
@@ -90,7 +157,8 @@ router.get('/', async (req, res) => {
         filters: {
           categories,
           locations: locations[0] || { cities: [], states: [] }
-        }
+        },
+        area: geo ? { place: geo.place, center: geo.center, radiusKm: geo.radiusKm, bbox: geo.box ? req.query.bbox : undefined } : undefined
       }
     });
 
@@ -104,10 +172,51 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/projects/recommended
+// @desc    Active projects ranked for the current user, with the reasons for each score
+// @access  Private
+router.get('/recommended', verifyToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    // Skip projects the user already applied to or can't apply to
+    const candidates = await Project.find({
+      status: 'active',
+      visibility: 'public',
+      'timeline.applicationsClosedAt': null,
+      'volunteers.user': { $ne: req.user._id }
+    })
+      .populate('ngo', 'name rating.average')
+      .sort({ createdAt: -1 })
+      .limit(RECOMMENDATION_CANDIDATES);
+
+    const recommendations = rankProjects(
+      candidates.filter(project => project.checkEligibility(req.user).eligible),
+      req.user
+    ).slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        recommendations,
+        weights: WEIGHTS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recommended projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/projects/:id
 // @desc    Get project by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', identifyApiKey('projects:read'), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id)
       .populate('ngo', 'name email description rating focusAreas')
@@ -131,7 +240,10 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: { project }
+      data: {
+        project,
+        milestoneTimeline: project.getMilestoneTimeline()
+      }
     });
 
   } catch (error) {
@@ -146,8 +258,9 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/projects
 // @desc    Create a new project
-// @access  Private (NGO only)
-router.post('/', verifyToken, requireNGO, [
+// @access  Private (NGO owners and coordinators)
+router.post('/', verifyToken, requireVerified, [
+  body('ngo').optional().isMongoId().withMessage('Invalid NGO ID'),
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
   body('description').trim().isLength({ min: 50, max: 5000 }).withMessage('Description must be between 50 and 5000 characters'),
   body('shortDescription').trim().isLength({ min: 20, max: 500 }).withMessage('Short description must be between 20 and 500 characters'),
@@ -169,13 +282,20 @@ router.post('/', verifyToken, requireNGO, [
       });
     }
 
-    // Find user's NGO
-    const ngo = await NGO.findOne({ 
-      $or: [
-        { 'contactPerson.email': req.user.email },
-        { email: req.user.email }
-      ]
-    });
+    // Find the NGO the project is created for; members of several NGOs must say which
+    let ngo;
+    if (req.body.ngo) {
+      ngo = await NGO.findById(req.body.ngo);
+    } else {
+      const memberships = await NGO.findByMember(req.user.id);
+      if (memberships.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'You belong to several NGOs. Please specify which NGO this project is for.'
+        });
+      }
+      ngo = memberships[0];
+    }
 
     if (!ngo) {
       return res.status(403).json({
@@ -184,6 +304,13 @@ router.post('/', verifyToken, requireNGO, [
       });
     }
 
+    if (!(await can(req.user, 'project:create', ngo))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create projects for this NGO'
+      });
+    }
+
     if (ngo.verification.status !== 'verified') {
       return res.status(403).json({
         success: false,
@@ -202,11 +329,19 @@ router.post('/', verifyToken, requireNGO, [
       });
     }
 
+    // Drafts can be finished and submitted for approval later
+    const draft = req.body.draft === true;
+    delete req.body.status;
+    delete req.body.statusHistory;
+
     const projectData = {
       ...req.body,
       ngo: ngo._id,
       createdBy: req.user.id,
-      status: 'pending-approval'
+      status: draft ? 'draft' : 'pending-approval',
+      statusHistory: [draft
+        ? { to: 'draft', changedBy: req.user.id }
+        : { from: 'draft', to: 'pending-approval', event: 'submit', changedBy: req.user.id }]
     };
 
     const project = new Project(projectData);
@@ -219,7 +354,7 @@ router.post('/', verifyToken, requireNGO, [
 
     res.status(201).json({
       success: true,
-      message: 'Project created successfully and submitted for approval',
+      message: draft ? 'Project saved as a draft' : 'Project created successfully and submitted for approval',
       data: { project: populatedProject }
     });
 
@@ -235,7 +370,7 @@ router.post('/', verifyToken, requireNGO, [
 
 // @route   PUT /api/projects/:id
 // @desc    Update project
-// @access  Private (NGO owner or Admin)
+// @access  Private (NGO team or Admin)
 router.put('/:id', verifyToken, async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
@@ -247,16 +382,27 @@ router.put('/:id', verifyToken, async (req, res) => {
       });
     }
 
-    // Check ownership or admin
-    if (req.user.role !== 'admin' && !project.createdBy.equals(req.user.id)) {
+    if (!(await can(req.user, 'project:update', project))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this project'
       });
     }
 
-    // Update project
+    // Update project (ownership fields can't be changed here)
     const updates = req.body;
+    delete updates.ngo;
+    delete updates.createdBy;
+    // Status changes go through the lifecycle endpoints
+    delete updates.status;
+    delete updates.statusHistory;
+    delete updates.approvedBy;
+    delete updates.approvedDate;
+    delete updates.rejectionReason;
+    // Applications and the form have their own endpoints
+    delete updates.volunteers;
+    delete updates.applicationForm;
+    delete updates.applicationStages;
     Object.keys(updates).forEach(key => {
       if (typeof updates[key] === 'object' && !Array.isArray(updates[key])) {
         project[key] = { ...project[key], ...updates[key] };
@@ -267,6 +413,9 @@ router.put('/:id', verifyToken, async (req, res) => {
 
     await project.save();
 
+    // Raising the number of volunteers needed opens spots for the waitlist
+    await fillOpenSpots(project);
+
     const updatedProject = await Project.findById(project._id)
       .populate('ngo', 'name email')
       .populate('createdBy', 'name');
@@ -287,11 +436,176 @@ router.put('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// Move a project through its lifecycle on behalf of its NGO team
+const changeProjectStatus = (event, successMessage) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'project:update', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change the status of this project'
+      });
+    }
+
+    const blockers = await project.getTransitionBlockers(event);
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: blockers[0],
+        data: { status: project.status, blockers }
+      });
+    }
+
+    const auditPaths = ['status'];
+    const before = AuditLog.snapshot(project, auditPaths);
+
+    await project.transition(event, { changedBy: req.user._id, reason: req.body.reason });
+
+    await AuditLog.record(req, {
+      action: `project:${event}`,
+      target: project,
+      before,
+      after: AuditLog.snapshot(project, auditPaths),
+      details: req.body.reason ? { reason: req.body.reason } : undefined
+    });
+
+    // A cancelled project's upcoming shifts won't happen either
+    if (event === 'cancel') {
+      await Shift.updateMany(
+        { project: project._id, status: 'scheduled', startsAt: { $gt: new Date() } },
+        { $set: { status: 'cancelled', cancellationReason: req.body.reason } }
+      );
+    }
+
+    // Spots that opened while the project was paused go to the waitlist
+    if (event === 'resume') {
+      await fillOpenSpots(project);
+    }
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: {
+        project: {
+          id: project._id,
+          title: project.title,
+          status: project.status,
+          statusHistory: project.statusHistory
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error(`Project ${event} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const optionalReason = body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters');
+const requiredReason = body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('A reason of up to 1000 characters is required');
+
+// @route   POST /api/projects/:id/submit
+// @desc    Submit a draft or rejected project for approval
+// @access  Private (NGO team or Admin)
+router.post('/:id/submit', verifyToken, [optionalReason], changeProjectStatus('submit', 'Project submitted for approval'));
+
+// @route   POST /api/projects/:id/pause
+// @desc    Put an active project on hold
+// @access  Private (NGO team or Admin)
+router.post('/:id/pause', verifyToken, [optionalReason], changeProjectStatus('pause', 'Project paused'));
+
+// @route   POST /api/projects/:id/resume
+// @desc    Resume a project that is on hold
+// @access  Private (NGO team or Admin)
+router.post('/:id/resume', verifyToken, [optionalReason], changeProjectStatus('resume', 'Project resumed'));
+
+// @route   POST /api/projects/:id/complete
+// @desc    Mark a project as completed once all its tasks are closed
+// @access  Private (NGO team or Admin)
+router.post('/:id/complete', verifyToken, [optionalReason], changeProjectStatus('complete', 'Project completed'));
+
+// @route   POST /api/projects/:id/cancel
+// @desc    Cancel a project, giving a reason
+// @access  Private (NGO team or Admin)
+router.post('/:id/cancel', verifyToken, [requiredReason], changeProjectStatus('cancel', 'Project cancelled'));
+
+// @route   GET /api/projects/:id/eligibility
+// @desc    Check the current user against a project's requirements
+// @access  Private
+router.get('/:id/eligibility', verifyToken, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('requirements visibility');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.visibility === 'private') {
+      return res.status(403).json({
+        success: false,
+        message: 'This project is private'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: project.checkEligibility(req.user)
+    });
+
+  } catch (error) {
+    console.error('Check eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   POST /api/projects/:id/apply
 // @desc    Apply to volunteer for a project
-// @access  Private
-router.post('/:id/apply', verifyToken, async (req, res) => {
+// @access  Private (verified users, or API keys with applications:write)
+router.post('/:id/apply', acceptApiKey('applications:write'), requireVerified, [
+  body('volunteerEmail').if((value, { req }) => Boolean(req.apiKey))
+    .isEmail().normalizeEmail().withMessage('volunteerEmail is required when applying with an API key'),
+  body('motivation').optional().trim().isLength({ max: 2000 }).withMessage('Motivation cannot exceed 2000 characters'),
+  body('availability').optional().trim().isLength({ max: 500 }).withMessage('Availability cannot exceed 500 characters'),
+  body('answers').optional().isArray().withMessage('Answers must be an array of { question, answer }')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const project = await Project.findById(req.params.id).populate('ngo', 'name contactPerson.email');
     
     if (!project) {
@@ -301,43 +615,75 @@ router.post('/:id/apply', verifyToken, async (req, res) => {
       });
     }
 
-    if (project.status !== 'active') {
+    if (!project.isAcceptingApplications()) {
       return res.status(400).json({
         success: false,
-        message: 'Project is not accepting applications'
+        message: project.status === 'active'
+          ? 'Registration for this project has closed'
+          : 'Project is not accepting applications'
       });
     }
 
-    // Check if user already applied
-    const existingApplication = project.volunteers.find(v => v.user.equals(req.user.id));
-    if (existingApplication) {
+    // Partners submit sign-ups for existing volunteers; NGO keys only for that NGO's projects
+    let volunteer = req.user;
+    if (req.apiKey) {
+      if (req.apiKey.ngo && !req.apiKey.ngo.equals(project.ngo._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This API key can only submit applications to its own NGO\'s projects'
+        });
+      }
+
+      volunteer = await User.findOne({ email: req.body.volunteerEmail, role: 'volunteer', isActive: true });
+      if (!volunteer || !volunteer.isVerified) {
+        return res.status(404).json({
+          success: false,
+          message: 'No verified volunteer account found for this email'
+        });
+      }
+    }
+
+    // Check if user already applied; withdrawn or expired applications can be submitted again
+    const existingApplication = project.volunteers.find(v => v.user.equals(volunteer._id));
+    if (existingApplication && !['withdrawn', 'expired'].includes(existingApplication.status)) {
       return res.status(400).json({
         success: false,
         message: 'You have already applied for this project'
       });
     }
 
-    // Check if project is full
-    if (project.requirements.volunteers.current >= project.requirements.volunteers.total) {
+    const eligibility = project.checkEligibility(volunteer);
+    if (!eligibility.eligible) {
       return res.status(400).json({
         success: false,
-        message: 'Project is full'
+        message: 'You do not meet the requirements for this project',
+        data: { unmet: eligibility.unmet }
       });
     }
 
-    // Add volunteer application
-    project.volunteers.push({
-      user: req.user.id,
-      status: 'applied'
-    });
+    const { answers, errors: answerErrors } = project.buildApplicationAnswers(req.body.answers);
+    if (answerErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete the application form',
+        errors: answerErrors
+      });
+    }
 
-    await project.save();
+    // Add volunteer application; joins the waitlist when the project is full
+    await project.addVolunteer(volunteer._id, 'volunteer', {
+      motivation: req.body.motivation,
+      availability: req.body.availability,
+      answers,
+      eligibilityWarnings: eligibility.unmet.map(({ requirement, message }) => ({ requirement, message }))
+    });
+    const { status } = project.volunteers.find(v => v.user.equals(volunteer._id));
 
     // Send notification email to NGO
     try {
       await sendVolunteerApplicationEmail(
         project.ngo.contactPerson.email,
-        req.user.name,
+        volunteer.name,
         project.title,
         project.ngo.name
       );
@@ -345,9 +691,21 @@ router.post('/:id/apply', verifyToken, async (req, res) => {
       console.error('Failed to send application email:', emailError);
     }
 
+    await notifyApplicationStatus(project, volunteer, status);
+
+    if (status === 'waitlisted') {
+      const position = project.getWaitlistPosition(volunteer._id);
+      return res.status(202).json({
+        success: true,
+        message: `Project is full; you have been added to the waitlist at position ${position}`,
+        data: { status, position, warnings: eligibility.unmet }
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Application submitted successfully'
+      message: 'Application submitted successfully',
+      data: { status, warnings: eligibility.unmet }
     });
 
   } catch (error) {
@@ -360,73 +718,106 @@ router.post('/:id/apply', verifyToken, async (req, res) => {
   }
 });
 
-// @route   PUT /api/projects/:id/volunteers/:volunteerId
-// @desc    Update volunteer status in project
-// @access  Private (NGO owner or Admin)
-router.put('/:id/volunteers/:volunteerId', verifyToken, [
-  body('status').isIn(['applied', 'accepted', 'rejected', 'completed', 'dropped']).withMessage('Invalid status')
-], async (req, res) => {
+// @route   POST /api/projects/:id/withdraw
+// @desc    Withdraw own application or participation
+// @access  Private
+router.post('/:id/withdraw', verifyToken, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const project = await Project.findById(req.params.id).populate('ngo', 'name');
+
+    if (!project) {
+      return res.status(404).json({
         success: false,
-        message: 'Validation errors',
-        errors: errors.array()
+        message: 'Project not found'
       });
     }
 
-    const project = await Project.findById(req.params.id);
-    
-    if (!project) {
+    const volunteer = project.volunteers.find(v => v.user.equals(req.user._id));
+    if (!volunteer) {
       return res.status(404).json({
         success: false,
-        message: 'Project not found'
+        message: 'You have not applied for this project'
       });
     }
 
-    // Check ownership or admin
-    if (req.user.role !== 'admin' && !project.createdBy.equals(req.user.id)) {
-      return res.status(403).json({
+    if (!project.canMoveVolunteer(volunteer.status, 'withdrawn')) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to update volunteer status'
+        message: `An application that is ${volunteer.status} cannot be withdrawn`
       });
     }
 
-    const volunteer = project.volunteers.find(v => v.user.equals(req.params.volunteerId));
-    if (!volunteer) {
+    await project.updateVolunteerStatus(req.user._id, 'withdrawn', { changedBy: req.user._id });
+    await Shift.cancelUpcomingSignups(project._id, req.user._id);
+    await notifyApplicationStatus(project, req.user, 'withdrawn');
+    await fillOpenSpots(project);
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn'
+    });
+
+  } catch (error) {
+    console.error('Withdraw application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/waitlist/confirm
+// @desc    Confirm a spot offered from the waitlist; the application then goes to review
+// @access  Private
+router.post('/:id/waitlist/confirm', verifyToken, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).populate('ngo', 'name');
+
+    if (!project) {
       return res.status(404).json({
         success: false,
-        message: 'Volunteer not found in this project'
+        message: 'Project not found'
       });
     }
 
-    const { status } = req.body;
-    volunteer.status = status;
-
-    // Update volunteer count
-    project.requirements.volunteers.current = project.volunteers.filter(
-      v => v.status === 'accepted'
-    ).length;
+    const volunteer = project.volunteers.find(v => v.user.equals(req.user._id));
+    if (!volunteer || volunteer.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'You do not have an open offer for this project'
+      });
+    }
 
-    await project.save();
+    if (volunteer.offer.expiresAt <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'This offer has expired'
+      });
+    }
 
-    // Award points if volunteer is accepted
-    if (status === 'accepted') {
-      const user = await User.findById(req.params.volunteerId);
-      if (user) {
-        await user.addPoints(50, 'Project application accepted', project._id);
-      }
+    // Requirements may have changed, or the profile been edited, since joining the waitlist
+    const eligibility = project.checkEligibility(req.user);
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'You do not meet the requirements for this project',
+        data: { unmet: eligibility.unmet }
+      });
     }
 
+    await project.confirmOffer(req.user._id,
+      eligibility.unmet.map(({ requirement, message }) => ({ requirement, message })));
+    await notifyApplicationStatus(project, req.user, 'applied');
+
     res.json({
       success: true,
-      message: `Volunteer status updated to ${status}`,
-      data: { volunteer }
+      message: 'Your spot is held while the NGO reviews your application',
+      data: { status: 'applied', warnings: eligibility.unmet }
     });
 
   } catch (error) {
-    console.error('Update volunteer status error:', error);
+    console.error('Confirm waitlist offer error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -435,26 +826,13 @@ router.put('/:id/volunteers/:volunteerId', verifyToken, [
   }
 });
 
-// @route   POST /api/projects/:id/milestones
-// @desc    Add milestone to project
-// @access  Private (NGO owner or Admin)
-router.post('/:id/milestones', verifyToken, [
-  body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
-  body('description').optional().trim().isLength({ max: 500 }),
-  body('targetDate').isISO8601().withMessage('Valid target date is required')
-], async (req, res) => {
+// @route   GET /api/projects/:id/application-form
+// @desc    Get a project's application questions and screening stages
+// @access  Public
+router.get('/:id/application-form', identifyApiKey('projects:read'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation errors',
-        errors: errors.array()
-      });
-    }
+    const project = await Project.findById(req.params.id).select('applicationForm applicationStages visibility');
 
-    const project = await Project.findById(req.params.id);
-    
     if (!project) {
       return res.status(404).json({
         success: false,
@@ -462,28 +840,431 @@ router.post('/:id/milestones', verifyToken, [
       });
     }
 
-    // Check ownership or admin
-    if (req.user.role !== 'admin' && !project.createdBy.equals(req.user.id)) {
+    if (project.visibility === 'private') {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to add milestones'
+        message: 'This project is private'
       });
     }
 
-    const { title, description, targetDate } = req.body;
-    
-    project.timeline.milestones.push({
-      title,
-      description,
-      targetDate: new Date(targetDate)
-    });
-
-    await project.save();
-
     res.json({
       success: true,
-      message: 'Milestone added successfully',
-      data: { milestones: project.timeline.milestones }
+      data: {
+        questions: project.applicationForm.questions,
+        stages: project.applicationStages
+      }
+    });
+
+  } catch (error) {
+    console.error('Get application form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/application-form
+// @desc    Replace a project's application questions and screening stages
+// @access  Private (NGO team or Admin)
+router.put('/:id/application-form', verifyToken, [
+  body('questions').optional().isArray({ max: 30 }).withMessage('Questions must be an array of at most 30 questions'),
+  body('questions.*._id').optional().isMongoId().withMessage('Invalid question id'),
+  body('questions.*.label').trim().isLength({ min: 1, max: 300 }).withMessage('Each question needs a label of at most 300 characters'),
+  body('questions.*.type').optional().isIn(Project.QUESTION_TYPES).withMessage('Invalid question type'),
+  body('questions.*.options').optional().isArray({ max: 50 }).withMessage('Options must be an array'),
+  body('questions.*.required').optional().isBoolean().withMessage('required must be true or false'),
+  body('stages').optional().isArray({ max: 10 }).withMessage('Stages must be an array of at most 10 stages'),
+  body('stages.*.key').trim().toLowerCase().matches(/^[a-z0-9-]{2,30}$/)
+    .withMessage('Stage keys may only contain letters, numbers and dashes'),
+  body('stages.*.label').trim().isLength({ min: 1, max: 50 }).withMessage('Each stage needs a label of at most 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'project:update', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this project'
+      });
+    }
+
+    const { questions, stages } = req.body;
+
+    if (questions) {
+      const missingOptions = questions.find(question =>
+        ['select', 'multiselect'].includes(question.type) && !(question.options || []).length);
+      if (missingOptions) {
+        return res.status(400).json({
+          success: false,
+          message: `"${missingOptions.label}" needs at least one option`
+        });
+      }
+
+      // Keep ids of questions that are resubmitted so existing answers still match
+      project.applicationForm.questions = questions.map(({ _id, label, type, options, required, helpText }) => ({
+        _id, label, type, options, required, helpText
+      }));
+    }
+
+    if (stages) {
+      const keys = stages.map(stage => stage.key);
+      if (new Set(keys).size !== keys.length || keys.some(key => Project.VOLUNTEER_STATUSES.includes(key))) {
+        return res.status(400).json({
+          success: false,
+          message: `Stage keys must be unique and cannot be one of: ${Project.VOLUNTEER_STATUSES.join(', ')}`
+        });
+      }
+
+      const inUse = project.getScreeningStageKeys()
+        .filter(key => !keys.includes(key) && project.volunteers.some(v => v.status === key));
+      if (inUse.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Move applications out of these stages before removing them: ${inUse.join(', ')}`
+        });
+      }
+
+      project.applicationStages = stages.map(({ key, label }) => ({ key, label }));
+    }
+
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Application form updated successfully',
+      data: {
+        questions: project.applicationForm.questions,
+        stages: project.applicationStages
+      }
+    });
+
+  } catch (error) {
+    console.error('Update application form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/projects/:id/applications
+// @desc    Get applications with answers, history and reviewer notes
+// @access  Private (NGO team or Admin)
+router.get('/:id/applications', verifyToken, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .populate('volunteers.user', 'name email profile.avatar skills')
+      .populate('volunteers.history.changedBy', 'name')
+      .populate('volunteers.notes.author', 'name');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'volunteer:review', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review applications for this project'
+      });
+    }
+
+    const { status } = req.query;
+    const applications = project.volunteers
+      .filter(v => !status || v.status === status)
+      .map(v => v.toObject());
+
+    res.json({
+      success: true,
+      data: {
+        applications,
+        stages: project.applicationStages,
+        questions: project.applicationForm.questions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/volunteers/:volunteerId
+// @desc    Move a volunteer's application to another stage or status
+// @access  Private (NGO team or Admin)
+router.put('/:id/volunteers/:volunteerId', verifyToken, [
+  body('status').trim().notEmpty().withMessage('Status is required'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.id).populate('ngo', 'name');
+    
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'volunteer:review', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update volunteer status'
+      });
+    }
+
+    const volunteer = project.volunteers.find(v => v.user.equals(req.params.volunteerId));
+    if (!volunteer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Volunteer not found in this project'
+      });
+    }
+
+    const { status, note } = req.body;
+    const previousStatus = volunteer.status;
+
+    // Withdrawals and waitlist offers are handled by the volunteer and the system
+    if (['withdrawn', 'waitlisted', 'offered', 'expired'].includes(status) ||
+        !project.canMoveVolunteer(previousStatus, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move a volunteer from ${previousStatus} to ${status}`
+      });
+    }
+
+    if (status === 'accepted' && !project.holdsSpot(volunteer) && project.getOpenSpots() === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project is full'
+      });
+    }
+
+    await project.updateVolunteerStatus(volunteer.user, status, { changedBy: req.user._id, note });
+
+    // Volunteers who leave the project give up their upcoming shifts
+    if (previousStatus === 'accepted' && status !== 'completed') {
+      await Shift.cancelUpcomingSignups(project._id, volunteer.user);
+    }
+
+    if (status === 'completed') {
+      await issueCertificates(project, [volunteer.user]);
+    }
+
+    await AuditLog.record(req, {
+      action: 'volunteer:review',
+      target: project,
+      before: { status: previousStatus },
+      after: { status },
+      details: { volunteer: volunteer.user, note }
+    });
+
+    const user = await User.findById(req.params.volunteerId);
+    if (user) {
+      // Award points if volunteer is accepted
+      if (status === 'accepted') {
+        await user.addPoints(50, 'Project application accepted', project._id);
+      }
+
+      await notifyApplicationStatus(project, user, status);
+    }
+
+    // A dropped, rejected or withdrawn volunteer may free a spot for the waitlist
+    await fillOpenSpots(project);
+
+    res.json({
+      success: true,
+      message: `Volunteer status updated to ${project.getStatusLabel(status)}`,
+      data: { volunteer: volunteer.toObject() }
+    });
+
+  } catch (error) {
+    console.error('Update volunteer status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/volunteers/:volunteerId/notes
+// @desc    Add a reviewer note to a volunteer's application
+// @access  Private (NGO team or Admin)
+router.post('/:id/volunteers/:volunteerId/notes', verifyToken, [
+  body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Note must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'volunteer:review', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review applications for this project'
+      });
+    }
+
+    const volunteer = project.volunteers.find(v => v.user.equals(req.params.volunteerId));
+    if (!volunteer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Volunteer not found in this project'
+      });
+    }
+
+    volunteer.notes.push({ author: req.user._id, text: req.body.text });
+    await project.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: { note: volunteer.notes[volunteer.notes.length - 1] }
+    });
+
+  } catch (error) {
+    console.error('Add application note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/projects/:id/milestones
+// @desc    Get the project's milestone timeline
+// @access  Public
+router.get('/:id/milestones', identifyApiKey('projects:read'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('title visibility timeline');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.visibility === 'private') {
+      return res.status(403).json({
+        success: false,
+        message: 'This project is private'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { milestones: project.getMilestoneTimeline() }
+    });
+
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/milestones
+// @desc    Add milestone to project
+// @access  Private (NGO team or Admin)
+router.post('/:id/milestones', verifyToken, [
+  body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('targetDate').isISO8601().withMessage('Valid target date is required'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be 0 or more')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'project:manage-milestones', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this project'
+      });
+    }
+
+    const { title, description, targetDate, position } = req.body;
+    
+    await project.addMilestone(
+      title,
+      description,
+      new Date(targetDate),
+      position === undefined ? null : parseInt(position, 10)
+    );
+
+    res.json({
+      success: true,
+      message: 'Milestone added successfully',
+      data: { milestones: project.getMilestoneTimeline() }
     });
 
   } catch (error) {
@@ -496,10 +1277,265 @@ router.post('/:id/milestones', verifyToken, [
   }
 });
 
+// @route   PUT /api/projects/:id/milestones/order
+// @desc    Reorder the project's milestones
+// @access  Private (NGO team or Admin)
+router.put('/:id/milestones/order', verifyToken, [
+  body('milestones').isArray({ min: 1 }).withMessage('milestones must list the milestone IDs in their new order'),
+  body('milestones.*').isMongoId().withMessage('Invalid milestone ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'project:manage-milestones', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this project'
+      });
+    }
+
+    if (!project.reorderMilestones(req.body.milestones)) {
+      return res.status(400).json({
+        success: false,
+        message: 'milestones must list every milestone of the project exactly once'
+      });
+    }
+
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Milestones reordered successfully',
+      data: { milestones: project.getMilestoneTimeline() }
+    });
+
+  } catch (error) {
+    console.error('Reorder milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/milestones/:milestoneId
+// @desc    Update a milestone
+// @access  Private (NGO team or Admin)
+router.put('/:id/milestones/:milestoneId', verifyToken, [
+  body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('targetDate').optional().isISO8601().withMessage('Valid target date is required'),
+  body('status').optional().isIn(['pending', 'in-progress']).withMessage('Status must be pending or in-progress; use the complete endpoint to complete a milestone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'project:manage-milestones', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this project'
+      });
+    }
+
+    const milestone = project.timeline.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    const { title, description, targetDate, status } = req.body;
+
+    // Progress of milestones with tasks follows the tasks
+    if (status && milestone.taskCounts.total > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The status of a milestone with linked tasks follows its tasks'
+      });
+    }
+
+    if (title !== undefined) milestone.title = title;
+    if (description !== undefined) milestone.description = description;
+    if (targetDate !== undefined) milestone.targetDate = new Date(targetDate);
+    if (status) {
+      milestone.status = status;
+      milestone.completedDate = undefined;
+    }
+
+    await project.refreshMilestones();
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone updated successfully',
+      data: { milestones: project.getMilestoneTimeline() }
+    });
+
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/milestones/:milestoneId/complete
+// @desc    Complete a milestone whose linked tasks are all done, or that has none
+// @access  Private (NGO team or Admin)
+router.post('/:id/milestones/:milestoneId/complete', verifyToken, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'project:manage-milestones', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this project'
+      });
+    }
+
+    const milestone = project.timeline.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    await project.refreshMilestones();
+    const { total, completed } = milestone.taskCounts;
+    if (completed < total) {
+      return res.status(409).json({
+        success: false,
+        message: `${total - completed} linked task${total - completed === 1 ? ' is' : 's are'} still open`
+      });
+    }
+
+    if (milestone.status === 'completed') {
+      await project.save();
+    } else {
+      milestone.progress = 100;
+      await project.completeMilestone(milestone._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Milestone completed',
+      data: { milestones: project.getMilestoneTimeline() }
+    });
+
+  } catch (error) {
+    console.error('Complete milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/milestones/:milestoneId
+// @desc    Delete a milestone; its tasks are unlinked, not deleted
+// @access  Private (NGO team or Admin)
+router.delete('/:id/milestones/:milestoneId', verifyToken, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'project:manage-milestones', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this project'
+      });
+    }
+
+    const milestone = project.timeline.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    milestone.deleteOne();
+    await project.save();
+
+    const { modifiedCount } = await Task.updateMany(
+      { project: project._id, milestone: milestone._id },
+      { $unset: { milestone: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Milestone deleted successfully',
+      data: {
+        milestones: project.getMilestoneTimeline(),
+        unlinkedTasks: modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/projects/featured
 // @desc    Get featured projects
 // @access  Public
-router.get('/featured', async (req, res) => {
+router.get('/featured', identifyApiKey('projects:read'), async (req, res) => {
   try {
     const { limit = 6 } = req.query;
 
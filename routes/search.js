@@ -0,0 +1,131 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { identifyUser } = require('../utils/auth');
+const { SEARCH_TYPES, searchType } = require('../utils/search');
+const { SUGGESTION_TYPES, suggest, correctQuery } = require('../utils/autocomplete');
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+
+const listOf = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Tasks need a signed-in user, or an API key allowed to read them
+const canSearchTasks = (req) => Boolean(req.user) && (!req.apiKey || req.apiKey.scopes.includes('tasks:read'));
+
+// @route   GET /api/search
+// @desc    Search projects, NGOs and tasks, ranked by relevance with facet counts
+// @access  Public (tasks only for signed-in users)
+router.get('/', identifyUser('projects:read'), [
+  query('q').trim().isLength({ min: 2, max: 200 }).withMessage('q must be between 2 and 200 characters'),
+  query('types').optional().custom(value => listOf(value).every(type => SEARCH_TYPES[type]))
+    .withMessage(`types must be a comma-separated list of: ${Object.keys(SEARCH_TYPES).join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { q, category, city, status, focusArea, page = 1, limit = 10 } = req.query;
+    const types = (req.query.types ? listOf(req.query.types) : Object.keys(SEARCH_TYPES))
+      .filter(type => !SEARCH_TYPES[type].requiresUser || canSearchTasks(req));
+
+    const options = {
+      user: req.user,
+      filters: { category, city, status, focusArea },
+      skip: (page - 1) * limit,
+      limit: parseInt(limit)
+    };
+
+    const runSearch = async (text) => {
+      const entries = await Promise.all(types.map(async type => [type, await searchType(type, text, options)]));
+      return Object.fromEntries(entries);
+    };
+
+    let results = await runSearch(q);
+    let correctedQuery = null;
+
+    // Nothing found: retry with misspelt words replaced by known ones
+    const found = Object.values(results).some(result => result.total > 0);
+    if (!found) {
+      correctedQuery = await correctQuery(q);
+      if (correctedQuery) {
+        results = await runSearch(correctedQuery);
+      }
+    }
+
+    Object.values(results).forEach(result => {
+      result.pagination = {
+        current: parseInt(page),
+        pages: Math.ceil(result.total / limit),
+        total: result.total,
+        limit: parseInt(limit)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        correctedQuery,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/search/suggestions
+// @desc    Autocomplete suggestions for search boxes
+// @access  Public
+router.get('/suggestions', identifyUser('projects:read'), [
+  query('types').optional().custom(value => listOf(value).every(type => SUGGESTION_TYPES.includes(type)))
+    .withMessage(`types must be a comma-separated list of: ${SUGGESTION_TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('limit must be between 1 and 20')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { q = '', limit = 10 } = req.query;
+    const suggestions = await suggest(String(q), {
+      types: req.query.types ? listOf(req.query.types) : SUGGESTION_TYPES,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: { suggestions }
+    });
+
+  } catch (error) {
+    console.error('Get search suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1094 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Shift = require('../models/Shift');
+const Project = require('../models/Project');
+const HourLog = require('../models/HourLog');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken, identifyUser } = require('../utils/auth');
+const { can } = require('../utils/permissions');
+const { sendShiftCancelledEmail } = require('../utils/email');
+const { distanceKm } = require('../utils/geo');
+const {
+  verifyCheckInToken,
+  getCheckInCode,
+  isCheckOutOpen
+} = require('../utils/attendance');
+
+const router = express.Router();
+
+// Fields an NGO may set when creating or editing a shift
+const SHIFT_FIELDS = ['title', 'description', 'date', 'startTime', 'endTime', 'location', 'capacity', 'roles', 'geofenceRadius'];
+
+const shiftValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    field('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+    field('startTime').matches(Shift.TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    field('endTime').matches(Shift.TIME_PATTERN).withMessage('End time must be HH:MM'),
+    field('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+    body('roles').optional().isArray().withMessage('Roles must be an array'),
+    body('roles.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('Role name must be between 1 and 100 characters'),
+    body('roles.*.slots').isInt({ min: 1 }).withMessage('Role slots must be at least 1'),
+    body('geofenceRadius').optional({ values: 'null' }).isInt({ min: 10, max: 5000 })
+      .withMessage('Geofence radius must be between 10 and 5000 metres')
+  ];
+};
+
+const scanValidation = [
+  body('token').isString().notEmpty().withMessage('Check-in code is required'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+];
+
+const hasCoordinates = (project) =>
+  Boolean(project.location && project.location.coordinates && project.location.coordinates.latitude != null);
+
+// Where a scan happened, in metres from the project, for geofenced shifts. Returns
+// { error } when the volunteer is too far away or didn't share their location.
+const checkGeofence = (shift, { latitude, longitude }) => {
+  if (!shift.geofenceRadius || !hasCoordinates(shift.project)) return {};
+
+  if (latitude === undefined || longitude === undefined) {
+    return { error: 'Share your location to scan the code for this shift' };
+  }
+
+  const distance = Math.round(distanceKm(
+    { latitude: Number(latitude), longitude: Number(longitude) },
+    shift.project.location.coordinates
+  ) * 1000);
+  if (distance > shift.geofenceRadius) {
+    return { distance, error: `You are ${distance} m from the project; scan the code within ${shift.geofenceRadius} m of it` };
+  }
+  return { distance };
+};
+
+// A shift as listed publicly: open places per role, and the caller's own sign-up
+const formatShift = (shift, user) => {
+  const signup = user ? shift.getSignup(user._id) : null;
+  return {
+    ...shift.toJSON(),
+    roles: shift.getRoleSummary(),
+    mySignup: signup ? { role: signup.role, warnings: signup.warnings, signedUpAt: signup.signedUpAt } : null
+  };
+};
+
+const describeShiftTime = (shift) => `${shift.date}, ${shift.startTime}-${shift.endTime}`;
+
+// @route   GET /api/shifts
+// @desc    Get a project's shifts with open places per role
+// @access  Public
+router.get('/', identifyUser('projects:read'), [
+  query('project').isMongoId().withMessage('Valid project ID is required'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.query.project).select('visibility');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (project.visibility === 'private') {
+      return res.status(403).json({
+        success: false,
+        message: 'This project is private'
+      });
+    }
+
+    const { from, to, includeCancelled } = req.query;
+
+    // Upcoming shifts unless a range is asked for
+    const query = { project: project._id, endsAt: { $gt: from ? new Date(from) : new Date() } };
+    if (to) query.startsAt = { $lt: new Date(to) };
+    if (includeCancelled !== 'true') query.status = 'scheduled';
+
+    const shifts = await Shift.find(query).sort({ startsAt: 1 });
+
+    res.json({
+      success: true,
+      data: { shifts: shifts.map(shift => formatShift(shift, req.user)) }
+    });
+
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/shifts/mine
+// @desc    Get the shifts the current user is signed up for
+// @access  Private
+router.get('/mine', verifyToken, async (req, res) => {
+  try {
+    const past = req.query.past === 'true';
+    const now = new Date();
+
+    const shifts = await Shift.find({
+      signups: { $elemMatch: { user: req.user._id, status: 'confirmed' } },
+      ...(past ? { endsAt: { $lte: now } } : { endsAt: { $gt: now } })
+    })
+      .populate('project', 'title location.city ngo')
+      .sort({ startsAt: past ? -1 : 1 });
+
+    res.json({
+      success: true,
+      data: { shifts: shifts.map(shift => formatShift(shift, req.user)) }
+    });
+
+  } catch (error) {
+    console.error('Get my shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/shifts/:id
+// @desc    Get shift by ID
+// @access  Public
+router.get('/:id', identifyUser('projects:read'), async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id).populate('project', 'title visibility ngo location.city');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.project.visibility === 'private') {
+      return res.status(403).json({
+        success: false,
+        message: 'This project is private'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { shift: formatShift(shift, req.user) }
+    });
+
+  } catch (error) {
+    console.error('Get shift by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/shifts
+// @desc    Schedule a shift for a project
+// @access  Private (NGO team or Admin)
+router.post('/', verifyToken, [
+  body('project').isMongoId().withMessage('Valid project ID is required'),
+  ...shiftValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findById(req.body.project);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await can(req.user, 'shift:manage', project))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to schedule shifts for this project'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(project.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot schedule shifts for a project that is ${project.status}`
+      });
+    }
+
+    const { date } = req.body;
+    const firstDay = Shift.toLocalDate(project.timeline.startDate);
+    const lastDay = Shift.toLocalDate(project.timeline.endDate);
+    if (date < firstDay || date > lastDay) {
+      return res.status(400).json({
+        success: false,
+        message: `Shifts must fall between the project's start (${firstDay}) and end (${lastDay}) dates`
+      });
+    }
+
+    if (req.body.geofenceRadius && !hasCoordinates(project)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add coordinates to the project location before setting a geofence'
+      });
+    }
+
+    const shift = new Shift({
+      project: project._id,
+      location: {
+        address: project.location.address,
+        city: project.location.city
+      },
+      createdBy: req.user._id
+    });
+    SHIFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) shift[field] = req.body[field];
+    });
+
+    await shift.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift scheduled successfully',
+      data: { shift: formatShift(shift, req.user) }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+    console.error('Create shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/shifts/:id
+// @desc    Update a shift. Existing sign-ups are kept, so capacity and role
+//          slots cannot drop below the places already taken.
+// @access  Private (NGO team or Admin)
+router.put('/:id', verifyToken, shiftValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shift = await Shift.findById(req.params.id).populate('project', 'ngo timeline location.coordinates');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!(await can(req.user, 'shift:manage', shift))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this shift'
+      });
+    }
+
+    if (shift.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot update a cancelled shift'
+      });
+    }
+
+    if (req.body.date) {
+      const firstDay = Shift.toLocalDate(shift.project.timeline.startDate);
+      const lastDay = Shift.toLocalDate(shift.project.timeline.endDate);
+      if (req.body.date < firstDay || req.body.date > lastDay) {
+        return res.status(400).json({
+          success: false,
+          message: `Shifts must fall between the project's start (${firstDay}) and end (${lastDay}) dates`
+        });
+      }
+    }
+
+    if (req.body.geofenceRadius && !hasCoordinates(shift.project)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add coordinates to the project location before setting a geofence'
+      });
+    }
+
+    if (req.body.capacity !== undefined && Number(req.body.capacity) < shift.filled) {
+      return res.status(409).json({
+        success: false,
+        message: `${shift.filled} volunteers are already signed up for this shift`
+      });
+    }
+
+    if (req.body.roles) {
+      const short = shift.getRoleSummary().find(role => {
+        const updated = req.body.roles.find(r => r.name.toLowerCase() === role.name.toLowerCase());
+        return role.filled > 0 && (!updated || Number(updated.slots) < role.filled);
+      });
+      if (short) {
+        return res.status(409).json({
+          success: false,
+          message: `${short.filled} volunteers are already signed up as ${short.name}`
+        });
+      }
+    }
+
+    const before = AuditLog.snapshot(shift, SHIFT_FIELDS);
+    SHIFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) shift[field] = req.body[field];
+    });
+
+    await shift.save();
+
+    await AuditLog.record(req, {
+      action: 'shift:update',
+      target: shift,
+      before,
+      after: AuditLog.snapshot(shift, SHIFT_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Shift updated successfully',
+      data: { shift: formatShift(shift, req.user) }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+    console.error('Update shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/shifts/:id/cancel
+// @desc    Cancel a shift and let everyone signed up know
+// @access  Private (NGO team or Admin)
+router.post('/:id/cancel', verifyToken, [
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('A reason of up to 1000 characters is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shift = await Shift.findById(req.params.id)
+      .populate('project', 'title ngo')
+      .populate('signups.user', 'name email');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!(await can(req.user, 'shift:manage', shift))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this shift'
+      });
+    }
+
+    if (shift.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'This shift is already cancelled'
+      });
+    }
+
+    const { reason } = req.body;
+    shift.status = 'cancelled';
+    shift.cancellationReason = reason;
+    await shift.save();
+
+    await AuditLog.record(req, {
+      action: 'shift:cancel',
+      target: shift,
+      before: { status: 'scheduled' },
+      after: { status: 'cancelled' },
+      details: { reason }
+    });
+
+    // Past shifts have nobody left to warn
+    const confirmed = shift.startsAt > new Date()
+      ? shift.signups.filter(signup => signup.status === 'confirmed' && signup.user)
+      : [];
+    for (const signup of confirmed) {
+      try {
+        await sendShiftCancelledEmail(
+          signup.user.email,
+          signup.user.name,
+          shift.title,
+          shift.project.title,
+          describeShiftTime(shift),
+          reason
+        );
+      } catch (emailError) {
+        console.error('Failed to send shift cancellation email:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Shift cancelled',
+      data: { notified: confirmed.length }
+    });
+
+  } catch (error) {
+    console.error('Cancel shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/shifts/:id/signup
+// @desc    Sign up for a shift of a project you are volunteering on
+// @access  Private
+router.post('/:id/signup', verifyToken, [
+  body('role').optional().trim().isLength({ max: 100 }).withMessage('Role cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shift = await Shift.findById(req.params.id).populate('project', 'title status volunteers');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const volunteer = shift.project.volunteers.find(v => v.user.equals(req.user._id));
+    if (!volunteer || volunteer.status !== 'accepted') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only accepted volunteers of this project can sign up for its shifts'
+      });
+    }
+
+    if (shift.project.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot sign up for shifts of a project that is ${shift.project.status}`
+      });
+    }
+
+    if (shift.status !== 'scheduled' || shift.startsAt <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: shift.status === 'cancelled' ? 'This shift has been cancelled' : 'This shift has already started'
+      });
+    }
+
+    if (shift.getSignup(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already signed up for this shift'
+      });
+    }
+
+    // Shifts with roles are signed up for in one of them
+    let role;
+    if (shift.roles.length > 0) {
+      const requested = (req.body.role || '').toLowerCase();
+      const summary = shift.getRoleSummary().find(r => r.name.toLowerCase() === requested);
+      if (!summary) {
+        return res.status(400).json({
+          success: false,
+          message: `Choose one of this shift's roles: ${shift.roles.map(r => r.name).join(', ')}`
+        });
+      }
+      if (summary.open === 0) {
+        return res.status(409).json({
+          success: false,
+          message: `All ${summary.name} places are taken`
+        });
+      }
+      role = summary.name;
+    }
+
+    if (shift.openSlots === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This shift is full'
+      });
+    }
+
+    const overlapping = await Shift.findOverlapping(req.user._id, shift.startsAt, shift.endsAt, shift._id)
+      .populate('project', 'title');
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This shift overlaps with another shift you are signed up for',
+        data: {
+          conflicts: overlapping.map(other => ({
+            id: other._id,
+            title: other.title,
+            project: other.project ? other.project.title : null,
+            date: other.date,
+            startTime: other.startTime,
+            endTime: other.endTime
+          }))
+        }
+      });
+    }
+
+    // Outside the volunteer's stated availability is allowed, but flagged
+    const warnings = shift.checkAvailability(req.user);
+    const signup = shift.addSignup(req.user._id, role, warnings);
+    await shift.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Signed up for shift',
+      data: {
+        signup: { role: signup.role, signedUpAt: signup.signedUpAt },
+        warnings
+      }
+    });
+
+  } catch (error) {
+    console.error('Shift signup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/shifts/:id/signup
+// @desc    Cancel own sign-up for a shift
+// @access  Private
+router.delete('/:id/signup', verifyToken, async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!shift.getSignup(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not signed up for this shift'
+      });
+    }
+
+    if (shift.startsAt <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'This shift has already started'
+      });
+    }
+
+    shift.cancelSignup(req.user._id);
+    await shift.save();
+
+    res.json({
+      success: true,
+      message: 'Shift sign-up cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel shift signup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/shifts/:id/signups/:userId
+// @desc    Remove a volunteer from a shift's roster
+// @access  Private (NGO team or Admin)
+router.delete('/:id/signups/:userId', verifyToken, async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id).populate('project', 'ngo');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!(await can(req.user, 'shift:manage', shift))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this shift'
+      });
+    }
+
+    const signup = shift.getSignup(req.params.userId);
+    if (!signup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Volunteer is not signed up for this shift'
+      });
+    }
+
+    if (signup.attendance.checkedInAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This volunteer has checked in; correct their attendance instead'
+      });
+    }
+
+    shift.cancelSignup(req.params.userId);
+    await shift.save();
+
+    await AuditLog.record(req, {
+      action: 'shift:remove-signup',
+      target: shift,
+      details: { volunteer: req.params.userId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Volunteer removed from shift'
+    });
+
+  } catch (error) {
+    console.error('Remove shift signup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/shifts/:id/roster
+// @desc    Get who is signed up for a shift, by role
+// @access  Private (NGO team or Admin)
+router.get('/:id/roster', verifyToken, async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id)
+      .populate('project', 'title ngo')
+      .populate('signups.user', 'name email profile.phone profile.avatar');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!(await can(req.user, 'shift:view-roster', shift))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this roster'
+      });
+    }
+
+    const includeCancelled = req.query.includeCancelled === 'true';
+    const roster = shift.signups
+      .filter(signup => signup.user && (includeCancelled || signup.status === 'confirmed'))
+      .map(signup => ({
+        user: signup.user,
+        role: signup.role,
+        status: signup.status,
+        warnings: signup.warnings,
+        signedUpAt: signup.signedUpAt,
+        cancelledAt: signup.cancelledAt,
+        attendance: signup.attendance
+      }));
+
+    const attended = shift.signups.filter(signup => signup.attendance.checkedInAt);
+
+    res.json({
+      success: true,
+      data: {
+        shift: formatShift(shift, null),
+        roster,
+        attendance: {
+          checkedIn: attended.filter(signup => !signup.attendance.checkedOutAt).length,
+          checkedOut: attended.filter(signup => signup.attendance.checkedOutAt).length,
+          hours: Math.round(attended.reduce((sum, signup) => sum + signup.attendance.hoursCredited, 0) * 100) / 100
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shift roster error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/shifts/:id/check-in-code
+// @desc    Get the current check-in QR code to show at the venue; it changes every minute
+// @access  Private (NGO team or Admin)
+router.get('/:id/check-in-code', verifyToken, async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id).populate('project', 'ngo');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!(await can(req.user, 'attendance:manage', shift))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage attendance for this shift'
+      });
+    }
+
+    if (!shift.isCheckInOpen() && !(shift.status === 'scheduled' && isCheckOutOpen(shift))) {
+      return res.status(409).json({
+        success: false,
+        message: `Check-in opens ${Shift.CHECK_IN_EARLY_MINUTES} minutes before a scheduled shift starts and closes soon after it ends`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getCheckInCode(shift._id)
+    });
+
+  } catch (error) {
+    console.error('Get check-in code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/shifts/check-in
+// @desc    Check in to a shift by scanning its QR code
+// @access  Private
+router.post('/check-in', verifyToken, scanValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shiftId = verifyCheckInToken(req.body.token);
+    if (!shiftId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This code has expired or is not valid; scan the code on display again'
+      });
+    }
+
+    const shift = await Shift.findById(shiftId).populate('project', 'title location.coordinates');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const signup = shift.getSignup(req.user._id);
+    if (!signup) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not signed up for this shift'
+      });
+    }
+
+    if (signup.attendance.checkedInAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already checked in to this shift'
+      });
+    }
+
+    if (!shift.isCheckInOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `Check-in is open from ${Shift.CHECK_IN_EARLY_MINUTES} minutes before the shift until it ends`
+      });
+    }
+
+    const { distance, error } = checkGeofence(shift, req.body);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error,
+        data: { distance, geofenceRadius: shift.geofenceRadius }
+      });
+    }
+
+    signup.attendance.checkedInAt = new Date();
+    signup.attendance.checkInDistance = distance;
+    await shift.save();
+
+    res.json({
+      success: true,
+      message: `Checked in to ${shift.title}`,
+      data: {
+        shift: { id: shift._id, title: shift.title, project: shift.project.title, endsAt: shift.endsAt },
+        checkedInAt: signup.attendance.checkedInAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Shift check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/shifts/check-out
+// @desc    Check out of a shift by scanning its QR code; the hours are added to your totals
+// @access  Private
+router.post('/check-out', verifyToken, scanValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shiftId = verifyCheckInToken(req.body.token);
+    if (!shiftId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This code has expired or is not valid; scan the code on display again'
+      });
+    }
+
+    const shift = await Shift.findById(shiftId).populate('project', 'title location.coordinates');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const signup = shift.getSignup(req.user._id);
+    if (!signup || !signup.attendance.checkedInAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have not checked in to this shift'
+      });
+    }
+
+    if (signup.attendance.checkedOutAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already checked out of this shift'
+      });
+    }
+
+    if (!isCheckOutOpen(shift)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Check-out for this shift has closed; ask a coordinator to record your hours'
+      });
+    }
+
+    const { distance, error } = checkGeofence(shift, req.body);
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error,
+        data: { distance, geofenceRadius: shift.geofenceRadius }
+      });
+    }
+
+    shift.recordCheckOut(signup, new Date(), { distance });
+    await shift.save();
+    await HourLog.recordShiftHours(shift, req.user._id, signup.attendance.hoursCredited);
+
+    res.json({
+      success: true,
+      message: `Checked out of ${shift.title}`,
+      data: {
+        checkedInAt: signup.attendance.checkedInAt,
+        checkedOutAt: signup.attendance.checkedOutAt,
+        hours: signup.attendance.hoursCredited
+      }
+    });
+
+  } catch (error) {
+    console.error('Shift check-out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/shifts/:id/attendance/:userId
+// @desc    Correct a volunteer's check-in, check-out or credited hours
+// @access  Private (NGO team or Admin)
+router.put('/:id/attendance/:userId', verifyToken, [
+  body('checkedInAt').optional({ values: 'null' }).isISO8601().withMessage('checkedInAt must be a date'),
+  body('checkedOutAt').optional({ values: 'null' }).isISO8601().withMessage('checkedOutAt must be a date'),
+  body('hours').optional().isFloat({ min: 0, max: 24 }).withMessage('Hours must be between 0 and 24'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason of up to 500 characters is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const shift = await Shift.findById(req.params.id).populate('project', 'ngo');
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!(await can(req.user, 'attendance:manage', shift))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage attendance for this shift'
+      });
+    }
+
+    const signup = shift.getSignup(req.params.userId);
+    if (!signup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Volunteer is not signed up for this shift'
+      });
+    }
+
+    // Times that aren't sent stay as they are; null clears them
+    const pick = (field) => {
+      if (req.body[field] === undefined) return signup.attendance[field];
+      return req.body[field] === null ? null : new Date(req.body[field]);
+    };
+    const checkedInAt = pick('checkedInAt');
+    const checkedOutAt = pick('checkedOutAt');
+
+    if (checkedOutAt && (!checkedInAt || checkedOutAt <= checkedInAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out must come after a check-in'
+      });
+    }
+
+    const auditPaths = ['attendance.checkedInAt', 'attendance.checkedOutAt', 'attendance.hoursCredited'];
+    const before = AuditLog.snapshot(signup, auditPaths);
+    const hours = req.body.hours !== undefined ? Number(req.body.hours) : undefined;
+    shift.correctAttendance(signup, { checkedInAt, checkedOutAt, hours }, {
+      by: req.user._id,
+      reason: req.body.reason
+    });
+    await shift.save();
+    await HourLog.recordShiftHours(shift, signup.user, signup.attendance.hoursCredited, req.user._id);
+
+    await AuditLog.record(req, {
+      action: 'attendance:correct',
+      target: shift,
+      before,
+      after: AuditLog.snapshot(signup, auditPaths),
+      details: { volunteer: signup.user, reason: req.body.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Attendance updated',
+      data: { attendance: signup.attendance }
+    });
+
+  } catch (error) {
+    console.error('Correct attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
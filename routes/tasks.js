@@ -3,15 +3,19 @@ const { body, validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
 const User = require('../models/User');
-const { verifyToken } = require('../utils/auth');
+const AuditLog = require('../models/AuditLog');
+const HourLog = require('../models/HourLog');
+const { verifyToken, acceptApiKey } = require('../utils/auth');
+const { can, taskAccessFilter } = require('../utils/permissions');
 const { sendTaskAssignmentEmail } = require('../utils/email');
+const { escapeRegExp } = require('../utils/search');
 
 const router = express.Router();
 
 // @route   GET /api/tasks
 // @desc    Get tasks with filtering and pagination
 // @access  Private
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', acceptApiKey('tasks:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -21,34 +25,30 @@ router.get('/', verifyToken, async (req, res) => {
       priority,
       assignedTo,
       project,
+      milestone,
       search,
       sortBy = 'timeline.dueDate',
       sortOrder = 'asc'
     } = req.query;
 
-    // Build query based on user role
     let query = {};
     
-    if (req.user.role === 'volunteer') {
-      // Volunteers can only see their assigned tasks
-      query.assignedTo = req.user.id;
-    } else if (req.user.role === 'ngo') {
-      // NGOs can see tasks from their projects
-      const ngoProjects = await Project.find({ createdBy: req.user.id }).select('_id');
-      query.project = { $in: ngoProjects.map(p => p._id) };
-    }
-    // Admins can see all tasks (no additional filter)
+    const accessFilter = await taskAccessFilter(req.user);
+    if (accessFilter) {
+      query.$and = [accessFilter];
+    }
     
     if (status) query.status = status;
     if (category) query.category = category;
     if (priority) query.priority = priority;
     if (assignedTo) query.assignedTo = assignedTo;
     if (project) query.project = project;
+    if (milestone) query.milestone = milestone;
     
     if (search) {
       query.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') }
+        { title: new RegExp(escapeRegExp(search), 'i') },
+        { description: new RegExp(escapeRegExp(search), 'i') }
       ];
     }
 
@@ -92,7 +92,7 @@ router.get('/', verifyToken, async (req, res) => {
 // @route   GET /api/tasks/:id
 // @desc    Get task by ID
 // @access  Private
-router.get('/:id', verifyToken, async (req, res) => {
+router.get('/:id', acceptApiKey('tasks:read'), async (req, res) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate('project', 'title ngo')
@@ -109,12 +109,7 @@ router.get('/:id', verifyToken, async (req, res) => {
     }
 
     // Check access permissions
-    const hasAccess = 
-      req.user.role === 'admin' ||
-      task.assignedTo?.equals(req.user.id) ||
-      task.assignedBy.equals(req.user.id);
-
-    if (!hasAccess) {
+    if (!(await can(req.user, 'task:view', task))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -138,7 +133,7 @@ router.get('/:id', verifyToken, async (req, res) => {
 
 // @route   POST /api/tasks
 // @desc    Create a new task
-// @access  Private (NGO or Admin)
+// @access  Private (NGO team or Admin)
 router.post('/', verifyToken, [
   body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
   body('description').trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be between 10 and 2000 characters'),
@@ -147,7 +142,8 @@ router.post('/', verifyToken, [
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
   body('timeline.startDate').isISO8601().withMessage('Valid start date is required'),
   body('timeline.dueDate').isISO8601().withMessage('Valid due date is required'),
-  body('timeline.estimatedHours').optional().isFloat({ min: 0 })
+  body('timeline.estimatedHours').optional().isFloat({ min: 0 }),
+  body('milestone').optional().isMongoId().withMessage('Invalid milestone ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -168,11 +164,7 @@ router.post('/', verifyToken, [
       });
     }
 
-    const canCreateTask = 
-      req.user.role === 'admin' ||
-      project.createdBy.equals(req.user.id);
-
-    if (!canCreateTask) {
+    if (!(await can(req.user, 'task:create', project))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to create tasks for this project'
@@ -190,6 +182,13 @@ router.post('/', verifyToken, [
       });
     }
 
+    if (req.body.milestone && !project.timeline.milestones.id(req.body.milestone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone not found in this project'
+      });
+    }
+
     const taskData = {
       ...req.body,
       assignedBy: req.user.id
@@ -220,7 +219,7 @@ router.post('/', verifyToken, [
 
 // @route   PUT /api/tasks/:id
 // @desc    Update task
-// @access  Private (Task creator or Admin)
+// @access  Private (NGO team or Admin)
 router.put('/:id', verifyToken, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
@@ -233,19 +232,19 @@ router.put('/:id', verifyToken, async (req, res) => {
     }
 
     // Check permissions
-    const canUpdate = 
-      req.user.role === 'admin' ||
-      task.assignedBy.equals(req.user.id);
-
-    if (!canUpdate) {
+    if (!(await can(req.user, 'task:update', task))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task'
       });
     }
 
-    // Update task
+    // Update task (the project and assignment have their own checks)
     const updates = req.body;
+    delete updates.project;
+    delete updates.assignedTo;
+    delete updates.assignedBy;
+    delete updates.milestone;
     Object.keys(updates).forEach(key => {
       if (typeof updates[key] === 'object' && !Array.isArray(updates[key])) {
         task[key] = { ...task[key], ...updates[key] };
@@ -279,7 +278,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 
 // @route   PUT /api/tasks/:id/assign
 // @desc    Assign task to volunteer
-// @access  Private (Task creator or Admin)
+// @access  Private (NGO team or Admin)
 router.put('/:id/assign', verifyToken, [
   body('assignedTo').isMongoId().withMessage('Valid user ID is required')
 ], async (req, res) => {
@@ -303,11 +302,7 @@ router.put('/:id/assign', verifyToken, [
     }
 
     // Check permissions
-    const canAssign = 
-      req.user.role === 'admin' ||
-      task.assignedBy.equals(req.user.id);
-
-    if (!canAssign) {
+    if (!(await can(req.user, 'task:assign', task))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to assign this task'
@@ -331,8 +326,17 @@ router.put('/:id/assign', verifyToken, [
     }
 
     // Assign task
+    const auditPaths = ['assignedTo', 'status'];
+    const before = AuditLog.snapshot(task, auditPaths);
     await task.assignTo(req.body.assignedTo);
 
+    await AuditLog.record(req, {
+      action: 'task:assign',
+      target: task,
+      before,
+      after: AuditLog.snapshot(task, auditPaths)
+    });
+
     // Send notification email
     try {
       await sendTaskAssignmentEmail(
@@ -367,7 +371,7 @@ router.put('/:id/assign', verifyToken, [
 
 // @route   PUT /api/tasks/:id/progress
 // @desc    Update task progress
-// @access  Private (Assigned volunteer or Task creator or Admin)
+// @access  Private (Assigned volunteer, NGO team or Admin)
 router.put('/:id/progress', verifyToken, [
   body('percentage').isInt({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100'),
   body('message').trim().isLength({ min: 5, max: 500 }).withMessage('Message must be between 5 and 500 characters')
@@ -392,12 +396,7 @@ router.put('/:id/progress', verifyToken, [
     }
 
     // Check permissions
-    const canUpdate = 
-      req.user.role === 'admin' ||
-      task.assignedTo?.equals(req.user.id) ||
-      task.assignedBy.equals(req.user.id);
-
-    if (!canUpdate) {
+    if (!(await can(req.user, 'task:update-progress', task))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task progress'
@@ -440,11 +439,20 @@ router.put('/:id/progress', verifyToken, [
 
 // @route   PUT /api/tasks/:id/complete
 // @desc    Mark task as complete
-// @access  Private (Assigned volunteer or Task creator or Admin)
+// @access  Private (Assigned volunteer, NGO team or Admin)
 router.put('/:id/complete', verifyToken, [
-  body('actualHours').optional().isFloat({ min: 0 })
+  body('actualHours').optional().isFloat({ min: 0, max: 1000 }).withMessage('Actual hours must be between 0 and 1000')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const task = await Task.findById(req.params.id);
     
     if (!task) {
@@ -455,18 +463,21 @@ router.put('/:id/complete', verifyToken, [
     }
 
     // Check permissions
-    const canComplete = 
-      req.user.role === 'admin' ||
-      task.assignedTo?.equals(req.user.id) ||
-      task.assignedBy.equals(req.user.id);
-
-    if (!canComplete) {
+    if (!(await can(req.user, 'task:complete', task))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to complete this task'
       });
     }
 
+    // Completing again would award points and log the hours a second time
+    if (task.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Task is already completed'
+      });
+    }
+
     const { actualHours } = req.body;
     
     await task.complete(actualHours);
@@ -477,10 +488,20 @@ router.put('/:id/complete', verifyToken, [
       if (volunteer) {
         await volunteer.addPoints(task.points.total, 'Task completed', task.project);
         volunteer.statistics.tasksCompleted += 1;
-        if (actualHours) {
-          volunteer.statistics.hoursVolunteered += actualHours;
-        }
         await volunteer.save();
+
+        // Reported hours only count once the NGO approves them
+        if (actualHours > 0) {
+          await HourLog.create({
+            volunteer: volunteer._id,
+            project: task.project,
+            task: task._id,
+            date: HourLog.dayOf(new Date()),
+            hours: Number(actualHours),
+            description: `Task: ${task.title}`,
+            source: 'task'
+          });
+        }
       }
     }
 
@@ -506,7 +527,7 @@ router.put('/:id/complete', verifyToken, [
 
 // @route   POST /api/tasks/:id/deliverables
 // @desc    Add deliverable to task
-// @access  Private (Task creator or Admin)
+// @access  Private (NGO team or Admin)
 router.post('/:id/deliverables', verifyToken, [
   body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
   body('description').optional().trim().isLength({ max: 500 }),
@@ -532,11 +553,7 @@ router.post('/:id/deliverables', verifyToken, [
     }
 
     // Check permissions
-    const canAdd = 
-      req.user.role === 'admin' ||
-      task.assignedBy.equals(req.user.id);
-
-    if (!canAdd) {
+    if (!(await can(req.user, 'task:manage-deliverables', task))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to add deliverables to this task'
@@ -563,4 +580,343 @@ router.post('/:id/deliverables', verifyToken, [
   }
 });
 
+// @route   PUT /api/tasks/:id/milestone
+// @desc    Link a task to one of its project's milestones, or unlink it with null
+// @access  Private (NGO team or Admin)
+router.put('/:id/milestone', verifyToken, [
+  body('milestone').custom(value => value === null || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('milestone must be a milestone ID or null')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await can(req.user, 'task:update', task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const { milestone } = req.body;
+    if (milestone) {
+      const project = await Project.findById(task.project).select('timeline.milestones');
+      if (!project || !project.timeline.milestones.id(milestone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Milestone not found in this task\'s project'
+        });
+      }
+    }
+
+    task.milestone = milestone || undefined;
+    await task.save();
+
+    res.json({
+      success: true,
+      message: milestone ? 'Task linked to milestone' : 'Task unlinked from milestone',
+      data: { task: { id: task._id, milestone: task.milestone } }
+    });
+
+  } catch (error) {
+    console.error('Link task milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/milestones
+// @desc    Add a milestone to a task
+// @access  Private (NGO team or Admin)
+router.post('/:id/milestones', verifyToken, [
+  body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('targetDate').optional().isISO8601().withMessage('Valid target date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await can(req.user, 'task:update', task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this task'
+      });
+    }
+
+    const { title, description, targetDate } = req.body;
+    
+    await task.addMilestone(title, description, targetDate ? new Date(targetDate) : undefined);
+
+    res.json({
+      success: true,
+      message: 'Milestone added successfully',
+      data: { milestones: task.progress.milestones }
+    });
+
+  } catch (error) {
+    console.error('Add task milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/milestones/order
+// @desc    Reorder a task's milestones
+// @access  Private (NGO team or Admin)
+router.put('/:id/milestones/order', verifyToken, [
+  body('milestones').isArray({ min: 1 }).withMessage('milestones must list the milestone IDs in their new order'),
+  body('milestones.*').isMongoId().withMessage('Invalid milestone ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await can(req.user, 'task:update', task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this task'
+      });
+    }
+
+    if (!task.reorderMilestones(req.body.milestones)) {
+      return res.status(400).json({
+        success: false,
+        message: 'milestones must list every milestone of the task exactly once'
+      });
+    }
+
+    await task.save();
+
+    res.json({
+      success: true,
+      message: 'Milestones reordered successfully',
+      data: { milestones: task.progress.milestones }
+    });
+
+  } catch (error) {
+    console.error('Reorder task milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/milestones/:milestoneId
+// @desc    Update a task milestone
+// @access  Private (NGO team or Admin)
+router.put('/:id/milestones/:milestoneId', verifyToken, [
+  body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('targetDate').optional().isISO8601().withMessage('Valid target date is required'),
+  body('status').optional().isIn(['pending', 'completed']).withMessage('Status must be pending or completed')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await can(req.user, 'task:update', task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this task'
+      });
+    }
+
+    const milestone = task.progress.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    const { title, description, targetDate, status } = req.body;
+    if (title !== undefined) milestone.title = title;
+    if (description !== undefined) milestone.description = description;
+    if (targetDate !== undefined) milestone.targetDate = new Date(targetDate);
+    if (status && status !== milestone.status) {
+      milestone.status = status;
+      milestone.completedDate = status === 'completed' ? new Date() : undefined;
+    }
+
+    await task.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone updated successfully',
+      data: { milestones: task.progress.milestones }
+    });
+
+  } catch (error) {
+    console.error('Update task milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/milestones/:milestoneId/complete
+// @desc    Complete a task milestone
+// @access  Private (Assigned volunteer, NGO team or Admin)
+router.post('/:id/milestones/:milestoneId/complete', verifyToken, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await can(req.user, 'task:update-progress', task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update progress on this task'
+      });
+    }
+
+    if (!task.progress.milestones.id(req.params.milestoneId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    await task.completeMilestone(req.params.milestoneId);
+
+    res.json({
+      success: true,
+      message: 'Milestone completed',
+      data: { milestones: task.progress.milestones }
+    });
+
+  } catch (error) {
+    console.error('Complete task milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/milestones/:milestoneId
+// @desc    Delete a task milestone
+// @access  Private (NGO team or Admin)
+router.delete('/:id/milestones/:milestoneId', verifyToken, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await can(req.user, 'task:update', task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones for this task'
+      });
+    }
+
+    const milestone = task.progress.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    milestone.deleteOne();
+    await task.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone deleted successfully',
+      data: { milestones: task.progress.milestones }
+    });
+
+  } catch (error) {
+    console.error('Delete task milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,18 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const NGO = require('../models/NGO');
 const Project = require('../models/Project');
 const Task = require('../models/Task');
-const { verifyToken, requireOwnershipOrAdmin } = require('../utils/auth');
+const { verifyToken, blockImpersonation, sensitiveOperationLimit } = require('../utils/auth');
+const { buildUserExport } = require('../utils/privacy');
+const { sendAccountDeletionEmail } = require('../utils/email');
 
 const router = express.Router();
 
+const accountDataLimiter = rateLimit(sensitiveOperationLimit);
+
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
@@ -69,8 +75,9 @@ router.put('/profile', verifyToken, [
       });
     }
 
-    // Update user fields
-    Object.keys(updates).forEach(key => {
+    // Update user fields; credentials and account state have their own endpoints
+    const editableFields = ['name', 'profile', 'skills', 'interests', 'availability', 'preferences'];
+    Object.keys(updates).filter(key => editableFields.includes(key)).forEach(key => {
       if (key === 'profile' && typeof updates[key] === 'object') {
         user.profile = { ...user.profile, ...updates[key] };
       } else if (key === 'availability' && typeof updates[key] === 'object') {
@@ -243,10 +250,12 @@ router.get('/projects', verifyToken, async (req, res) => {
     const projectsWithRole = projects.map(project => {
       const volunteer = project.volunteers.find(v => v.user.toString() === req.user.id);
       return {
-        ...project.toObject(),
+        ...project.toJSON(),
         userRole: volunteer?.role || 'volunteer',
         userStatus: volunteer?.status || 'unknown',
-        joinedDate: volunteer?.joinedDate
+        joinedDate: volunteer?.joinedDate,
+        waitlistPosition: volunteer ? project.getWaitlistPosition(volunteer.user) : null,
+        offerExpiresAt: volunteer?.status === 'offered' ? volunteer.offer.expiresAt : undefined
       };
     });
 
@@ -381,6 +390,128 @@ router.put('/preferences', verifyToken, [
   }
 });
 
+// @route   GET /api/users/me/export
+// @desc    Download everything stored about the current user as JSON
+// @access  Private
+router.get('/me/export', verifyToken, blockImpersonation, accountDataLimiter, async (req, res) => {
+  try {
+    const archive = await buildUserExport(req.user._id);
+
+    if (!archive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const filename = `sevasetu-data-${req.user._id}-${new Date().toISOString().slice(0, 10)}.json`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+    res.json(archive);
+
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/users/me/deletion
+// @desc    Request deletion of the current account after a grace period
+// @access  Private
+router.post('/me/deletion', verifyToken, blockImpersonation, accountDataLimiter, [
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (await NGO.exists({ owner: user._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer ownership of your NGO to another team member before deleting your account'
+      });
+    }
+
+    if (user.deletion && user.deletion.scheduledFor) {
+      return res.status(409).json({
+        success: false,
+        message: 'Account deletion has already been requested',
+        data: { deletion: user.deletion }
+      });
+    }
+
+    user.scheduleDeletion();
+    await user.save();
+
+    await sendAccountDeletionEmail(user.email, user.name, user.deletion.scheduledFor);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletion.scheduledFor.toDateString()}. You can cancel until then.`,
+      data: { deletion: user.deletion }
+    });
+
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.delete('/me/deletion', verifyToken, blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletion || !user.deletion.scheduledFor) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account deletion is pending'
+      });
+    }
+
+    user.cancelDeletion();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID (public profile)
 // @access  Public
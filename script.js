@@ -3,6 +3,176 @@ let currentPage = 'welcome';
 let currentDashboardSection = 'overview';
 let currentAdminSection = 'overview';
 
+// API and session configuration
+const API_BASE_URL = '/api';
+const AUTH_TOKEN_KEY = 'sevasetu_token';
+const AUTH_USER_KEY = 'sevasetu_user';
+const AUTH_REFRESH_KEY = 'sevasetu_refresh_token';
+
+// Session helpers
+// Tokens live in sessionStorage unless the user asked to be remembered,
+// and the cached user object is only used for display - access decisions
+// always go through verifySession().
+function getAuthStorage() {
+    return sessionStorage.getItem(AUTH_TOKEN_KEY) ? sessionStorage : localStorage;
+}
+
+function getAuthToken() {
+    return getAuthStorage().getItem(AUTH_TOKEN_KEY);
+}
+
+function getRefreshToken() {
+    return getAuthStorage().getItem(AUTH_REFRESH_KEY);
+}
+
+function saveAuthSession({ token, refreshToken, user }, remember = false) {
+    clearAuthSession();
+    const storage = remember ? localStorage : sessionStorage;
+    storage.setItem(AUTH_TOKEN_KEY, token);
+    storage.setItem(AUTH_REFRESH_KEY, refreshToken);
+    storage.setItem(AUTH_USER_KEY, JSON.stringify({
+        id: user._id || user.id,
+        name: user.name,
+        role: user.role
+    }));
+}
+
+function getCachedUser() {
+    const cached = sessionStorage.getItem(AUTH_USER_KEY) || localStorage.getItem(AUTH_USER_KEY);
+    return cached ? JSON.parse(cached) : null;
+}
+
+function clearAuthSession() {
+    [sessionStorage, localStorage].forEach(storage => {
+        storage.removeItem(AUTH_TOKEN_KEY);
+        storage.removeItem(AUTH_REFRESH_KEY);
+        storage.removeItem(AUTH_USER_KEY);
+    });
+}
+
+// Swap the refresh token for a new token pair; shared by concurrent callers
+let refreshInFlight = null;
+
+function refreshAuthSession() {
+    if (!refreshInFlight) {
+        refreshInFlight = (async () => {
+            const refreshToken = getRefreshToken();
+            if (!refreshToken) {
+                return false;
+            }
+
+            const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (response.ok && data.success !== false) {
+                const storage = getAuthStorage();
+                storage.setItem(AUTH_TOKEN_KEY, data.data.token);
+                storage.setItem(AUTH_REFRESH_KEY, data.data.refreshToken);
+                return true;
+            }
+
+            // Another tab may have rotated the token first
+            if (getRefreshToken() !== refreshToken) {
+                return true;
+            }
+
+            clearAuthSession();
+            return false;
+        })().catch(() => false).finally(() => {
+            refreshInFlight = null;
+        });
+    }
+
+    return refreshInFlight;
+}
+
+// End the session on the server as well as forgetting it locally
+async function logoutSession() {
+    const refreshToken = getRefreshToken();
+    clearAuthSession();
+
+    if (refreshToken) {
+        await apiRequest('/auth/logout', {
+            method: 'POST',
+            body: { refreshToken }
+        }).catch(() => {});
+    }
+}
+
+// Call the SevaSetu API and return the parsed JSON body
+async function apiRequest(endpoint, options = {}) {
+    const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+    const token = getAuthToken();
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: options.method || 'GET',
+        headers,
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    // Access tokens are short-lived; refresh once and replay the request
+    if (response.status === 401 && data.tokenExpired && !options.isRetry) {
+        if (await refreshAuthSession()) {
+            return apiRequest(endpoint, { ...options, isRetry: true });
+        }
+    }
+
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.message || 'Request failed. Please try again.');
+        error.status = response.status;
+        error.errors = data.errors || [];
+        error.data = data.data;
+        throw error;
+    }
+
+    return data;
+}
+
+// Ask the server who the current token belongs to; returns null when logged out
+async function verifySession() {
+    if (!getAuthToken()) {
+        return null;
+    }
+
+    try {
+        const { data } = await apiRequest('/auth/verify-token');
+        return { ...data.user, ngo: data.ngo || null, twoFactor: data.twoFactor };
+    } catch (error) {
+        if (error.status === 401) {
+            clearAuthSession();
+        }
+        return null;
+    }
+}
+
+// Work out which page a signed-in user belongs on
+function getDashboardUrl(user) {
+    if (!user.isVerified) {
+        return 'auth.html?verify=1';
+    }
+    if (user.twoFactor && user.twoFactor.setupRequired) {
+        return 'auth.html?setup2fa=1';
+    }
+    if (user.role === 'volunteer') {
+        return 'volunteer-dashboard.html';
+    }
+    if (user.role === 'ngo') {
+        return user.ngo && user.ngo.verificationStatus === 'verified'
+            ? 'ngo-dashboard.html'
+            : 'pending-approval.html';
+    }
+    return 'auth.html';
+}
+
 // Back button functionality
 function goBack() {
     // Check if there's a previous page in browser history
@@ -15,25 +185,15 @@ function goBack() {
 }
 
 // Check dashboard access based on user role
-function checkDashboardAccess() {
-    const user = JSON.parse(localStorage.getItem('sevasetu_user') || '{}');
-    
-    if (!user.id || !user.isVerified) {
+async function checkDashboardAccess() {
+    const user = await verifySession();
+
+    if (!user) {
         window.location.href = 'auth.html';
         return;
     }
-    
-    if (user.role === 'volunteer') {
-        window.location.href = 'volunteer-dashboard.html';
-    } else if (user.role === 'ngo') {
-        if (user.isApproved) {
-            window.location.href = 'ngo-dashboard.html';
-        } else {
-            window.location.href = 'pending-approval.html';
-        }
-    } else {
-        window.location.href = 'auth.html';
-    }
+
+    window.location.href = getDashboardUrl(user);
 }
 
 // Page navigation functions
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const NGO = require('../models/NGO');
+const Project = require('../models/Project');
+const { pointForAddress } = require('../utils/geo');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sevasetu', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+// Set the GeoJSON point used by location search on records saved before it existed
+const backfill = async (Model, field) => {
+  let updated = 0;
+  let unresolved = 0;
+
+  const cursor = Model.find({ [`${field}.point`]: null }).select(field).lean().cursor();
+  for await (const doc of cursor) {
+    const point = pointForAddress(doc[field]);
+    if (!point) {
+      unresolved += 1;
+      continue;
+    }
+
+    await Model.updateOne({ _id: doc._id }, { $set: { [`${field}.point`]: point } });
+    updated += 1;
+  }
+
+  console.log(`${Model.modelName}: ${updated} updated, ${unresolved} without a known location`);
+};
+
+const run = async () => {
+  try {
+    await backfill(Project, 'location');
+    await backfill(NGO, 'address');
+    await Promise.all([Project.syncIndexes(), NGO.syncIndexes()]);
+    console.log('Location backfill completed');
+  } catch (error) {
+    console.error('Location backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const NGO = require('../models/NGO');
+const User = require('../models/User');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sevasetu', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+// NGO accounts used to reach their NGO by matching its contact or main email.
+// Access now goes through the team, so add those accounts to NGOs that have
+// none: the contact person becomes the owner, the main address a coordinator.
+const run = async () => {
+  try {
+    let updated = 0;
+    let unmatched = 0;
+
+    const cursor = NGO.find({ owner: null, 'members.0': { $exists: false } })
+      .select('email contactPerson.email')
+      .lean()
+      .cursor();
+
+    for await (const ngo of cursor) {
+      const emails = [ngo.contactPerson && ngo.contactPerson.email, ngo.email]
+        .filter(Boolean)
+        .map(email => email.toLowerCase());
+      const accounts = await User.find({ email: { $in: emails }, role: 'ngo' }).select('email');
+      accounts.sort((a, b) => emails.indexOf(a.email) - emails.indexOf(b.email));
+
+      if (accounts.length === 0) {
+        unmatched += 1;
+        continue;
+      }
+
+      const [owner, ...others] = accounts;
+      await NGO.updateOne({ _id: ngo._id }, {
+        $set: {
+          owner: owner._id,
+          members: [
+            { user: owner._id, role: 'owner' },
+            ...others.map(account => ({ user: account._id, role: 'coordinator' }))
+          ]
+        }
+      });
+      updated += 1;
+    }
+
+    console.log(`NGO: ${updated} teams created, ${unmatched} without a matching NGO account`);
+  } catch (error) {
+    console.error('NGO member backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+run();
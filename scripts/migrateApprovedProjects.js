@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Project = require('../models/Project');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sevasetu', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+// Approval used to leave projects 'approved'; they now go straight to 'active',
+// which is what waitlists, recommendations and shift sign-ups look for
+const run = async () => {
+  try {
+    const { modifiedCount } = await Project.updateMany(
+      { status: 'approved' },
+      {
+        $set: { status: 'active' },
+        $push: {
+          statusHistory: {
+            from: 'approved',
+            to: 'active',
+            reason: 'Approved projects are now active',
+            date: new Date()
+          }
+        }
+      }
+    );
+    console.log(`Project: ${modifiedCount} approved projects made active`);
+  } catch (error) {
+    console.error('Approved project migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+run();
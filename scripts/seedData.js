@@ -257,12 +257,26 @@ const seedData = async () => {
       }
     ];
 
+    const ngoUsers = [];
     for (const data of ngoData) {
-      const ngo = await NGO.create(data);
+      // Each NGO gets an owner account to sign in with
+      const hashedPassword = await bcrypt.hash('ngo12345', 12);
+      const owner = await User.create({
+        name: data.contactPerson.name,
+        email: data.email,
+        password: hashedPassword,
+        role: 'ngo',
+        isVerified: true
+      });
+      ngoUsers.push(owner);
+
+      const ngo = new NGO(data);
+      ngo.setMember(owner._id, 'owner', admin._id);
+      await ngo.save();
       ngos.push(ngo);
     }
 
-    console.log('🏢 Created NGO organizations');
+    console.log('🏢 Created NGO organizations and owner accounts');
 
     // Create Sample Projects
     const projects = [];
@@ -602,13 +616,14 @@ const seedData = async () => {
 
     console.log('✨ Database seeding completed successfully!');
     console.log('\n📊 Summary:');
-    console.log(`👤 Users created: ${volunteers.length + 1} (${volunteers.length} volunteers + 1 admin)`);
+    console.log(`👤 Users created: ${volunteers.length + ngoUsers.length + 1} (${volunteers.length} volunteers + ${ngoUsers.length} NGO owners + 1 admin)`);
     console.log(`🏢 NGOs created: ${ngos.length}`);
     console.log(`📋 Projects created: ${projects.length}`);
     console.log(`✅ Tasks created: ${tasks.length}`);
     console.log('\n🔐 Login Credentials:');
     console.log('Admin: admin@sevasetu.org / admin123');
     console.log('Volunteers: priya@example.com / volunteer123 (and others)');
+    console.log('NGO owners: contact@helpindia.org / ngo12345 (and other NGO emails)');
     console.log('\n🚀 You can now start the server and explore the application!');
 
   } catch (error) {
@@ -19,6 +19,23 @@ const taskRoutes = require('./routes/tasks');
 const leaderboardRoutes = require('./routes/leaderboard');
 const adminRoutes = require('./routes/admin');
 const contactRoutes = require('./routes/contact');
+const searchRoutes = require('./routes/search');
+const shiftRoutes = require('./routes/shifts');
+const hourRoutes = require('./routes/hours');
+const certificateRoutes = require('./routes/certificates');
+const { processDueDeletions } = require('./utils/privacy');
+const { processExpiredOffers } = require('./utils/waitlist');
+const { closeOpenAttendance } = require('./utils/attendance');
+const {
+  closeRegistrations,
+  markDelayedMilestones,
+  endFinishedProjects,
+  creditCompletedVolunteers,
+  refreshNGOStatistics
+} = require('./utils/lifecycleJobs');
+const { defineJob, startScheduler } = require('./utils/scheduler');
+const { isMockProviderEnabled } = require('./utils/oidc');
+const { limitByApiKeyOrIp } = require('./utils/auth');
 
 // Middleware
 app.use(helmet({ contentSecurityPolicy: false }));
@@ -31,7 +48,8 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
-app.use('/api/', limiter);
+// Requests with an active partner API key use the key's own limit instead
+app.use('/api/', limitByApiKeyOrIp(limiter));
 
 // CORS configuration
 app.use(cors({
@@ -54,6 +72,22 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sevasetu'
 .then(() => console.log('✅ Connected to MongoDB'))
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
+// Background jobs; schedules are kept in MongoDB so they survive restarts
+const HOUR = 60 * 60 * 1000;
+
+// Anonymise accounts whose deletion grace period has ended
+defineJob('account-deletions', { every: HOUR }, async () => ({ processed: await processDueDeletions() }));
+// Pass unconfirmed waitlist offers on to the next volunteer
+defineJob('waitlist-offers', { every: 15 * 60 * 1000 }, async () => ({ expired: await processExpiredOffers() }));
+defineJob('close-registrations', { every: 15 * 60 * 1000 }, () => closeRegistrations());
+defineJob('delayed-milestones', { every: HOUR }, () => markDelayedMilestones());
+defineJob('end-projects', { every: HOUR }, () => endFinishedProjects());
+defineJob('credit-volunteers', { every: HOUR }, () => creditCompletedVolunteers());
+defineJob('attendance-checkouts', { every: HOUR }, () => closeOpenAttendance());
+defineJob('ngo-statistics', { dailyAt: process.env.NGO_STATISTICS_TIME || '02:00' }, () => refreshNGOStatistics());
+
+startScheduler();
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -63,6 +97,15 @@ app.use('/api/tasks', taskRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/hours', hourRoutes);
+app.use('/api/certificates', certificateRoutes);
+
+// Local OpenID Connect provider for development and tests
+if (isMockProviderEnabled()) {
+  app.use('/mock-oidc', require('./utils/oidcMockProvider'));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
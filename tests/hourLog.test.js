@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const HourLog = require('../models/HourLog');
+const Project = require('../models/Project');
+const User = require('../models/User');
+
+const newEntry = (fields = {}) => new HourLog({
+  volunteer: new mongoose.Types.ObjectId(),
+  project: new mongoose.Types.ObjectId(),
+  date: new Date(Date.UTC(2026, 9, 1)),
+  hours: 3,
+  description: 'Food drive',
+  ...fields
+});
+
+// Total added to the volunteer's project and profile hours so far
+const creditedTotals = () => ({
+  project: Project.updateOne.mock.calls.reduce((sum, [, update]) => sum + update.$inc['volunteers.$.hoursContributed'], 0),
+  profile: User.updateOne.mock.calls.reduce((sum, [, update]) => sum + update.$inc['statistics.hoursVolunteered'], 0)
+});
+
+beforeEach(() => {
+  jest.spyOn(HourLog.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Project, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('HourLog.applyCredit', () => {
+  it('credits nothing for pending entries', async () => {
+    const entry = newEntry();
+
+    await expect(entry.applyCredit()).resolves.toBe(0);
+    expect(entry.save).toHaveBeenCalled();
+    expect(Project.updateOne).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('credits approved hours to the volunteer\'s project and profile', async () => {
+    const entry = newEntry();
+    entry.decide('approved');
+
+    await expect(entry.applyCredit()).resolves.toBe(3);
+
+    expect(entry.creditedHours).toBe(3);
+    expect(Project.updateOne).toHaveBeenCalledWith(
+      { _id: entry.project, 'volunteers.user': entry.volunteer },
+      { $inc: { 'volunteers.$.hoursContributed': 3 } }
+    );
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: entry.volunteer },
+      { $inc: { 'statistics.hoursVolunteered': 3 } }
+    );
+  });
+
+  it('credits the adjusted hours when the NGO approves a different amount', async () => {
+    const entry = newEntry();
+    entry.decide('approved', { hours: 2.5 });
+
+    await expect(entry.applyCredit()).resolves.toBe(2.5);
+    expect(creditedTotals()).toEqual({ project: 2.5, profile: 2.5 });
+  });
+
+  it('only applies the difference when a decision changes', async () => {
+    const entry = newEntry();
+    entry.decide('approved');
+    await entry.applyCredit();
+
+    entry.decide('approved', { hours: 1.75 });
+    await expect(entry.applyCredit()).resolves.toBe(-1.25);
+
+    entry.decide('rejected');
+    await expect(entry.applyCredit()).resolves.toBe(-1.75);
+
+    expect(entry.creditedHours).toBe(0);
+    expect(creditedTotals()).toEqual({ project: 0, profile: 0 });
+  });
+
+  it('does not credit the same decision twice', async () => {
+    const entry = newEntry();
+    entry.decide('approved');
+    await entry.applyCredit();
+
+    await expect(entry.applyCredit()).resolves.toBe(0);
+    expect(Project.updateOne).toHaveBeenCalledTimes(1);
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('rounds deltas to hundredths', async () => {
+    const entry = newEntry({ creditedHours: 0.1 });
+    entry.decide('approved', { hours: 0.3 });
+
+    await expect(entry.applyCredit()).resolves.toBe(0.2);
+  });
+
+  it('saves the credited hours before updating the totals', async () => {
+    const entry = newEntry();
+    entry.decide('approved');
+    Project.updateOne.mockRejectedValue(new Error('connection lost'));
+
+    await expect(entry.applyCredit()).rejects.toThrow('connection lost');
+
+    // A retry then under-counts rather than crediting the hours twice
+    expect(entry.save).toHaveBeenCalled();
+    expect(entry.creditedHours).toBe(3);
+    await expect(entry.applyCredit()).resolves.toBe(0);
+  });
+
+  it('takes back credit when an approved attendance entry is cleared', async () => {
+    const shift = { _id: new mongoose.Types.ObjectId(), project: new mongoose.Types.ObjectId(), date: '2026-10-01', title: 'Morning' };
+    const entry = newEntry({ shift: shift._id, source: 'attendance' });
+    entry.decide('approved');
+    await entry.applyCredit();
+    jest.spyOn(HourLog, 'findOne').mockResolvedValue(entry);
+
+    await HourLog.recordShiftHours(shift, entry.volunteer, 0);
+
+    expect(entry.status).toBe('rejected');
+    expect(creditedTotals()).toEqual({ project: 0, profile: 0 });
+  });
+});
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const express = require('express');
+const SsoLogin = require('../models/SsoLogin');
+const oidc = require('../utils/oidc');
+const mockProvider = require('../utils/oidcMockProvider');
+
+const REDIRECT_URI = 'http://localhost:5000/api/auth/oidc/mock/callback';
+
+const sha256 = (value, encoding = 'hex') => crypto.createHash('sha256').update(value).digest(encoding);
+
+let server;
+let provider;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use('/mock-oidc', mockProvider);
+
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  process.env.OIDC_MOCK_PROVIDER = 'true';
+  process.env.OIDC_MOCK_ISSUER = `http://127.0.0.1:${server.address().port}/mock-oidc`;
+  provider = oidc.getProvider(oidc.MOCK_PROVIDER_ID);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Start a sign-in as SsoLogin would and return what the callback receives
+// along with the values the login record keeps
+const signIn = async (email = 'student@example.edu') => {
+  let login;
+  jest.spyOn(SsoLogin, 'create').mockImplementation(async fields => {
+    login = new SsoLogin(fields);
+    return login;
+  });
+
+  const { state, nonce, codeChallenge } = await SsoLogin.begin(provider.id);
+  const authorizationUrl = await oidc.buildAuthorizationUrl(provider, { state, nonce, codeChallenge, redirectUri: REDIRECT_URI });
+
+  const response = await fetch(`${authorizationUrl}&login_hint=${encodeURIComponent(email)}`, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+
+  return { login, state, nonce, codeChallenge, authorizationUrl, callback };
+};
+
+describe('SsoLogin state and PKCE', () => {
+  it('stores only a hash of the state', async () => {
+    const { login, state } = await signIn();
+
+    expect(login.stateHash).toBe(sha256(state));
+    expect(JSON.stringify(login.toObject())).not.toContain(state);
+  });
+
+  it('sends an S256 challenge of the stored code verifier', async () => {
+    const { login, codeChallenge } = await signIn();
+
+    expect(login.codeVerifier).toBeTruthy();
+    expect(codeChallenge).toBe(sha256(login.codeVerifier, 'base64url'));
+    expect(codeChallenge).not.toBe(login.codeVerifier);
+  });
+
+  it('uses fresh random values for every sign-in', async () => {
+    const first = await signIn();
+    const second = await signIn();
+
+    expect(second.state).not.toBe(first.state);
+    expect(second.nonce).not.toBe(first.nonce);
+    expect(second.login.codeVerifier).not.toBe(first.login.codeVerifier);
+  });
+
+  it('claims a state once, only for its provider and before it expires', () => {
+    const query = SsoLogin.claimState('mock', 'state-from-callback');
+    const filter = query.getFilter();
+
+    expect(filter.provider).toBe('mock');
+    expect(filter.stateHash).toBe(sha256('state-from-callback'));
+    expect(filter.expiresAt.$gt).toBeInstanceOf(Date);
+    expect(query.getUpdate().$unset).toEqual({ stateHash: 1 });
+  });
+});
+
+describe('OIDC authorization request', () => {
+  it('carries the state, nonce and PKCE challenge', async () => {
+    const { state, nonce, codeChallenge, authorizationUrl } = await signIn();
+    const params = new URL(authorizationUrl).searchParams;
+
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('client_id')).toBe(provider.clientId);
+    expect(params.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(params.get('state')).toBe(state);
+    expect(params.get('nonce')).toBe(nonce);
+    expect(params.get('code_challenge')).toBe(codeChallenge);
+    expect(params.get('code_challenge_method')).toBe('S256');
+  });
+
+  it('gets the state back unchanged on the callback', async () => {
+    const { state, callback } = await signIn();
+
+    expect(callback.searchParams.get('state')).toBe(state);
+    expect(callback.searchParams.get('code')).toBeTruthy();
+  });
+});
+
+describe('OIDC code exchange and ID token', () => {
+  it('exchanges the code with the matching verifier for a token bound to the nonce', async () => {
+    const { login, nonce, callback } = await signIn('volunteer@example.edu');
+
+    const tokens = await oidc.exchangeCode(provider, {
+      code: callback.searchParams.get('code'),
+      codeVerifier: login.codeVerifier,
+      redirectUri: REDIRECT_URI
+    });
+    const claims = await oidc.verifyIdToken(provider, tokens.id_token, nonce);
+
+    expect(claims.email).toBe('volunteer@example.edu');
+    expect(claims.nonce).toBe(nonce);
+    expect(claims.aud).toBe(provider.clientId);
+  });
+
+  it('fails the exchange without the right code verifier', async () => {
+    const { callback } = await signIn();
+
+    await expect(oidc.exchangeCode(provider, {
+      code: callback.searchParams.get('code'),
+      codeVerifier: crypto.randomBytes(32).toString('base64url'),
+      redirectUri: REDIRECT_URI
+    })).rejects.toThrow('invalid_grant');
+  });
+
+  it('rejects an ID token issued for another sign-in', async () => {
+    const { login, callback } = await signIn();
+    const other = await signIn();
+
+    const tokens = await oidc.exchangeCode(provider, {
+      code: callback.searchParams.get('code'),
+      codeVerifier: login.codeVerifier,
+      redirectUri: REDIRECT_URI
+    });
+
+    await expect(oidc.verifyIdToken(provider, tokens.id_token, other.nonce))
+      .rejects.toThrow('ID token nonce does not match');
+  });
+
+  it('rejects ID tokens with a tampered payload', async () => {
+    const { login, nonce, callback } = await signIn();
+    const { id_token: idToken } = await oidc.exchangeCode(provider, {
+      code: callback.searchParams.get('code'),
+      codeVerifier: login.codeVerifier,
+      redirectUri: REDIRECT_URI
+    });
+
+    const [header, payload, signature] = idToken.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, email: 'admin@example.org' })).toString('base64url');
+
+    await expect(oidc.verifyIdToken(provider, `${header}.${forged}.${signature}`, nonce))
+      .rejects.toThrow('invalid signature');
+  });
+
+  it('only trusts emails the provider marks as verified', () => {
+    expect(oidc.hasVerifiedEmail(provider, { email: 'a@example.edu', email_verified: true })).toBe(true);
+    expect(oidc.hasVerifiedEmail(provider, { email: 'a@example.edu', email_verified: false })).toBe(false);
+    expect(oidc.hasVerifiedEmail({ ...provider, trustEmail: true }, { email: 'a@example.edu' })).toBe(true);
+  });
+});
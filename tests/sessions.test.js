@@ -0,0 +1,135 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+
+const userId = new mongoose.Types.ObjectId();
+const signInRequest = { get: () => 'Mozilla/5.0 (X11; Linux x86_64) Firefox/120.0', ip: '127.0.0.1' };
+
+// Saved sessions, looked up the way MongoDB would match the token hashes
+let sessions;
+
+const matches = (session, condition) => Object.entries(condition)
+  .every(([field, value]) => session[field] === value);
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  return app;
+};
+
+const refresh = (app, refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+beforeAll(() => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+beforeEach(() => {
+  sessions = [];
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    if (!sessions.includes(this)) sessions.push(this);
+    return this;
+  });
+  jest.spyOn(Session, 'findOne').mockImplementation(filter => ({
+    select: async () => sessions.find(session => filter.$or.some(condition => matches(session, condition))) || null
+  }));
+  jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => ({ _id: userId, isActive: true }) }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Session refresh tokens', () => {
+  it('rotates the refresh token and keeps only hashes', async () => {
+    const { session, refreshToken } = await Session.start(userId, signInRequest);
+    const firstHash = session.tokenHash;
+
+    const next = session.issueRefreshToken();
+
+    expect(next).not.toBe(refreshToken);
+    expect(session.previousTokenHash).toBe(firstHash);
+    expect(session.tokenHash).not.toBe(firstHash);
+    expect([session.tokenHash, session.previousTokenHash]).not.toContain(next);
+    expect(session.device).toBe('Firefox on Linux');
+  });
+
+  it('tells current tokens from rotated ones', async () => {
+    const { session, refreshToken } = await Session.start(userId, signInRequest);
+    const next = session.issueRefreshToken();
+
+    await expect(Session.findByRefreshToken(next)).resolves.toEqual({ session, reused: false });
+    await expect(Session.findByRefreshToken(refreshToken)).resolves.toEqual({ session, reused: true });
+    await expect(Session.findByRefreshToken('f'.repeat(80))).resolves.toEqual({ session: null, reused: false });
+  });
+});
+
+describe('Session.startImpersonation', () => {
+  const staffId = new mongoose.Types.ObjectId();
+
+  it('only counts as 2FA-verified when the staff session was', async () => {
+    const unverified = await Session.startImpersonation(userId, staffId, signInRequest, { reason: 'Support ticket 42' });
+    const verified = await Session.startImpersonation(userId, staffId, signInRequest, {
+      reason: 'Support ticket 42',
+      twoFactorVerified: true
+    });
+
+    expect(unverified.twoFactorVerified).toBe(false);
+    expect(verified.twoFactorVerified).toBe(true);
+    expect(verified.impersonation.by).toEqual(staffId);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('issues a new access token and refresh token for the same session', async () => {
+    const app = buildApp();
+    const { session, refreshToken } = await Session.start(userId, signInRequest);
+
+    const res = await refresh(app, refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(refreshToken);
+    expect(jwt.verify(res.body.data.token, process.env.JWT_SECRET)).toMatchObject({
+      id: String(userId),
+      sid: String(session._id)
+    });
+    expect((await refresh(app, res.body.data.refreshToken)).status).toBe(200);
+  });
+
+  it('ends the session when a rotated token is used again', async () => {
+    const app = buildApp();
+    const { session, refreshToken } = await Session.start(userId, signInRequest);
+    const { body } = await refresh(app, refreshToken);
+
+    const replay = await refresh(app, refreshToken);
+
+    expect(replay.status).toBe(401);
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('token-reuse');
+
+    // The token handed out by the legitimate refresh stops working too
+    expect((await refresh(app, body.data.refreshToken)).status).toBe(401);
+  });
+
+  it('refuses tokens of revoked or expired sessions', async () => {
+    const app = buildApp();
+    const revoked = await Session.start(userId, signInRequest);
+    await revoked.session.revoke('logout');
+    const expired = await Session.start(userId, signInRequest);
+    expired.session.expiresAt = new Date(Date.now() - 1000);
+
+    expect((await refresh(app, revoked.refreshToken)).status).toBe(401);
+    expect((await refresh(app, expired.refreshToken)).status).toBe(401);
+  });
+
+  it('refuses unknown tokens', async () => {
+    const res = await refresh(buildApp(), 'a'.repeat(80));
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Session has ended, please log in again');
+  });
+});
@@ -0,0 +1,213 @@
+const express = require('express');
+const request = require('supertest');
+const { generateSecret, generateCode, verifyCode } = require('../utils/totp');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { authenticate, generateToken } = require('../utils/auth');
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+const setClock = (seconds) => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+const newUser = () => new User({ name: 'Two Factor', email: 'twofactor@example.org', password: 'Secret123!' });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TOTP codes', () => {
+  it('match the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateCode(RFC_SECRET, stepAt(59))).toBe('287082');
+    expect(generateCode(RFC_SECRET, stepAt(1111111109))).toBe('081804');
+    expect(generateCode(RFC_SECRET, stepAt(1234567890))).toBe('005924');
+  });
+
+  it('generates distinct base32 secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1700000000;
+
+  it('accepts the current code and returns its step', () => {
+    setClock(now);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, stepAt(now)))).toBe(stepAt(now));
+  });
+
+  it('allows one step of clock drift either way, but no more', () => {
+    setClock(now);
+    const step = stepAt(now);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('rejects codes at or before the last used step', () => {
+    setClock(now);
+    const step = stepAt(now);
+    const code = generateCode(RFC_SECRET, step);
+
+    expect(verifyCode(RFC_SECRET, code, step)).toBeNull();
+    expect(verifyCode(RFC_SECRET, code, step - 1)).toBe(step);
+  });
+
+  it('rejects malformed codes and missing secrets', () => {
+    setClock(now);
+    const code = generateCode(RFC_SECRET, stepAt(now));
+
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, `${code}0`)).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(undefined, code)).toBeNull();
+  });
+});
+
+describe('User two-factor methods', () => {
+  const now = 1700000000;
+
+  const enrolledUser = () => {
+    setClock(now);
+    const user = newUser();
+    const secret = user.startTwoFactorSetup();
+    const recoveryCodes = user.enableTwoFactor(generateCode(secret, stepAt(now)));
+    return { user, secret, recoveryCodes };
+  };
+
+  it('only enables 2FA with a valid code from the pending secret', () => {
+    setClock(now);
+    const user = newUser();
+    const secret = user.startTwoFactorSetup();
+
+    expect(user.enableTwoFactor('000000')).toBeNull();
+    expect(user.twoFactor.enabled).toBe(false);
+
+    const recoveryCodes = user.enableTwoFactor(generateCode(secret, stepAt(now)));
+
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.secret).toBe(secret);
+    expect(user.twoFactor.pendingSecret).toBeUndefined();
+    expect(recoveryCodes).toHaveLength(10);
+  });
+
+  it('does not accept the enrolment code again at sign-in', () => {
+    const { user, secret } = enrolledUser();
+
+    expect(user.checkTwoFactorCode(generateCode(secret, stepAt(now)))).toBe(false);
+  });
+
+  it('accepts each sign-in code once', () => {
+    const { user, secret } = enrolledUser();
+    setClock(now + 30);
+    const code = generateCode(secret, stepAt(now + 30));
+
+    expect(user.checkTwoFactorCode(code)).toBe(true);
+    expect(user.twoFactor.lastUsedStep).toBe(stepAt(now + 30));
+    expect(user.checkTwoFactorCode(code)).toBe(false);
+  });
+
+  it('stores only hashes of recovery codes', () => {
+    const { user, recoveryCodes } = enrolledUser();
+
+    expect(user.twoFactor.recoveryCodes).toHaveLength(recoveryCodes.length);
+    recoveryCodes.forEach(code => {
+      expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(user.twoFactor.recoveryCodes).not.toContain(code);
+    });
+  });
+
+  it('spends each recovery code once, however it is typed', () => {
+    const { user, recoveryCodes } = enrolledUser();
+    const [code] = recoveryCodes;
+
+    expect(user.useRecoveryCode(` ${code.replace('-', '').toUpperCase()} `)).toBe(true);
+    expect(user.useRecoveryCode(code)).toBe(false);
+    expect(user.twoFactor.recoveryCodes).toHaveLength(recoveryCodes.length - 1);
+    expect(user.useRecoveryCode(recoveryCodes[1])).toBe(true);
+  });
+
+  it('rejects unknown recovery codes', () => {
+    const { user } = enrolledUser();
+
+    expect(user.useRecoveryCode('00000-00000')).toBe(false);
+  });
+
+  it('invalidates old recovery codes when new ones are generated', () => {
+    const { user, recoveryCodes } = enrolledUser();
+    const replacements = user.generateRecoveryCodes();
+
+    expect(user.useRecoveryCode(recoveryCodes[0])).toBe(false);
+    expect(user.useRecoveryCode(replacements[0])).toBe(true);
+  });
+
+  it('accepts no codes once 2FA is disabled', () => {
+    const { user, secret, recoveryCodes } = enrolledUser();
+    user.disableTwoFactor();
+    setClock(now + 30);
+
+    expect(user.checkTwoFactorCode(generateCode(secret, stepAt(now + 30)))).toBe(false);
+    expect(user.useRecoveryCode(recoveryCodes[0])).toBe(false);
+    expect(user.twoFactor.secret).toBeUndefined();
+  });
+});
+
+describe('authenticate two-factor modes', () => {
+  const admin = new User({ name: 'Admin', email: 'admin@example.org', role: 'admin', isActive: true });
+  let session;
+
+  const buildApp = () => {
+    const app = express();
+    ['policy', 'setup', 'required'].forEach(mode => {
+      app.get(`/${mode}`, authenticate({ twoFactor: mode }), (req, res) => res.json({ success: true }));
+    });
+    return app;
+  };
+
+  const get = (mode) => request(buildApp()).get(`/${mode}`)
+    .set('Authorization', `Bearer ${generateToken(admin._id, session._id)}`);
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(() => {
+    session = new Session({ user: admin._id, tokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) });
+    jest.spyOn(Session, 'findOne').mockImplementation(() => ({ select: async () => session }));
+    jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => admin }));
+    jest.spyOn(Setting, 'getValue').mockResolvedValue([]);
+  });
+
+  it('lets sessions without 2FA through when the role policy does not require it', async () => {
+    expect((await get('policy')).status).toBe(200);
+  });
+
+  it('blocks roles the policy covers until they sign in with 2FA', async () => {
+    Setting.getValue.mockResolvedValue(['admin']);
+
+    const blocked = await get('policy');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.twoFactorSetupRequired).toBe(true);
+    expect((await get('setup')).status).toBe(200);
+
+    session.twoFactorVerified = true;
+    expect((await get('policy')).status).toBe(200);
+  });
+
+  it('only lets verified sessions use routes that require 2FA', async () => {
+    const blocked = await get('required');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.requiresTwoFactor).toBe(true);
+
+    session.twoFactorVerified = true;
+    expect((await get('required')).status).toBe(200);
+  });
+});
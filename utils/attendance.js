@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Shift = require('../models/Shift');
+const HourLog = require('../models/HourLog');
+
+// On-site attendance. Coordinators show a QR code at the venue that changes every
+// QR_ROTATION_SECONDS; volunteers scan it to check in and out, so a photo of an
+// old code can't be used later from somewhere else.
+
+const QR_ROTATION_SECONDS = parseInt(process.env.ATTENDANCE_QR_ROTATION_SECONDS, 10) || 60;
+const QR_STEPS_ACCEPTED = 2; // the current code and the one before it, for scans just as it changes
+// Volunteers still checked in this long after their shift ends are checked out at its end
+const AUTO_CHECK_OUT_HOURS = 2;
+
+const getSecret = () => process.env.ATTENDANCE_QR_SECRET || process.env.JWT_SECRET;
+
+const getCurrentStep = () => Math.floor(Date.now() / 1000 / QR_ROTATION_SECONDS);
+
+const sign = (shiftId, step) =>
+  crypto.createHmac('sha256', getSecret()).update(`attendance:${shiftId}:${step}`).digest('base64url');
+
+const createCheckInToken = (shiftId, step = getCurrentStep()) => `${shiftId}.${step}.${sign(shiftId, step)}`;
+
+// Shift ID of a genuine, current check-in token, or null
+const verifyCheckInToken = (token) => {
+  const [shiftId, stepText, signature] = String(token || '').split('.');
+  if (!/^[a-f\d]{24}$/i.test(shiftId || '') || !/^\d+$/.test(stepText || '') || !signature) return null;
+
+  const step = Number(stepText);
+  const current = getCurrentStep();
+  if (step > current || step <= current - QR_STEPS_ACCEPTED) return null;
+
+  const expected = Buffer.from(sign(shiftId, step));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? shiftId : null;
+};
+
+// The code to show at the venue right now, as a link and a QR image of it
+const getCheckInCode = async (shiftId) => {
+  const step = getCurrentStep();
+  const token = createCheckInToken(shiftId, step);
+  const url = `${process.env.FRONTEND_URL}/check-in.html?token=${encodeURIComponent(token)}`;
+
+  return {
+    token,
+    url,
+    qrCode: await QRCode.toDataURL(url),
+    expiresAt: new Date((step + 1) * QR_ROTATION_SECONDS * 1000)
+  };
+};
+
+// Check-in opens shortly before the shift; check-out stays open until the scheduler closes it
+const isCheckOutOpen = (shift, now = new Date()) =>
+  now >= shift.startsAt && now < new Date(shift.endsAt.getTime() + AUTO_CHECK_OUT_HOURS * 60 * 60 * 1000);
+
+// Check out volunteers who forgot to, as of the end of their shift
+const closeOpenAttendance = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - AUTO_CHECK_OUT_HOURS * 60 * 60 * 1000);
+  const shifts = await Shift.find({
+    endsAt: { $lte: cutoff },
+    signups: { $elemMatch: { 'attendance.checkedInAt': { $ne: null }, 'attendance.checkedOutAt': null } }
+  });
+
+  let closed = 0;
+  for (const shift of shifts) {
+    try {
+      const open = shift.signups.filter(signup => signup.attendance.checkedInAt && !signup.attendance.checkedOutAt);
+      open.forEach(signup => shift.recordCheckOut(signup, shift.endsAt, { auto: true }));
+
+      await shift.save();
+      for (const signup of open) {
+        await HourLog.recordShiftHours(shift, signup.user, signup.attendance.hoursCredited);
+      }
+      closed += open.length;
+    } catch (error) {
+      console.error(`Closing attendance for shift ${shift._id} failed:`, error);
+    }
+  }
+
+  return { closed };
+};
+
+module.exports = {
+  verifyCheckInToken,
+  getCheckInCode,
+  isCheckOutOpen,
+  closeOpenAttendance
+};
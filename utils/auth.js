@@ -1,18 +1,157 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const NGO = require('../models/NGO');
+const { apiKeyPrincipal, can } = require('./permissions');
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Setting holding the roles that must use two-factor authentication
+const TWO_FACTOR_POLICY_KEY = 'security.twoFactorRequiredRoles';
+
+const getTwoFactorRequiredRoles = () => Setting.getValue(TWO_FACTOR_POLICY_KEY, []);
+
+const isTwoFactorRequired = async (user) => {
+  const roles = await getTwoFactorRequiredRoles();
+  return roles.includes(user.role);
+};
+
+// Generate a short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
-// Verify JWT token middleware
-const verifyToken = async (req, res, next) => {
+// Access token for an impersonation session, valid for as long as the session itself
+const generateImpersonationToken = (session) => {
+  return jwt.sign(
+    { id: session.user, sid: session._id, imp: session.impersonation.by },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(Session.IMPERSONATION_TTL / 1000) }
+  );
+};
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Start a new session and issue its access and refresh tokens
+const createSession = async (userId, req, options = {}) => {
+  const { session, refreshToken } = await Session.start(userId, req, options);
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Partner API keys arrive as a bearer token or in X-API-Key
+const getApiKeyFromRequest = (req) => {
+  const value = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
+  return ApiKey.isApiKey(value) ? value : null;
+};
+
+// Each key has its own requests-per-minute limit
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.rateLimitedApiKey.rateLimit,
+  keyGenerator: (req) => String(req.rateLimitedApiKey._id),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down.'
+  }
+});
+
+// Count the request against the key's limit, once however many checks it passes
+const limitApiKey = (req, res, next, apiKey) => {
+  if (req.rateLimitedApiKey) return next();
+  req.rateLimitedApiKey = apiKey;
+  apiKeyLimiter(req, res, next);
+};
+
+// Wrap the per-IP limiter so requests with an active key are limited per key
+// instead, on every route and not only those that accept keys. Anything that
+// merely looks like a key stays under the per-IP limit.
+const limitByApiKeyOrIp = (ipLimiter) => async (req, res, next) => {
+  try {
+    const key = getApiKeyFromRequest(req);
+    const apiKey = key && await ApiKey.findActiveByKey(key);
+    if (!apiKey) return ipLimiter(req, res, next);
+
+    limitApiKey(req, res, next, apiKey);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A key keeps working only while its creator is active and could still manage
+// it: staff with platform key access, or for NGO keys, a member of that team
+const creatorCanUseApiKey = async (creator, apiKey) => {
+  if (!creator || !creator.isActive) return false;
+  if (!apiKey.ngo) return can(creator, 'api-key:manage');
+
+  const ngo = await NGO.findById(apiKey.ngo).select('members owner');
+  if (!ngo) return false;
+  return Boolean(ngo.getMemberRole(creator._id)) || can(creator, 'ngo:manage-api-keys', ngo);
+};
+
+// Authenticate a request made with an API key. The key acts for its NGO (see
+// apiKeyPrincipal), and only on routes that accept one of its scopes.
+const authenticateApiKey = async (req, res, next, key, scope) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked'
+    });
+  }
+
+  if (!scope) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  if (!apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This API key is missing the ${scope} scope`
+    });
+  }
+
+  const creator = await User.findById(apiKey.createdBy).select('-password');
+  if (!(await creatorCanUseApiKey(creator, apiKey))) {
+    return res.status(401).json({
+      success: false,
+      message: 'The account that created this API key no longer has access'
+    });
+  }
+
+  req.user = apiKeyPrincipal(apiKey);
+  req.apiKey = apiKey;
+  await apiKey.recordUse(req.ip);
+
+  limitApiKey(req, res, next, apiKey);
+};
+
+// Build JWT verification middleware
+// twoFactor: 'policy' blocks roles that must use 2FA until they enrol,
+// 'setup' skips that check (enrolment and onboarding routes) and
+// 'required' only accepts sessions that passed a 2FA check.
+// apiKeyScope: the scope that lets a partner API key call the route instead of a user
+const authenticate = ({ twoFactor = 'policy', apiKeyScope = null } = {}) => async (req, res, next) => {
   try {
+    const apiKey = getApiKeyFromRequest(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey, apiKeyScope);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
@@ -23,6 +162,22 @@ const verifyToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens stop working as soon as their session is revoked
+    const session = decoded.sid && await Session.findOne({
+      _id: decoded.sid,
+      user: decoded.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('twoFactorVerified impersonation');
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -39,9 +194,69 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
+    if (!session.twoFactorVerified) {
+      if (twoFactor === 'required') {
+        return res.status(403).json({
+          success: false,
+          message: user.twoFactor.enabled
+            ? 'Please sign in again with your authenticator code.'
+            : 'Two-factor authentication must be set up to access this area.',
+          requiresTwoFactor: true,
+          twoFactorSetupRequired: !user.twoFactor.enabled
+        });
+      }
+
+      if (twoFactor === 'policy' && await isTwoFactorRequired(user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+          twoFactorSetupRequired: true
+        });
+      }
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.twoFactorVerified = session.twoFactorVerified;
+
+    if (session.isImpersonation) {
+      req.impersonator = await User.findById(session.impersonation.by).select('name email role isActive');
+
+      // Support sessions end with the staff account that started them
+      if (!req.impersonator || !req.impersonator.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended, please log in again'
+        });
+      }
+
+      if (!READ_ONLY_METHODS.includes(req.method)) {
+        if (!session.impersonation.allowWrites) {
+          return res.status(403).json({
+            success: false,
+            message: 'This session is read-only while viewing as another user',
+            impersonation: true
+          });
+        }
+
+        await AuditLog.record(req, {
+          action: 'user:impersonated-write',
+          target: user,
+          details: { method: req.method, path: req.originalUrl, session: session._id }
+        });
+      }
+    }
+
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has expired',
+        tokenExpired: true
+      });
+    }
+
     console.error('Token verification error:', error);
     res.status(401).json({
       success: false,
@@ -50,40 +265,54 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin role required.'
-    });
-  }
-  next();
+// Verify JWT token middleware
+const verifyToken = authenticate();
+
+// For 2FA enrolment and account onboarding, which must work before enrolment
+const verifyTokenDuringSetup = authenticate({ twoFactor: 'setup' });
+
+// For private routes that partner API keys with this scope may also call
+const acceptApiKey = (scope) => authenticate({ apiKeyScope: scope });
+
+// For public routes: anonymous requests pass straight through, but a presented
+// API key is checked so its scope, rate limit and usage tracking apply
+const identifyApiKey = (scope) => {
+  const verifyApiKey = acceptApiKey(scope);
+  return (req, res, next) => (getApiKeyFromRequest(req) ? verifyApiKey(req, res, next) : next());
+};
+
+// For public routes that show more to signed-in users: anonymous requests pass
+// straight through, but a presented token or API key must be valid
+const identifyUser = (scope) => {
+  const verifyApiKey = acceptApiKey(scope);
+  return (req, res, next) => {
+    if (getApiKeyFromRequest(req)) return verifyApiKey(req, res, next);
+    return req.header('Authorization') ? verifyToken(req, res, next) : next();
+  };
 };
 
-// Check if user is NGO
-const requireNGO = (req, res, next) => {
-  if (req.user.role !== 'ngo' && req.user.role !== 'admin') {
+// For account security and personal data routes, which staff may never use on someone's behalf
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. NGO role required.'
+      message: 'This action is not available while viewing as another user',
+      impersonation: true
     });
   }
   next();
 };
 
-// Check if user owns resource or is admin
-const requireOwnershipOrAdmin = (resourceUserId) => {
-  return (req, res, next) => {
-    if (req.user.role === 'admin' || req.user.id === resourceUserId.toString()) {
-      return next();
-    }
-    
+// Check if user has verified their email address
+const requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. You can only access your own resources.'
+      message: 'Please verify your email address to continue.',
+      requiresVerification: true
     });
-  };
+  }
+  next();
 };
 
 // Rate limiting for sensitive operations
@@ -98,9 +327,20 @@ const sensitiveOperationLimit = {
 
 module.exports = {
   generateToken,
+  generateImpersonationToken,
+  createSession,
+  authenticate,
   verifyToken,
-  requireAdmin,
-  requireNGO,
-  requireOwnershipOrAdmin,
+  verifyTokenDuringSetup,
+  acceptApiKey,
+  identifyApiKey,
+  identifyUser,
+  getApiKeyFromRequest,
+  limitByApiKeyOrIp,
+  blockImpersonation,
+  TWO_FACTOR_POLICY_KEY,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequired,
+  requireVerified,
   sensitiveOperationLimit
 };
\ No newline at end of file
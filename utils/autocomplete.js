@@ -0,0 +1,185 @@
+const Project = require('../models/Project');
+const NGO = require('../models/NGO');
+
+// Shared autocomplete for search boxes. Project titles, NGO names, tags,
+// categories, focus areas and cities of public records are kept in memory and
+// rebuilt every few minutes. The words they contain double as the vocabulary
+// used to correct typos in search queries.
+
+const REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const MAX_DOCUMENTS = 5000;
+const MIN_QUERY_LENGTH = 2;
+
+const SUGGESTION_TYPES = ['project', 'ngo', 'tag', 'category', 'focusArea', 'city'];
+
+let index = null;
+let building = null;
+
+const normalise = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+const wordsOf = (value) => normalise(value).match(/[a-z0-9]+/g) || [];
+
+const buildIndex = async () => {
+  const [projects, ngos] = await Promise.all([
+    Project.find(Project.publicFilter())
+      .select('title tags category location.city')
+      .sort({ createdAt: -1 })
+      .limit(MAX_DOCUMENTS)
+      .lean(),
+    NGO.find(NGO.publicFilter())
+      .select('name focusAreas address.city')
+      .sort({ 'rating.average': -1 })
+      .limit(MAX_DOCUMENTS)
+      .lean()
+  ]);
+
+  const entries = new Map();
+  const add = (type, text, id) => {
+    if (!text) return;
+    const key = `${type}:${normalise(text)}`;
+    const entry = entries.get(key);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      entries.set(key, { text: String(text).trim(), type, id, search: normalise(text), count: 1 });
+    }
+  };
+
+  projects.forEach(project => {
+    add('project', project.title, project._id);
+    add('category', project.category);
+    (project.tags || []).forEach(tag => add('tag', tag));
+    add('city', project.location && project.location.city);
+  });
+
+  ngos.forEach(ngo => {
+    add('ngo', ngo.name, ngo._id);
+    (ngo.focusAreas || []).forEach(area => add('focusArea', area));
+    add('city', ngo.address && ngo.address.city);
+  });
+
+  const vocabulary = new Map();
+  entries.forEach(entry => wordsOf(entry.text).forEach(word => {
+    if (word.length >= 3) vocabulary.set(word, (vocabulary.get(word) || 0) + entry.count);
+  }));
+
+  return { entries: [...entries.values()], vocabulary, builtAt: Date.now() };
+};
+
+const getIndex = async () => {
+  if (index && Date.now() - index.builtAt < REFRESH_INTERVAL) return index;
+
+  if (!building) {
+    building = buildIndex()
+      .then(built => {
+        index = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+// Edit distance counting adjacent swaps as one edit; gives up above `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, rows[i - 2][j - 2] + 1);
+      }
+      rows[i][j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (i > 0 && rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+};
+
+// Longer words tolerate more typos
+const allowedEdits = (word) => (word.length >= 8 ? 2 : 1);
+
+// Closest known word for a misspelt one, preferring fewer edits then more common words
+const closestWord = (word, vocabulary) => {
+  let best = null;
+  vocabulary.forEach((count, candidate) => {
+    const distance = editDistance(word, candidate, allowedEdits(word));
+    if (distance <= allowedEdits(word) &&
+        (!best || distance < best.distance || (distance === best.distance && count > best.count))) {
+      best = { word: candidate, distance, count };
+    }
+  });
+  return best && best.word;
+};
+
+// Suggestions for a partly typed query, best first
+const suggest = async (query, { types = SUGGESTION_TYPES, limit = 10 } = {}) => {
+  const value = normalise(query);
+  if (value.length < MIN_QUERY_LENGTH) return [];
+
+  const { entries } = await getIndex();
+  const lastWord = wordsOf(value).pop();
+  const scored = [];
+
+  entries.forEach(entry => {
+    if (!types.includes(entry.type)) return;
+
+    let rank = 0;
+    if (entry.search.startsWith(value)) {
+      rank = 3;
+    } else if (entry.search.includes(` ${value}`)) {
+      rank = 2;
+    } else if (lastWord && lastWord.length >= 4 && wordsOf(entry.search).some(word =>
+      editDistance(lastWord, word.slice(0, lastWord.length), 1) <= 1)) {
+      rank = 1;
+    }
+
+    if (rank > 0) scored.push({ entry, rank });
+  });
+
+  return scored
+    .sort((a, b) => b.rank - a.rank || b.entry.count - a.entry.count || a.entry.text.length - b.entry.text.length)
+    .slice(0, limit)
+    .map(({ entry }) => ({
+      text: entry.text,
+      type: entry.type,
+      id: entry.id,
+      count: entry.id ? undefined : entry.count
+    }));
+};
+
+// Replace words that aren't in the vocabulary with their closest known word.
+// Returns the corrected query, or null when nothing needed correcting.
+const correctQuery = async (query) => {
+  const { vocabulary } = await getIndex();
+  let changed = false;
+
+  const corrected = wordsOf(query).map(word => {
+    if (word.length < 4 || /\d/.test(word) || vocabulary.has(word)) return word;
+    const replacement = closestWord(word, vocabulary);
+    if (replacement && replacement !== word) {
+      changed = true;
+      return replacement;
+    }
+    return word;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+module.exports = {
+  SUGGESTION_TYPES,
+  suggest,
+  correctQuery
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Certificate = require('../models/Certificate');
+const HourLog = require('../models/HourLog');
+const NGO = require('../models/NGO');
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const { createPage, wrapText } = require('./pdf');
+const { sendCertificateIssuedEmail } = require('./email');
+
+// Used for any template field an NGO hasn't customised. Signatory details
+// fall back to the NGO's contact person.
+const DEFAULT_TEMPLATE = {
+  title: 'Certificate of Volunteering',
+  body: 'This is to certify that {{volunteerName}} volunteered as {{role}} on "{{projectTitle}}" ' +
+    'with {{ngoName}} from {{startDate}} to {{endDate}}, contributing {{hours}} verified hours of service.',
+  accentColor: '#667eea',
+  signatoryName: '',
+  signatoryTitle: '',
+  footer: 'Issued through SevaSetu'
+};
+
+const TEMPLATE_FIELDS = Object.keys(DEFAULT_TEMPLATE);
+
+// Placeholders the title, body and footer may use
+const TEMPLATE_PLACEHOLDERS = [
+  'volunteerName', 'projectTitle', 'ngoName', 'role', 'hours', 'startDate', 'endDate', 'issueDate', 'certificateId'
+];
+
+// Room for the body text between the volunteer's name and the signature block
+const BODY_WIDTH = 600;
+const BODY_HEIGHT = 160;
+const BODY_SIZES = [13, 12, 11, 10, 9];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholders in `text` that aren't in TEMPLATE_PLACEHOLDERS
+const findUnknownPlaceholders = (text) =>
+  [...String(text || '').matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+
+const fillTemplate = (text, values) =>
+  String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => (name in values ? String(values[name]) : match));
+
+// e.g. "19 October 2026", as a calendar day in the platform's timezone
+const formatDate = (date) => date
+  ? new Date(Shift.toLocalDate(date)).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+  : '';
+
+// The API's own public address: the frontend may be hosted elsewhere and not serve /api
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const getVerifyUrl = (certificateId) => `${getApiUrl()}/api/certificates/${certificateId}/verify`;
+
+// The NGO's template with defaults filled in for anything it left empty
+const resolveTemplate = (ngo, overrides = {}) => {
+  const custom = { ...ngo.toObject().certificateTemplate, ...overrides };
+  const template = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    template[field] = custom[field] || DEFAULT_TEMPLATE[field];
+  });
+
+  const contact = ngo.contactPerson || {};
+  template.signatoryName = template.signatoryName || contact.name || '';
+  template.signatoryTitle = template.signatoryTitle || contact.designation || '';
+  return template;
+};
+
+// The certificate as a one-page A4 landscape PDF
+const renderCertificatePdf = (certificate) => {
+  const template = { ...DEFAULT_TEMPLATE, ...certificate.template };
+  const accent = template.accentColor;
+  const values = {
+    volunteerName: certificate.volunteerName,
+    projectTitle: certificate.projectTitle,
+    ngoName: certificate.ngoName,
+    role: certificate.role || 'volunteer',
+    hours: certificate.hours,
+    startDate: formatDate(certificate.serviceStart),
+    endDate: formatDate(certificate.serviceEnd),
+    issueDate: formatDate(certificate.issuedAt),
+    certificateId: certificate.certificateId
+  };
+
+  const page = createPage();
+  const center = page.width / 2;
+
+  page.rect(20, 20, page.width - 40, page.height - 40, { stroke: accent, lineWidth: 3 });
+  page.rect(30, 30, page.width - 60, page.height - 60, { stroke: accent, lineWidth: 0.75 });
+  page.rect(30, 30, page.width - 60, 8, { fill: accent });
+
+  page.text(certificate.ngoName.toUpperCase(), center, 90, { size: 14, font: 'bold', color: accent, align: 'center' });
+  page.text(fillTemplate(template.title, values), center, 145, { size: 32, font: 'bold', color: '#222222', align: 'center' });
+  page.text('This certificate is presented to', center, 190, { size: 13, font: 'italic', color: '#555555', align: 'center' });
+  page.text(certificate.volunteerName, center, 235, { size: 28, font: 'bold', color: '#222222', align: 'center' });
+  page.line(center - 170, 248, center + 170, 248, { color: accent });
+
+  // Longer texts are set smaller so they stay clear of the signatures
+  const body = fillTemplate(template.body, values);
+  const bodySize = BODY_SIZES.find(size => wrapText(body, BODY_WIDTH, size).length * size * 1.4 <= BODY_HEIGHT) ||
+    BODY_SIZES[BODY_SIZES.length - 1];
+  page.paragraph(body, center, 285, BODY_WIDTH, { size: bodySize, color: '#333333', align: 'center' });
+
+  // Signature block
+  if (template.signatoryName) {
+    page.text(template.signatoryName, 190, 462, { size: 18, font: 'italic', color: '#333333', align: 'center' });
+  }
+  page.line(90, 470, 290, 470, { color: '#555555', lineWidth: 0.75 });
+  page.text(template.signatoryName || 'Authorised signatory', 190, 487, { size: 11, font: 'bold', color: '#222222', align: 'center' });
+  if (template.signatoryTitle) {
+    page.text(template.signatoryTitle, 190, 501, { size: 10, color: '#555555', align: 'center' });
+  }
+  page.text(certificate.ngoName, 190, template.signatoryTitle ? 515 : 501, { size: 10, font: 'italic', color: '#555555', align: 'center' });
+
+  page.text(values.issueDate, center, 462, { size: 13, color: '#333333', align: 'center' });
+  page.line(center - 80, 470, center + 80, 470, { color: '#555555', lineWidth: 0.75 });
+  page.text('Date of issue', center, 487, { size: 11, font: 'bold', color: '#222222', align: 'center' });
+
+  page.qrCode(getVerifyUrl(certificate.certificateId), 672, 395, 90);
+  page.text(certificate.certificateId, 717, 500, { size: 9, font: 'bold', color: '#222222', align: 'center' });
+  page.text('Scan to verify', 717, 513, { size: 8, color: '#555555', align: 'center' });
+
+  if (template.footer) {
+    page.text(fillTemplate(template.footer, values), center, 550, { size: 9, color: '#777777', align: 'center' });
+  }
+
+  return page.toBuffer({ title: `${fillTemplate(template.title, values)} - ${certificate.volunteerName}`, author: certificate.ngoName });
+};
+
+// Approved timesheet hours of a volunteer on a project
+const getVerifiedHours = async (projectId, userId) => {
+  const [result] = await HourLog.aggregate([
+    {
+      $match: {
+        project: new mongoose.Types.ObjectId(String(projectId)),
+        volunteer: new mongoose.Types.ObjectId(String(userId)),
+        status: 'approved'
+      }
+    },
+    { $group: { _id: null, hours: { $sum: '$approvedHours' } } }
+  ]);
+  return result ? Math.round(result.hours * 100) / 100 : 0;
+};
+
+// When the volunteer's most recent move to `status` happened
+const lastMoveTo = (volunteer, status) => {
+  const entry = [...volunteer.history].reverse().find(change => change.to === status);
+  return entry && entry.date;
+};
+
+// Create a new certificate for a volunteer who completed `project`
+const createCertificate = async (project, userId) => {
+  const volunteer = project.volunteers.find(v => v.user.equals(userId));
+  if (!volunteer || volunteer.status !== 'completed') {
+    throw new Error('Certificates are only issued to volunteers who completed the project');
+  }
+
+  const [user, ngo, hours] = await Promise.all([
+    User.findById(userId).select('name email'),
+    NGO.findById(project.ngo._id || project.ngo).select('name contactPerson certificateTemplate'),
+    getVerifiedHours(project._id, userId)
+  ]);
+  if (!user || !ngo) {
+    throw new Error('Volunteer or NGO not found');
+  }
+
+  const certificate = await Certificate.create({
+    volunteer: user._id,
+    project: project._id,
+    ngo: ngo._id,
+    volunteerName: user.name,
+    projectTitle: project.title,
+    ngoName: ngo.name,
+    role: volunteer.role,
+    hours,
+    serviceStart: lastMoveTo(volunteer, 'accepted') || volunteer.joinedDate,
+    serviceEnd: lastMoveTo(volunteer, 'completed') || new Date(),
+    template: resolveTemplate(ngo)
+  });
+
+  return { certificate, user };
+};
+
+// Email a volunteer their new certificate's ID and verification link
+const notifyCertificateIssued = async (certificate, user) => {
+  try {
+    await sendCertificateIssuedEmail(
+      user.email, user.name, certificate.projectTitle, certificate.ngoName,
+      certificate.hours, certificate.certificateId, getVerifyUrl(certificate.certificateId)
+    );
+  } catch (emailError) {
+    console.error('Failed to send certificate email:', emailError);
+  }
+};
+
+// Issue certificates to volunteers who completed `project` and don't have a
+// valid one yet, and email them. Failures are logged so they never block the
+// status change that triggered them; the NGO can issue them again later.
+const issueCertificates = async (project, userIds) => {
+  const issued = [];
+  for (const userId of userIds) {
+    try {
+      const existing = await Certificate.exists({ project: project._id, volunteer: userId, status: 'valid' });
+      if (existing) continue;
+
+      const { certificate, user } = await createCertificate(project, userId);
+      issued.push(certificate);
+
+      await notifyCertificateIssued(certificate, user);
+    } catch (error) {
+      console.error(`Issuing certificate for volunteer ${userId} on project ${project._id} failed:`, error);
+    }
+  }
+  return issued;
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TEMPLATE_FIELDS,
+  TEMPLATE_PLACEHOLDERS,
+  findUnknownPlaceholders,
+  resolveTemplate,
+  getVerifyUrl,
+  renderCertificatePdf,
+  createCertificate,
+  notifyCertificateIssued,
+  issueCertificates
+};
@@ -65,6 +65,57 @@ const emailTemplates = {
     `
   }),
 
+  emailVerification: (name, code) => ({
+    subject: 'Verify your email - SevaSetu',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #667eea; text-align: center;">Verify Your Email</h1>
+        <p>Dear ${name},</p>
+        <p>Use the code below to verify your SevaSetu account:</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+          <span style="font-size: 32px; letter-spacing: 8px; font-weight: bold; color: #333;">${code}</span>
+        </div>
+        <p>This code will expire in 10 minutes. If you didn't create an account, please ignore this email.</p>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
+  accountLocked: (name, lockedMinutes, unlockUrl) => ({
+    subject: 'Your account has been locked - SevaSetu',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #dc3545; text-align: center;">Account Locked</h1>
+        <p>Dear ${name},</p>
+        <p>We locked your SevaSetu account for ${lockedMinutes} minutes after several failed sign-in attempts.</p>
+        <p>If this was you, you can unlock your account straight away:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${unlockUrl}" 
+             style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+            Unlock My Account
+          </a>
+        </div>
+        <p>If it wasn't you, someone may be trying to guess your password. We recommend resetting it once your account is unlocked.</p>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
+  accountDeletionScheduled: (name, scheduledFor) => ({
+    subject: 'Your account is scheduled for deletion - SevaSetu',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #dc3545; text-align: center;">Account Deletion Requested</h1>
+        <p>Dear ${name},</p>
+        <p>We received a request to delete your SevaSetu account. Your personal data will be permanently removed on <strong>${scheduledFor.toDateString()}</strong>.</p>
+        <p>Your contributions will remain part of project and NGO statistics, but will no longer be linked to you.</p>
+        <p>Changed your mind? Sign in before that date and cancel the deletion from your account settings.</p>
+        <p>If you didn't request this, sign in and change your password straight away.</p>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
   projectApproved: (projectTitle, ngoName) => ({
     subject: 'Project Approved - SevaSetu',
     html: `
@@ -88,6 +139,48 @@ const emailTemplates = {
     `
   }),
 
+  projectCompletionReview: (projectTitle, ngoName, endDate) => ({
+    subject: `Time to wrap up ${projectTitle} - SevaSetu`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #667eea; text-align: center;">Your Project Has Ended</h1>
+        <p>The project below reached its end date on ${new Date(endDate).toLocaleDateString()} and is waiting for your review.</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #333; margin-top: 0;">Project Details:</h3>
+          <p><strong>Title:</strong> ${projectTitle}</p>
+          <p><strong>NGO:</strong> ${ngoName}</p>
+        </div>
+        <p>Close any open tasks and mark the project as completed so your volunteers are credited. If the work is still going on, extend the end date and resume the project.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/dashboard" 
+             style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+            Review Project
+          </a>
+        </div>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
+  ngoInvitation: (ngoName, inviterName, role, inviteUrl) => ({
+    subject: `You're invited to join ${ngoName} on SevaSetu`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #667eea; text-align: center;">Join ${ngoName}</h1>
+        <p>${inviterName} has invited you to help manage <strong>${ngoName}</strong> on SevaSetu as a <strong>${role}</strong>.</p>
+        <p>Sign in or create an account with this email address, then accept the invitation:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${inviteUrl}" 
+             style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+            Accept Invitation
+          </a>
+        </div>
+        <p>This invitation will expire in 7 days.</p>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
   taskAssigned: (taskTitle, projectTitle, dueDate) => ({
     subject: 'New Task Assigned - SevaSetu',
     html: `
@@ -134,6 +227,121 @@ const emailTemplates = {
     `
   }),
 
+  applicationStatusChanged: (name, projectTitle, ngoName, statusLabel, status) => ({
+    subject: `Your application for ${projectTitle} - SevaSetu`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #667eea; text-align: center;">Application Update</h1>
+        <p>Hi ${name},</p>
+        ${{
+          applied: `<p>${ngoName} has received your application to volunteer for <strong>${projectTitle}</strong>. We'll let you know as it moves through their review.</p>`,
+          withdrawn: `<p>Your application to volunteer for <strong>${projectTitle}</strong> with ${ngoName} has been withdrawn. You can apply again while the project is accepting volunteers.</p>`,
+          waitlisted: `<p><strong>${projectTitle}</strong> is full right now, so you've been added to its waitlist. We'll email you as soon as a spot opens up.</p>`,
+          expired: `<p>The spot we offered you on <strong>${projectTitle}</strong> wasn't confirmed in time and has passed to the next person on the waitlist. You can apply again to rejoin the waitlist.</p>`
+        }[status] || `<p>${ngoName} has updated your application to volunteer for <strong>${projectTitle}</strong>.</p>`}
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+          <p style="margin: 0;"><strong>Status:</strong> ${statusLabel}</p>
+        </div>
+        ${status === 'accepted' ? '<p>Welcome aboard! The team will be in touch with the next steps.</p>' : ''}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/dashboard" 
+             style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+            View My Projects
+          </a>
+        </div>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
+  waitlistOffer: (name, projectTitle, ngoName, expiresAt) => ({
+    subject: `A spot has opened on ${projectTitle} - SevaSetu`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #667eea; text-align: center;">A Spot Has Opened!</h1>
+        <p>Hi ${name},</p>
+        <p>Good news: a volunteer spot has opened on <strong>${projectTitle}</strong> with ${ngoName}, and you're next on the waitlist.</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+          <p style="margin: 0;">Please confirm by <strong>${new Date(expiresAt).toUTCString()}</strong>.</p>
+        </div>
+        <p>If you don't confirm in time, the spot will be offered to the next person on the waitlist.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/dashboard" 
+             style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+            Confirm My Spot
+          </a>
+        </div>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
+  shiftCancelled: (name, shiftTitle, projectTitle, when, reason) => ({
+    subject: `Shift cancelled: ${shiftTitle} - SevaSetu`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #667eea; text-align: center;">Shift Cancelled</h1>
+        <p>Hi ${name},</p>
+        <p>The shift you signed up for on <strong>${projectTitle}</strong> has been cancelled.</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Shift:</strong> ${shiftTitle}</p>
+          <p><strong>When:</strong> ${when}</p>
+          <p style="margin-bottom: 0;"><strong>Reason:</strong> ${reason}</p>
+        </div>
+        <p>You don't need to do anything. Other shifts on the project are still open for sign-up.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/dashboard" 
+             style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+            Find Another Shift
+          </a>
+        </div>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
+  hoursReviewed: (name, projectTitle, date, loggedHours, approvedHours, status, note) => ({
+    subject: `Your logged hours were ${status} - SevaSetu`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: ${status === 'rejected' ? '#dc3545' : '#28a745'}; text-align: center;">Hours ${status === 'rejected' ? 'Not Approved' : 'Approved'}</h1>
+        <p>Hi ${name},</p>
+        <p>The hours you logged for <strong>${projectTitle}</strong> have been reviewed.</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Date:</strong> ${date.toDateString()}</p>
+          <p><strong>Hours logged:</strong> ${loggedHours}</p>
+          ${status === 'approved' ? `<p><strong>Hours approved:</strong> ${approvedHours}</p>` : ''}
+          ${note ? `<p style="margin-bottom: 0;"><strong>Note:</strong> ${note}</p>` : ''}
+        </div>
+        <p>${status === 'approved' ? 'These hours now count towards your volunteering totals.' : 'These hours will not count towards your volunteering totals.'}</p>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
+  certificateIssued: (name, projectTitle, ngoName, hours, certificateId, verifyUrl) => ({
+    subject: `Your volunteering certificate for ${projectTitle} - SevaSetu`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #667eea; text-align: center;">Your Certificate Is Ready</h1>
+        <p>Hi ${name},</p>
+        <p>Thank you for volunteering with <strong>${ngoName}</strong> on <strong>${projectTitle}</strong>. Your certificate of service is ready to download.</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Certificate ID:</strong> ${certificateId}</p>
+          <p style="margin-bottom: 0;"><strong>Verified hours:</strong> ${hours}</p>
+        </div>
+        <p>Anyone can check the certificate is genuine by scanning its QR code or visiting <a href="${verifyUrl}">${verifyUrl}</a>.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/dashboard" 
+             style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+            Download Certificate
+          </a>
+        </div>
+        <p>Best regards,<br>The SevaSetu Team</p>
+      </div>
+    `
+  }),
+
   achievementUnlocked: (achievementName, description, points) => ({
     subject: 'Achievement Unlocked! - SevaSetu',
     html: `
@@ -169,6 +377,36 @@ const sendWelcomeEmail = async (email, name) => {
   });
 };
 
+// Send email verification code
+const sendVerificationEmail = async (email, name, code) => {
+  const template = emailTemplates.emailVerification(name, code);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send account locked email
+const sendAccountLockedEmail = async (email, name, lockedMinutes, unlockUrl) => {
+  const template = emailTemplates.accountLocked(name, lockedMinutes, unlockUrl);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send account deletion confirmation email
+const sendAccountDeletionEmail = async (email, name, scheduledFor) => {
+  const template = emailTemplates.accountDeletionScheduled(name, scheduledFor);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
 // Send project approval email
 const sendProjectApprovalEmail = async (email, projectTitle, ngoName) => {
   const template = emailTemplates.projectApproved(projectTitle, ngoName);
@@ -179,6 +417,26 @@ const sendProjectApprovalEmail = async (email, projectTitle, ngoName) => {
   });
 };
 
+// Send email asking an NGO to review a project that has reached its end date
+const sendProjectCompletionReviewEmail = async (email, projectTitle, ngoName, endDate) => {
+  const template = emailTemplates.projectCompletionReview(projectTitle, ngoName, endDate);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send NGO team invitation email
+const sendNGOInvitationEmail = async (email, ngoName, inviterName, role, inviteUrl) => {
+  const template = emailTemplates.ngoInvitation(ngoName, inviterName, role, inviteUrl);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
 // Send task assignment email
 const sendTaskAssignmentEmail = async (email, taskTitle, projectTitle, dueDate) => {
   const template = emailTemplates.taskAssigned(taskTitle, projectTitle, dueDate);
@@ -199,6 +457,56 @@ const sendVolunteerApplicationEmail = async (email, volunteerName, projectTitle,
   });
 };
 
+// Send application status update email
+const sendApplicationStatusEmail = async (email, name, projectTitle, ngoName, statusLabel, status) => {
+  const template = emailTemplates.applicationStatusChanged(name, projectTitle, ngoName, statusLabel, status);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send waitlist offer email
+const sendWaitlistOfferEmail = async (email, name, projectTitle, ngoName, expiresAt) => {
+  const template = emailTemplates.waitlistOffer(name, projectTitle, ngoName, expiresAt);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send email telling a volunteer their shift was cancelled
+const sendShiftCancelledEmail = async (email, name, shiftTitle, projectTitle, when, reason) => {
+  const template = emailTemplates.shiftCancelled(name, shiftTitle, projectTitle, when, reason);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send email telling a volunteer their logged hours were approved or rejected
+const sendHoursReviewedEmail = async (email, name, projectTitle, date, loggedHours, approvedHours, status, note) => {
+  const template = emailTemplates.hoursReviewed(name, projectTitle, date, loggedHours, approvedHours, status, note);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
+// Send email telling a volunteer their certificate for a completed project is ready
+const sendCertificateIssuedEmail = async (email, name, projectTitle, ngoName, hours, certificateId, verifyUrl) => {
+  const template = emailTemplates.certificateIssued(name, projectTitle, ngoName, hours, certificateId, verifyUrl);
+  return await sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html
+  });
+};
+
 // Send achievement email
 const sendAchievementEmail = async (email, achievementName, description, points) => {
   const template = emailTemplates.achievementUnlocked(achievementName, description, points);
@@ -212,9 +520,19 @@ const sendAchievementEmail = async (email, achievementName, description, points)
 module.exports = {
   sendEmail,
   sendWelcomeEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionEmail,
   sendProjectApprovalEmail,
+  sendProjectCompletionReviewEmail,
+  sendNGOInvitationEmail,
   sendTaskAssignmentEmail,
   sendVolunteerApplicationEmail,
+  sendApplicationStatusEmail,
+  sendWaitlistOfferEmail,
+  sendShiftCancelledEmail,
+  sendHoursReviewedEmail,
+  sendCertificateIssuedEmail,
   sendAchievementEmail,
   emailTemplates
 };
\ No newline at end of file
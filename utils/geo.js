@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+// Location search without an external geocoding service. Place names and PIN
+// codes are resolved from a bundled gazetteer of Indian cities; each city lists
+// the PIN prefixes of its sorting districts, and the longest matching prefix wins.
+const GAZETTEER_FILE = process.env.GAZETTEER_FILE ||
+  path.join(__dirname, '..', 'data', 'india-places.json');
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// Loaded on first use
+let places = null;
+
+const getPlaces = () => {
+  if (!places) {
+    try {
+      places = JSON.parse(fs.readFileSync(GAZETTEER_FILE, 'utf8'));
+    } catch (error) {
+      console.error('Failed to load gazetteer:', error.message);
+      places = [];
+    }
+  }
+  return places;
+};
+
+const normalise = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Resolve a city name, alias or 6-digit PIN code to { name, state, latitude, longitude }
+const resolvePlace = (query) => {
+  const value = normalise(query);
+  if (!value) return null;
+
+  if (/^\d{6}$/.test(value)) {
+    let best = null;
+    getPlaces().forEach(place => place.pins.forEach(prefix => {
+      if (value.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+        best = { place, prefix };
+      }
+    }));
+    return best ? { ...best.place, matchedBy: 'pin' } : null;
+  }
+
+  // "Pune, Maharashtra" style input only needs the city part
+  const name = value.split(',')[0].trim();
+  const names = (place) => [place.name, ...(place.aliases || [])].map(normalise);
+  const place = getPlaces().find(p => names(p).includes(name)) ||
+    getPlaces().find(p => names(p).some(n => n.startsWith(name)));
+
+  return place ? { ...place, matchedBy: 'name' } : null;
+};
+
+const toPoint = (latitude, longitude) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+const isValidCoordinate = (latitude, longitude) =>
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+// Great-circle distance in km between two { latitude, longitude } points
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// GeoJSON point for an address: exact coordinates when given, otherwise the
+// gazetteer entry for its PIN code or city. Returns undefined when unknown.
+const pointForAddress = ({ coordinates, zipCode, city } = {}) => {
+  if (coordinates && isValidCoordinate(coordinates.latitude, coordinates.longitude)) {
+    return toPoint(coordinates.latitude, coordinates.longitude);
+  }
+
+  const place = (zipCode && resolvePlace(zipCode)) || (city && resolvePlace(city));
+  return place ? toPoint(place.latitude, place.longitude) : undefined;
+};
+
+// Read location filters from a query string:
+//   near=<place or PIN> or lat=&lng=, with radius=<km>
+//   bbox=<west>,<south>,<east>,<north>
+// Returns { center, radiusKm, box, place } or { error }, or null when no location filter was asked for.
+const parseGeoQuery = (query) => {
+  const { near, lat, lng, radius, bbox } = query;
+  if (!near && lat === undefined && lng === undefined && !bbox) return null;
+
+  let center = null;
+  let place = null;
+
+  if (near) {
+    place = resolvePlace(near);
+    if (!place) return { error: `Could not find a place called "${near}"` };
+    center = [place.longitude, place.latitude];
+  } else if (lat !== undefined || lng !== undefined) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (!isValidCoordinate(latitude, longitude)) return { error: 'lat and lng must be valid coordinates' };
+    center = [longitude, latitude];
+  }
+
+  let box = null;
+  if (bbox) {
+    const [west, south, east, north] = String(bbox).split(',').map(parseFloat);
+    if (![west, south, east, north].every(Number.isFinite) || west >= east || south >= north ||
+        !isValidCoordinate(south, west) || !isValidCoordinate(north, east)) {
+      return { error: 'bbox must be west,south,east,north in degrees' };
+    }
+    box = {
+      type: 'Polygon',
+      coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+    };
+    // Sort by distance from the middle of the box when no point was given
+    if (!center) center = [(west + east) / 2, (south + north) / 2];
+  }
+
+  // A bounding box alone isn't limited by radius
+  let radiusKm = null;
+  if (!box || radius !== undefined) {
+    radiusKm = parseFloat(radius) || DEFAULT_RADIUS_KM;
+    if (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) return { error: `radius must be between 0 and ${MAX_RADIUS_KM} km` };
+  }
+
+  return {
+    center,
+    radiusKm,
+    box,
+    place: place ? { name: place.name, state: place.state, latitude: place.latitude, longitude: place.longitude } : undefined
+  };
+};
+
+// Conditions on `field` matching the area of a parsed geo query, for counting
+const withinConditions = (field, geo) => {
+  const conditions = [];
+  if (geo.radiusKm) {
+    conditions.push({ [field]: { $geoWithin: { $centerSphere: [geo.center, geo.radiusKm / EARTH_RADIUS_KM] } } });
+  }
+  if (geo.box) {
+    conditions.push({ [field]: { $geoWithin: { $geometry: geo.box } } });
+  }
+  return conditions;
+};
+
+// Find documents matching `query` within the area, nearest first. Results are
+// hydrated into documents so schema transforms still apply; distances in km are
+// returned alongside, keyed by id.
+const findNear = async (Model, field, geo, query, { skip = 0, limit = 12, project } = {}) => {
+  const match = { ...query };
+  if (geo.box) {
+    match.$and = [...(match.$and || []), { [field]: { $geoWithin: { $geometry: geo.box } } }];
+  }
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: geo.center },
+        key: field,
+        distanceField: 'distance',
+        spherical: true,
+        query: match,
+        ...(geo.radiusKm ? { maxDistance: geo.radiusKm * 1000 } : {})
+      }
+    },
+    { $skip: skip },
+    { $limit: limit }
+  ];
+  if (project) pipeline.push({ $project: project });
+
+  const [results, total] = await Promise.all([
+    Model.aggregate(pipeline),
+    Model.countDocuments({ ...query, $and: [...(query.$and || []), ...withinConditions(field, geo)] })
+  ]);
+
+  const distances = new Map();
+  const docs = results.map(({ distance, ...doc }) => {
+    distances.set(String(doc._id), Math.round(distance / 100) / 10);
+    return Model.hydrate(doc);
+  });
+
+  return { docs, distances, total };
+};
+
+module.exports = {
+  resolvePlace,
+  toPoint,
+  isValidCoordinate,
+  distanceKm,
+  pointForAddress,
+  parseGeoQuery,
+  findNear
+};
@@ -0,0 +1,136 @@
+const Project = require('../models/Project');
+const NGO = require('../models/NGO');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { sendProjectCompletionReviewEmail } = require('./email');
+const { issueCertificates } = require('./certificates');
+
+// Statuses of projects that are still running
+const RUNNING_STATUSES = ['approved', 'active', 'on-hold'];
+
+// Stop taking applications for projects whose registration deadline has passed
+const closeRegistrations = async (now = new Date()) => {
+  const { modifiedCount } = await Project.updateMany(
+    {
+      status: { $in: RUNNING_STATUSES },
+      'timeline.registrationDeadline': { $lte: now },
+      'timeline.applicationsClosedAt': null
+    },
+    { $set: { 'timeline.applicationsClosedAt': now } }
+  );
+
+  return { closed: modifiedCount };
+};
+
+// Mark unfinished milestones past their target date as delayed
+const markDelayedMilestones = async (now = new Date()) => {
+  const overdue = { status: { $in: ['pending', 'in-progress'] }, targetDate: { $lt: now } };
+  const { modifiedCount } = await Project.updateMany(
+    { 'timeline.milestones': { $elemMatch: overdue } },
+    { $set: { 'timeline.milestones.$[milestone].status': 'delayed' } },
+    { arrayFilters: [{ 'milestone.status': overdue.status, 'milestone.targetDate': overdue.targetDate }] }
+  );
+
+  return { projects: modifiedCount };
+};
+
+// Move projects past their end date to completion review and ask the NGO to wrap them up
+const endFinishedProjects = async (now = new Date()) => {
+  const projects = await Project.find({
+    status: { $in: RUNNING_STATUSES },
+    'timeline.endDate': { $lte: now }
+  }).populate('ngo', 'name contactPerson.email');
+
+  let ended = 0;
+  for (const project of projects) {
+    try {
+      const before = AuditLog.snapshot(project, ['status']);
+      await project.transition('end', { reason: 'End date reached' });
+      ended += 1;
+
+      await AuditLog.record(null, {
+        action: 'project:end',
+        target: project,
+        before,
+        after: AuditLog.snapshot(project, ['status'])
+      });
+
+      if (project.ngo && project.ngo.contactPerson && project.ngo.contactPerson.email) {
+        try {
+          await sendProjectCompletionReviewEmail(
+            project.ngo.contactPerson.email,
+            project.title,
+            project.ngo.name,
+            project.timeline.endDate
+          );
+        } catch (emailError) {
+          console.error('Failed to send completion review email:', emailError);
+        }
+      }
+    } catch (error) {
+      console.error(`Ending project ${project._id} failed:`, error);
+    }
+  }
+
+  return { ended };
+};
+
+// Mark accepted volunteers of completed projects as completed, add the project
+// to each volunteer's projectsCompleted and issue their certificates, once per project
+const creditCompletedVolunteers = async () => {
+  const projects = await Project.find({ status: 'completed', volunteersCreditedAt: null });
+
+  let credited = 0;
+  for (const project of projects) {
+    try {
+      const now = new Date();
+      project.volunteers
+        .filter(volunteer => volunteer.status === 'accepted')
+        .forEach(volunteer => {
+          volunteer.history.push({ from: 'accepted', to: 'completed', note: 'Project completed', date: now });
+          volunteer.status = 'completed';
+        });
+
+      const userIds = project.volunteers
+        .filter(volunteer => volunteer.status === 'completed')
+        .map(volunteer => volunteer.user);
+
+      // Flag the project first: a failure after this under-counts rather than counting twice
+      project.volunteersCreditedAt = now;
+      await project.save();
+
+      if (userIds.length > 0) {
+        await User.updateMany({ _id: { $in: userIds } }, { $inc: { 'statistics.projectsCompleted': 1 } });
+      }
+      await issueCertificates(project, userIds);
+      credited += userIds.length;
+    } catch (error) {
+      console.error(`Crediting volunteers for project ${project._id} failed:`, error);
+    }
+  }
+
+  return { projects: projects.length, volunteers: credited };
+};
+
+// Recalculate every NGO's project, volunteer and funding totals
+const refreshNGOStatistics = async () => {
+  let refreshed = 0;
+  for await (const ngo of NGO.find({}).cursor()) {
+    try {
+      await ngo.updateStatistics();
+      refreshed += 1;
+    } catch (error) {
+      console.error(`Refreshing statistics for NGO ${ngo._id} failed:`, error);
+    }
+  }
+
+  return { refreshed };
+};
+
+module.exports = {
+  closeRegistrations,
+  markDelayedMilestones,
+  endFinishedProjects,
+  creditCompletedVolunteers,
+  refreshNGOStatistics
+};
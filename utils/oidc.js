@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect sign-in for partner organisations (colleges, CSR programmes).
+// Providers are configured as a JSON array in OIDC_PROVIDERS, for example:
+//   [{ "id": "du", "name": "University of Delhi", "issuer": "https://login.du.ac.in",
+//      "clientId": "...", "clientSecret": "...", "organisation": "University of Delhi" }]
+// Optional per provider: "scope" (default "openid email profile"), "organisationClaim"
+// (a claim naming the user's organisation, used before the fixed "organisation")
+// and "trustEmail" (accept emails the provider doesn't mark as verified).
+
+const DISCOVERY_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const MOCK_PROVIDER_ID = 'mock';
+
+let providers = null;
+const discoveryCache = new Map();
+const keyCache = new Map();
+
+const isMockProviderEnabled = () =>
+  process.env.OIDC_MOCK_PROVIDER === 'true' && process.env.NODE_ENV !== 'production';
+
+const getMockIssuer = () =>
+  process.env.OIDC_MOCK_ISSUER || `http://localhost:${process.env.PORT || 5000}/mock-oidc`;
+
+const loadProviders = () => {
+  let configured = [];
+  try {
+    configured = JSON.parse(process.env.OIDC_PROVIDERS || '[]');
+  } catch (error) {
+    console.error('Invalid OIDC_PROVIDERS configuration:', error.message);
+  }
+
+  const list = configured.filter(provider => {
+    const valid = provider && provider.id && provider.issuer && provider.clientId;
+    if (!valid) console.error('Skipping OIDC provider without id, issuer or clientId');
+    return valid;
+  });
+
+  if (isMockProviderEnabled()) {
+    list.push({
+      id: MOCK_PROVIDER_ID,
+      name: 'Mock SSO (testing)',
+      issuer: getMockIssuer(),
+      clientId: 'sevasetu-mock',
+      clientSecret: 'mock-secret',
+      organisationClaim: 'org'
+    });
+  }
+
+  return new Map(list.map(provider => [provider.id, provider]));
+};
+
+const getProvider = (id) => {
+  if (!providers) providers = loadProviders();
+  return providers.get(id) || null;
+};
+
+// Providers as shown on the sign-in page
+const listProviders = () => {
+  if (!providers) providers = loadProviders();
+  return [...providers.values()].map(({ id, name }) => ({ id, name: name || id }));
+};
+
+const fetchJSON = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+};
+
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && cached.expires > Date.now()) return cached.config;
+
+  const config = await fetchJSON(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.id, { config, expires: Date.now() + DISCOVERY_CACHE_TTL });
+  return config;
+};
+
+// Look up a provider's signing key, refreshing the key set when the key id is unknown
+const getSigningKey = async (provider, kid) => {
+  const cacheKey = `${provider.id}:${kid}`;
+  if (!keyCache.has(cacheKey)) {
+    const { jwks_uri: jwksUri } = await discover(provider);
+    const { keys = [] } = await fetchJSON(jwksUri);
+    keys.filter(key => key.kty === 'RSA').forEach(key => {
+      keyCache.set(`${provider.id}:${key.kid}`, crypto.createPublicKey({ key, format: 'jwk' }));
+    });
+  }
+
+  const key = keyCache.get(cacheKey);
+  if (!key) throw new Error('ID token is signed with an unknown key');
+  return key;
+};
+
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge, redirectUri }) => {
+  const { authorization_endpoint: endpoint } = await discover(provider);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope || 'openid email profile',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return `${endpoint}?${params.toString()}`;
+};
+
+const exchangeCode = async (provider, { code, codeVerifier, redirectUri }) => {
+  const { token_endpoint: endpoint } = await discover(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) params.set('client_secret', provider.clientSecret);
+
+  return fetchJSON(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: params.toString()
+  });
+};
+
+// Verify an ID token's signature, issuer, audience, expiry and nonce; returns its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) throw new Error('Malformed ID token');
+
+  const { issuer } = await discover(provider);
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+  return claims;
+};
+
+// Whether the provider vouches for the email address in its claims
+const hasVerifiedEmail = (provider, claims) =>
+  Boolean(claims.email) && (claims.email_verified === true || claims.email_verified === 'true' || provider.trustEmail === true);
+
+// Organisation affiliation from the provider's claims, falling back to its fixed organisation
+const getOrganisation = (provider, claims) => {
+  const claimed = provider.organisationClaim && claims[provider.organisationClaim];
+  const organisation = Array.isArray(claimed) ? claimed[0] : claimed;
+  return (organisation && String(organisation).trim()) || provider.organisation || null;
+};
+
+module.exports = {
+  MOCK_PROVIDER_ID,
+  isMockProviderEnabled,
+  getMockIssuer,
+  getProvider,
+  listProviders,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  hasVerifiedEmail,
+  getOrganisation
+};
@@ -0,0 +1,144 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getMockIssuer } = require('./oidc');
+
+// A minimal OpenID Connect provider for local development and tests.
+// Only mounted when OIDC_MOCK_PROVIDER=true outside production. Anyone can sign
+// in as any email address, so it must never be exposed on a real deployment.
+
+const CODE_TTL = 60 * 1000; // 1 minute
+const KEY_ID = 'mock-key';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const authorizationCodes = new Map();
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Stable subject per email so repeated sign-ins map to the same identity
+const subjectFor = (email) => crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+
+const issueCode = (params, identity) => {
+  const code = crypto.randomBytes(24).toString('base64url');
+  authorizationCodes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    nonce: params.nonce,
+    codeChallenge: params.code_challenge,
+    identity,
+    expires: Date.now() + CODE_TTL
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (params.state) redirect.searchParams.set('state', params.state);
+  return redirect.toString();
+};
+
+const identityFrom = (source) => ({
+  email: String(source.email || source.login_hint || '').trim().toLowerCase(),
+  name: source.name ? String(source.name).trim() : undefined,
+  org: source.org ? String(source.org).trim() : undefined,
+  emailVerified: source.email_verified !== 'false'
+});
+
+const router = express.Router();
+
+router.get('/.well-known/openid-configuration', (req, res) => {
+  const issuer = getMockIssuer();
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+router.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Tests can pass login_hint (plus name, org and email_verified) to skip the form
+router.get('/authorize', (req, res) => {
+  if (!req.query.redirect_uri) {
+    return res.status(400).send('redirect_uri is required');
+  }
+
+  if (req.query.login_hint) {
+    return res.redirect(issueCode(req.query, identityFrom(req.query)));
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!DOCTYPE html>
+<html><head><title>Mock SSO</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 400px; margin: 40px auto;">
+  <h2>Mock SSO sign-in</h2>
+  <p>Testing only: sign in as any identity.</p>
+  <form method="post" action="authorize">
+    ${hidden}
+    <p><label>Email<br><input type="email" name="email" required></label></p>
+    <p><label>Name<br><input type="text" name="name"></label></p>
+    <p><label>Organisation<br><input type="text" name="org"></label></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+});
+
+router.post('/authorize', (req, res) => {
+  if (!req.body.email || !req.body.redirect_uri) {
+    return res.status(400).send('email and redirect_uri are required');
+  }
+
+  const identity = identityFrom({ ...req.body, email_verified: req.body.email_verified || 'false' });
+  res.redirect(issueCode(req.body, identity));
+});
+
+router.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  const challenge = codeVerifier && crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  if (grantType !== 'authorization_code' || !grant || grant.expires < Date.now() ||
+      grant.clientId !== clientId || grant.redirectUri !== redirectUri ||
+      (grant.codeChallenge && grant.codeChallenge !== challenge)) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const { identity } = grant;
+  const idToken = jwt.sign({
+    sub: subjectFor(identity.email),
+    email: identity.email,
+    email_verified: identity.emailVerified,
+    name: identity.name,
+    org: identity.org,
+    nonce: grant.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: getMockIssuer(),
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+module.exports = router;
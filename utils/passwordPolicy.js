@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+
+// Password strength policy, configurable through the environment
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const PASSWORD_MAX_LENGTH = 128;
+const BREACHED_PASSWORDS_FILE = process.env.BREACHED_PASSWORDS_FILE ||
+  path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+// Loaded on first use; one password per line, '#' starts a comment
+let breachedPasswords = null;
+
+const getBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    try {
+      breachedPasswords = new Set(
+        fs.readFileSync(BREACHED_PASSWORDS_FILE, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error('Failed to load breached password list:', error.message);
+      breachedPasswords = new Set();
+    }
+  }
+  return breachedPasswords;
+};
+
+// Returns the reasons a password breaks the policy (empty when it is acceptable)
+const checkPasswordPolicy = (password, { email } = {}) => {
+  const problems = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (value.length > PASSWORD_MAX_LENGTH) {
+    problems.push(`Password cannot exceed ${PASSWORD_MAX_LENGTH} characters`);
+  }
+  if (!/[a-zA-Z]/.test(value) || !/\d/.test(value)) {
+    problems.push('Password must contain both letters and numbers');
+  }
+  if (getBreachedPasswords().has(value.toLowerCase())) {
+    problems.push('This password has appeared in a data breach. Please choose a different one');
+  }
+
+  const emailName = email ? String(email).split('@')[0].toLowerCase() : '';
+  if (emailName.length >= 4 && value.toLowerCase().includes(emailName)) {
+    problems.push('Password must not contain your email address');
+  }
+
+  return problems;
+};
+
+// express-validator rule applying the policy to a request body field
+const passwordPolicyRule = (field = 'password') => body(field).custom((value, { req }) => {
+  const email = req.body.email || (req.user && req.user.email);
+  const problems = checkPasswordPolicy(value, { email });
+  if (problems.length) {
+    throw new Error(problems.join('. '));
+  }
+  return true;
+});
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  checkPasswordPolicy,
+  passwordPolicyRule
+};
@@ -0,0 +1,189 @@
+const zlib = require('zlib');
+const QRCode = require('qrcode');
+
+// Minimal single-page PDF writer for generated documents such as certificates.
+// It only uses the standard Helvetica fonts, which every PDF reader has, so
+// nothing needs embedding. Text is WinAnsi (Latin-1); other characters print as "?".
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' },
+  italic: { key: 'F3', name: 'Helvetica-Oblique' }
+};
+
+// Glyph widths (1/1000 em) of characters 32-126; the oblique font shares Helvetica's
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_WIDTH = 556;
+
+// Latin-1 text with anything outside it replaced
+const toWinAnsi = (text) => String(text == null ? '' : text)
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (text) => text.replace(/[\\()]/g, '\\$&');
+
+const toRgb = (hex) => {
+  const value = /^#?([\da-f]{6})$/i.exec(hex || '') ? hex.replace('#', '') : '000000';
+  return [0, 2, 4].map(i => (parseInt(value.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Width of `text` in points at font size `size`
+const textWidth = (text, size, font = 'regular') => {
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return total * size / 1000;
+};
+
+// Break text into lines no wider than `maxWidth`
+const wrapText = (text, maxWidth, size, font = 'regular') => {
+  const lines = [];
+  String(text || '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size, font) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// A page to draw on, A4 landscape by default. Positions are in points with
+// y measured from the top of the page.
+const createPage = ({ width = 842, height = 595 } = {}) => {
+  const ops = [];
+  const flipY = (y) => round(height - y);
+
+  return {
+    width,
+    height,
+
+    // Draw text with its baseline at y; `align` positions it relative to x
+    text(text, x, y, { size = 12, font = 'regular', color = '#000000', align = 'left' } = {}) {
+      const width = textWidth(text, size, font);
+      const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+      ops.push(`BT /${FONTS[font].key} ${size} Tf ${toRgb(color)} rg ${round(left)} ${flipY(y)} Td (${escapeText(toWinAnsi(text))}) Tj ET`);
+    },
+
+    // Draw wrapped text and return the y below its last line
+    paragraph(text, x, y, maxWidth, { size = 12, lineHeight = size * 1.4, ...options } = {}) {
+      const lines = wrapText(text, maxWidth, size, options.font);
+      lines.forEach((line, i) => this.text(line, x, y + i * lineHeight, { size, ...options }));
+      return y + lines.length * lineHeight;
+    },
+
+    rect(x, y, width, height, { fill, stroke, lineWidth = 1 } = {}) {
+      const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+      ops.push([
+        fill ? `${toRgb(fill)} rg` : '',
+        stroke ? `${toRgb(stroke)} RG ${lineWidth} w` : '',
+        `${round(x)} ${flipY(y + height)} ${round(width)} ${round(height)} re ${paint}`
+      ].filter(Boolean).join(' '));
+    },
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+      ops.push(`${toRgb(color)} RG ${lineWidth} w ${round(x1)} ${flipY(y1)} m ${round(x2)} ${flipY(y2)} l S`);
+    },
+
+    // Draw a QR code for `value` as a `size`-point square with its top left at x, y
+    qrCode(value, x, y, size, { color = '#000000' } = {}) {
+      const { modules } = QRCode.create(value, { errorCorrectionLevel: 'M' });
+      const cell = size / modules.size;
+      const cells = [];
+      for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+          if (modules.get(row, col)) {
+            cells.push(`${round(x + col * cell)} ${flipY(y + (row + 1) * cell)} ${round(cell)} ${round(cell)} re`);
+          }
+        }
+      }
+      ops.push(`${toRgb(color)} rg ${cells.join(' ')} f`);
+    },
+
+    // The finished PDF file
+    toBuffer({ title = '', author = '' } = {}) {
+      const content = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+      const fontIds = {};
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        null, // page, added once the font objects are numbered
+        null // content stream
+      ];
+      Object.values(FONTS).forEach(font => {
+        objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+        fontIds[font.key] = objects.length;
+      });
+      const fontRefs = Object.entries(fontIds).map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+      objects[2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /Font << ${fontRefs} >> >> /Contents 4 0 R >>`;
+      objects[3] = Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+      objects.push(`<< /Title (${escapeText(toWinAnsi(title))}) /Author (${escapeText(toWinAnsi(author))}) /Producer (SevaSetu) >>`);
+      const infoId = objects.length;
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let length = chunks[0].length;
+      const offsets = objects.map((object, i) => {
+        const offset = length;
+        const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF'
+      ].join('\n');
+      chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+      return Buffer.concat(chunks);
+    }
+  };
+};
+
+module.exports = {
+  createPage,
+  textWidth,
+  wrapText
+};
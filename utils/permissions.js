@@ -0,0 +1,179 @@
+const NGO = require('../models/NGO');
+const Project = require('../models/Project');
+
+// Central access policy. Actions are named `resource:action`.
+// A user may perform an action when any of these grant it:
+//   1. their platform role (ROLE_PERMISSIONS)
+//   2. their own relationship to the resource, e.g. the assigned volunteer (SELF_RULES)
+//   3. their team role in the NGO that owns the resource (NGO_PERMISSIONS, see NGO MEMBER_PERMISSIONS)
+// Partner API keys act as their own principal instead (see apiKeyPrincipal).
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  moderator: [
+    'admin:access',
+    'admin:dashboard',
+    'ngo:list-all',
+    'ngo:verify',
+    'project:list-all',
+    'project:approve'
+  ],
+  ngo: ['ngo:register'],
+  volunteer: []
+};
+
+const isSameUser = (ref, user) => Boolean(ref && (ref._id || ref).equals(user._id));
+
+const SELF_RULES = {
+  'task:view': (user, task) => isSameUser(task.assignedTo, user),
+  'task:update-progress': (user, task) => isSameUser(task.assignedTo, user),
+  'task:complete': (user, task) => isSameUser(task.assignedTo, user),
+  'ngo:transfer-ownership': (user, ngo) => isSameUser(ngo.owner, user)
+};
+
+const NGO_PERMISSIONS = {
+  'ngo:view-members': 'view',
+  'ngo:manage-members': 'manage-members',
+  'ngo:manage-api-keys': 'manage-members',
+  'ngo:manage-certificates': 'manage-members',
+  'project:create': 'manage-projects',
+  'project:update': 'manage-projects',
+  'project:manage-milestones': 'manage-projects',
+  'shift:manage': 'manage-projects',
+  'shift:view-roster': 'view',
+  'attendance:manage': 'manage-volunteers',
+  'hours:view': 'view',
+  'hours:review': 'manage-volunteers',
+  'certificate:view': 'view',
+  'certificate:manage': 'manage-volunteers',
+  'volunteer:review': 'manage-volunteers',
+  'task:view': 'view',
+  'task:create': 'manage-tasks',
+  'task:update': 'manage-tasks',
+  'task:assign': 'manage-tasks',
+  'task:update-progress': 'manage-tasks',
+  'task:complete': 'manage-tasks',
+  'task:manage-deliverables': 'manage-tasks'
+};
+
+// All an API key may do beyond reading public data. NGO keys are limited to
+// their NGO's resources; platform keys (created by admins) reach every NGO.
+const API_KEY_PERMISSIONS = ['task:view', 'task:list-all'];
+
+const getModelName = (doc) => doc && doc.constructor && doc.constructor.modelName;
+
+// Load the NGO (with its team) that owns an NGO, Project, Task, Shift or Certificate document
+const resolveNGO = async (resource) => {
+  let ngoRef = null;
+
+  switch (getModelName(resource)) {
+    case 'NGO':
+      if (Array.isArray(resource.members) && resource.isSelected('members')) return resource;
+      ngoRef = resource._id;
+      break;
+    case 'Project':
+    case 'Certificate':
+      ngoRef = resource.ngo;
+      break;
+    case 'Task':
+    case 'Shift': {
+      const projectRef = resource.project;
+      if (projectRef && projectRef.ngo) {
+        ngoRef = projectRef.ngo;
+      } else if (projectRef) {
+        const project = await Project.findById(projectRef._id || projectRef).select('ngo');
+        ngoRef = project && project.ngo;
+      }
+      break;
+    }
+    default:
+      return null;
+  }
+
+  if (!ngoRef) return null;
+  return NGO.findById(ngoRef._id || ngoRef).select('members owner');
+};
+
+// The identity a request made with an API key acts as: the key's NGO, or the
+// platform for keys without one, never the person who created the key
+const apiKeyPrincipal = (apiKey) => ({
+  _id: apiKey._id,
+  id: String(apiKey._id),
+  name: apiKey.name,
+  role: 'api-key',
+  isActive: true,
+  isVerified: true,
+  apiKey
+});
+
+const apiKeyCan = async (apiKey, action, resource) => {
+  if (!API_KEY_PERMISSIONS.includes(action)) return false;
+  if (!apiKey.ngo) return true;
+  if (!resource) return false;
+
+  const ngo = await resolveNGO(resource);
+  return Boolean(ngo && ngo._id.equals(apiKey.ngo));
+};
+
+// Check whether a user may perform an action, optionally on a specific resource
+const can = async (user, action, resource = null) => {
+  if (!user) return false;
+  if (user.apiKey) return apiKeyCan(user.apiKey, action, resource);
+
+  const granted = ROLE_PERMISSIONS[user.role] || [];
+  if (granted.includes('*') || granted.includes(action)) return true;
+
+  if (!resource) return false;
+
+  const selfRule = SELF_RULES[action];
+  if (selfRule && selfRule(user, resource)) return true;
+
+  const memberPermission = NGO_PERMISSIONS[action];
+  if (memberPermission) {
+    const ngo = await resolveNGO(resource);
+    return Boolean(ngo && ngo.hasMemberPermission(user._id, memberPermission));
+  }
+
+  return false;
+};
+
+// Query conditions limiting tasks to those a user may see: their own assignments
+// and tasks in projects of the NGOs they belong to. Null when they may see every task.
+const taskAccessFilter = async (user) => {
+  if (await can(user, 'task:list-all')) return null;
+
+  const ngoIds = user.apiKey
+    ? [user.apiKey.ngo]
+    : (await NGO.findByMember(user._id).select('_id')).map(n => n._id);
+  const ngoProjects = await Project.find({ ngo: { $in: ngoIds } }).select('_id');
+  return {
+    $or: [
+      { assignedTo: user._id },
+      { project: { $in: ngoProjects.map(p => p._id) } }
+    ]
+  };
+};
+
+// Middleware for actions that don't depend on a particular resource
+const authorize = (action) => async (req, res, next) => {
+  try {
+    if (await can(req.user, action)) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You do not have permission to perform this action.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  apiKeyPrincipal,
+  can,
+  authorize,
+  taskAccessFilter
+};
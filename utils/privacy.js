@@ -0,0 +1,189 @@
+const User = require('../models/User');
+const NGO = require('../models/NGO');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const HourLog = require('../models/HourLog');
+const Certificate = require('../models/Certificate');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+
+// Text left in place of task updates written by a deleted user
+const REMOVED_CONTENT = '[removed at the request of the user]';
+
+// Fields that are secrets rather than personal data and never leave the server
+const EXPORT_EXCLUDED_FIELDS = [
+  '-password',
+  '-passwordHistory',
+  '-verificationToken',
+  '-passwordResetToken',
+  '-unlockToken',
+  '-twoFactor.secret',
+  '-twoFactor.pendingSecret',
+  '-twoFactor.recoveryCodes',
+  '-twoFactor.lastUsedStep'
+].join(' ');
+
+// Collect everything stored about a user into a single JSON-serialisable archive
+const buildUserExport = async (userId) => {
+  const user = await User.findById(userId)
+    .select(EXPORT_EXCLUDED_FIELDS)
+    .populate('points.earned.project', 'title')
+    .lean();
+
+  if (!user) return null;
+
+  const [ngos, projects, assignedTasks, updatedTasks, hourLogs, certificates, sessions] = await Promise.all([
+    NGO.find({
+      $or: [
+        { owner: userId },
+        { 'members.user': userId },
+        { 'rating.reviews.user': userId },
+        { 'followers.user': userId }
+      ]
+    }).select('name owner members rating.reviews followers').lean(),
+    Project.find({ 'volunteers.user': userId }).select('title volunteers').lean(),
+    Task.find({ assignedTo: userId })
+      .select('title description project status priority timeline progress.percentage deliverables feedback points')
+      .populate('project', 'title')
+      .lean(),
+    Task.find({ 'progress.updates.updatedBy': userId }).select('title progress.updates').lean(),
+    HourLog.find({ volunteer: userId })
+      .select('project task date hours description source status approvedHours review.at review.note')
+      .populate('project', 'title')
+      .lean(),
+    Certificate.find({ volunteer: userId })
+      .select('certificateId projectTitle ngoName role hours serviceStart serviceEnd status issuedAt revokedAt revocationReason')
+      .lean(),
+    Session.find({ user: userId }).select('device userAgent ip lastUsedAt expiresAt revokedAt createdAt').lean()
+  ]);
+
+  const isUser = (ref) => Boolean(ref && ref.equals(userId));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account: user,
+    ngoMemberships: ngos
+      .map(ngo => ({ ngo, member: (ngo.members || []).find(member => isUser(member.user)) }))
+      .filter(({ ngo, member }) => member || isUser(ngo.owner))
+      .map(({ ngo, member }) => ({
+        ngo: { id: ngo._id, name: ngo.name },
+        role: member ? member.role : 'owner',
+        joinedDate: member && member.joinedDate
+      })),
+    ngoReviews: ngos.flatMap(ngo => ((ngo.rating && ngo.rating.reviews) || [])
+      .filter(review => isUser(review.user))
+      .map(({ rating, comment, date }) => ({ ngo: { id: ngo._id, name: ngo.name }, rating, comment, date }))),
+    ngoFollows: ngos.flatMap(ngo => (ngo.followers || [])
+      .filter(follower => isUser(follower.user))
+      .map(({ followDate }) => ({ ngo: { id: ngo._id, name: ngo.name }, followDate }))),
+    projectParticipation: projects.map(project => {
+      const { user, ...entry } = project.volunteers.find(volunteer => isUser(volunteer.user));
+      return { project: { id: project._id, title: project.title }, ...entry };
+    }),
+    assignedTasks,
+    taskUpdates: updatedTasks.flatMap(task => task.progress.updates
+      .filter(update => isUser(update.updatedBy))
+      .map(({ message, date, attachments }) => ({ task: { id: task._id, title: task.title }, message, date, attachments }))),
+    hourLogs,
+    certificates,
+    sessions
+  };
+};
+
+// Remove a user's personal data everywhere it is stored. Records that feed
+// aggregate figures (volunteer entries, ratings, follower entries, points) are
+// kept and simply point at the anonymised account.
+const anonymiseUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) return null;
+
+  const email = user.email;
+
+  await Promise.all([
+    Project.updateMany(
+      { 'volunteers.user': userId },
+      {
+        $unset: {
+          'volunteers.$[entry].feedback.comment': '',
+          'volunteers.$[entry].application': '',
+          'volunteers.$[entry].notes': '',
+          'volunteers.$[entry].history.$[].note': ''
+        }
+      },
+      { arrayFilters: [{ 'entry.user': userId }] }
+    ),
+    Task.updateMany(
+      { 'progress.updates.updatedBy': userId },
+      {
+        $set: {
+          'progress.updates.$[update].message': REMOVED_CONTENT,
+          'progress.updates.$[update].attachments': []
+        }
+      },
+      { arrayFilters: [{ 'update.updatedBy': userId }] }
+    ),
+    Task.updateMany({ assignedTo: userId }, { $unset: { 'feedback.comment': '' } }),
+    HourLog.updateMany({ volunteer: userId }, { $set: { description: REMOVED_CONTENT } }),
+    // Certificates can be checked by anyone with the ID, so they stop naming or vouching for the user
+    Certificate.updateMany(
+      { volunteer: userId },
+      [{
+        $set: {
+          volunteerName: 'Deleted User',
+          status: 'revoked',
+          revokedAt: { $ifNull: ['$revokedAt', '$$NOW'] },
+          revocationReason: { $ifNull: ['$revocationReason', 'Volunteer account deleted'] }
+        }
+      }]
+    ),
+    NGO.updateMany(
+      { 'rating.reviews.user': userId },
+      { $unset: { 'rating.reviews.$[review].comment': '' } },
+      { arrayFilters: [{ 'review.user': userId }] }
+    ),
+    NGO.updateMany(
+      { $or: [{ 'members.user': userId }, { 'invitations.email': email }] },
+      { $pull: { members: { user: userId }, invitations: { email } } }
+    ),
+    Session.deleteMany({ user: userId })
+  ]);
+
+  user.anonymise();
+  await user.save();
+
+  await AuditLog.record(null, { action: 'user:anonymise', target: user });
+
+  return user;
+};
+
+// Anonymise every account whose deletion grace period has ended
+const processDueDeletions = async () => {
+  const dueUsers = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    deletedAt: null
+  }).select('_id');
+
+  let processed = 0;
+  for (const { _id } of dueUsers) {
+    // An NGO can't be left without an owner; the deletion waits until ownership is transferred
+    if (await NGO.exists({ owner: _id })) {
+      console.warn(`Account deletion for ${_id} postponed: user still owns an NGO`);
+      continue;
+    }
+
+    try {
+      await anonymiseUser(_id);
+      processed += 1;
+    } catch (error) {
+      console.error(`Account deletion for ${_id} failed:`, error);
+    }
+  }
+
+  return processed;
+};
+
+module.exports = {
+  buildUserExport,
+  anonymiseUser,
+  processDueDeletions
+};
@@ -0,0 +1,160 @@
+const { SKILL_LEVELS } = require('../models/Project');
+
+// Ranks projects for a volunteer with a simple weighted score. Each factor
+// scores 0-1 and explains itself, so the volunteer can see why a project was
+// suggested; the total is out of 100.
+
+const WEIGHTS = {
+  skills: 30,
+  interests: 25,
+  distance: 20,
+  schedule: 15,
+  urgency: 10
+};
+
+const PRIORITY_SCORES = { low: 0.25, medium: 0.5, high: 0.75, urgent: 1 };
+
+const sameText = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Required skills count double; a skill held below the asked level counts half
+const scoreSkills = (project, user) => {
+  const skills = project.requirements.skills || [];
+  if (skills.length === 0) {
+    return { score: 0.5, reason: 'No specific skills needed' };
+  }
+
+  let earned = 0;
+  let possible = 0;
+  const matched = [];
+  const missing = [];
+
+  skills.forEach(skill => {
+    const weight = skill.required ? 2 : 1;
+    const userSkill = (user.skills || []).find(s => sameText(s.name, skill.name));
+    possible += weight;
+
+    if (userSkill && SKILL_LEVELS.indexOf(userSkill.level) >= SKILL_LEVELS.indexOf(skill.level)) {
+      earned += weight;
+      matched.push(skill.name);
+    } else if (userSkill) {
+      earned += weight / 2;
+      missing.push(`${skill.name} (${skill.level})`);
+    } else {
+      missing.push(skill.name);
+    }
+  });
+
+  const reason = [
+    matched.length > 0 ? `You have ${matched.join(', ')}` : null,
+    missing.length > 0 ? `Looking for ${missing.join(', ')}` : null
+  ].filter(Boolean).join('; ');
+
+  return { score: earned / possible, reason };
+};
+
+const scoreInterests = (project, user) => {
+  const interests = user.interests || [];
+  if (interests.length === 0) {
+    return { score: 0.5, reason: 'Add interests to your profile for better matches' };
+  }
+
+  if (interests.includes(project.category)) {
+    return { score: 1, reason: `Matches your interest in ${project.category}` };
+  }
+
+  const tags = (project.tags || []).filter(tag => interests.includes(tag));
+  if (tags.length > 0) {
+    return { score: 0.5, reason: `Tagged ${tags.join(', ')}, which you're interested in` };
+  }
+
+  return { score: 0, reason: `${project.category} is outside your listed interests` };
+};
+
+// Locality by city and state until volunteers have coordinates
+const scoreDistance = (project, user) => {
+  const address = (user.profile && user.profile.address) || {};
+  const { city, state } = project.location || {};
+
+  if (!address.city) {
+    return { score: 0.5, reason: 'Add your city to your profile to find nearby projects' };
+  }
+  if (sameText(address.city, city)) {
+    return { score: 1, reason: `In your city (${city})` };
+  }
+  if (sameText(address.state, state)) {
+    return { score: 0.5, reason: `In ${city}, in your state` };
+  }
+  return { score: 0, reason: `In ${city}, ${state}` };
+};
+
+// Averages day overlap and weekly hours, using whichever both sides specify
+const scoreSchedule = (project, user) => {
+  const { days: projectDays = [], hoursPerWeek } = project.requirements.timeCommitment || {};
+  const availability = user.availability || {};
+  const parts = [];
+  const reasons = [];
+
+  if (projectDays.length > 0 && (availability.days || []).length > 0) {
+    const overlap = projectDays.filter(day => availability.days.includes(day));
+    parts.push(overlap.length / projectDays.length);
+    reasons.push(overlap.length > 0
+      ? `You're free on ${overlap.length} of its ${projectDays.length} days`
+      : `Runs on ${projectDays.join(', ')}, when you're not available`);
+  }
+
+  if (hoursPerWeek && availability.hoursPerWeek != null) {
+    parts.push(Math.min(availability.hoursPerWeek / hoursPerWeek, 1));
+    reasons.push(availability.hoursPerWeek >= hoursPerWeek
+      ? `Needs ${hoursPerWeek} hours a week, within your availability`
+      : `Needs ${hoursPerWeek} hours a week; you have ${availability.hoursPerWeek}`);
+  }
+
+  if (parts.length === 0) {
+    return { score: 0.5, reason: 'No schedule to compare yet' };
+  }
+
+  return { score: parts.reduce((sum, part) => sum + part, 0) / parts.length, reason: reasons.join('; ') };
+};
+
+const scoreUrgency = (project) => ({
+  score: PRIORITY_SCORES[project.priority] || PRIORITY_SCORES.medium,
+  reason: `${project.priority || 'medium'} priority`
+});
+
+const FACTORS = {
+  skills: scoreSkills,
+  interests: scoreInterests,
+  distance: scoreDistance,
+  schedule: scoreSchedule,
+  urgency: scoreUrgency
+};
+
+// Score one project for a user; returns the total and each factor's share of it
+const scoreProject = (project, user) => {
+  const breakdown = Object.entries(FACTORS).map(([factor, scoreFactor]) => {
+    const { score, reason } = scoreFactor(project, user);
+    return {
+      factor,
+      weight: WEIGHTS[factor],
+      score: Math.round(score * 100) / 100,
+      points: Math.round(score * WEIGHTS[factor] * 10) / 10,
+      reason
+    };
+  });
+
+  return {
+    score: Math.round(breakdown.reduce((sum, item) => sum + item.points, 0)),
+    breakdown
+  };
+};
+
+// Rank projects for a user, best first
+const rankProjects = (projects, user) => projects
+  .map(project => ({ project, ...scoreProject(project, user) }))
+  .sort((a, b) => b.score - a.score || b.project.createdAt - a.project.createdAt);
+
+module.exports = {
+  WEIGHTS,
+  scoreProject,
+  rankProjects
+};
@@ -0,0 +1,114 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const ScheduledJob = require('../models/ScheduledJob');
+
+// Runs background jobs on a schedule kept in MongoDB (see ScheduledJob). Every
+// server instance polls; whichever claims a due job first runs it. Jobs missed
+// while the server was down run on the first poll after it starts.
+
+const POLL_INTERVAL = 60 * 1000; // 1 minute
+const DEFAULT_LOCK_MINUTES = 30;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+let polling = false;
+let timer = null;
+
+// Next run time after `from`: `every` milliseconds later, or the next `dailyAt` ("HH:MM", server time)
+const getNextRunAt = ({ every, dailyAt }, from = new Date()) => {
+  if (every) return new Date(from.getTime() + every);
+
+  const [hours, minutes] = dailyAt.split(':').map(Number);
+  const next = new Date(from);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+};
+
+// Add a job. `run` is an async function whose return value is stored as the run's result.
+const defineJob = (name, { every, dailyAt, lockMinutes = DEFAULT_LOCK_MINUTES }, run) => {
+  if (!every && !/^\d{2}:\d{2}$/.test(dailyAt || '')) {
+    throw new Error(`Job ${name} needs an interval or a daily "HH:MM" time`);
+  }
+  jobs.set(name, { name, every, dailyAt, lockMs: lockMinutes * 60 * 1000, run });
+};
+
+const runJob = async (job, record) => {
+  let result;
+  let error;
+  try {
+    result = await job.run();
+  } catch (err) {
+    error = err;
+    console.error(`Scheduled job ${job.name} failed:`, err);
+  }
+
+  await record.finish({ nextRunAt: getNextRunAt(job), result, error });
+};
+
+// Claim and run every due job, one at a time
+const poll = async () => {
+  if (polling || mongoose.connection.readyState !== 1) return;
+  polling = true;
+
+  try {
+    for (const job of jobs.values()) {
+      // Interval jobs are due straight away the first time; daily jobs wait for their time
+      await ScheduledJob.register(job.name, job.every ? new Date() : getNextRunAt(job));
+
+      const record = await ScheduledJob.claim(job.name, INSTANCE_ID, job.lockMs);
+      if (record) await runJob(job, record);
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+const startScheduler = () => {
+  if (timer) return;
+  timer = setInterval(poll, POLL_INTERVAL);
+  timer.unref();
+
+  if (mongoose.connection.readyState === 1) {
+    poll();
+  } else {
+    mongoose.connection.once('connected', poll);
+  }
+};
+
+// Jobs with their stored state, for the admin panel
+const getJobStatuses = async () => {
+  const records = await ScheduledJob.find({ name: { $in: [...jobs.keys()] } }).lean();
+
+  return [...jobs.values()].map(job => {
+    const record = records.find(r => r.name === job.name) || {};
+    return {
+      name: job.name,
+      schedule: job.every ? { every: job.every } : { dailyAt: job.dailyAt },
+      nextRunAt: record.nextRunAt,
+      lastRunAt: record.lastRunAt,
+      lastFinishedAt: record.lastFinishedAt,
+      lastDurationMs: record.lastDurationMs,
+      lastResult: record.lastResult,
+      lastError: record.lastError,
+      runCount: record.runCount || 0,
+      failureCount: record.failureCount || 0,
+      running: Boolean(record.lockedUntil && record.lockedUntil > new Date())
+    };
+  });
+};
+
+// Make a job due now; the next poll runs it
+const runJobSoon = async (name) => {
+  if (!jobs.has(name)) return null;
+  return ScheduledJob.findOneAndUpdate({ name }, { nextRunAt: new Date() }, { new: true, upsert: true });
+};
+
+module.exports = {
+  defineJob,
+  startScheduler,
+  getJobStatuses,
+  runJobSoon
+};
@@ -0,0 +1,195 @@
+const Project = require('../models/Project');
+const NGO = require('../models/NGO');
+const Task = require('../models/Task');
+const { taskAccessFilter } = require('./permissions');
+
+// Full-text search across projects, NGOs and tasks. Each collection has a
+// weighted text index (see the models), so MongoDB handles stemming and ranking;
+// this module adds filters, facet counts and highlighted snippets on top.
+
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match, for filters on free-text fields like city
+const exactText = (value) => new RegExp(`^${escapeRegExp(String(value).trim())}$`, 'i');
+
+// What each type searches, how it can be filtered and which facets it counts.
+// `filters` map query parameters to document fields.
+const SEARCH_TYPES = {
+  projects: {
+    model: Project,
+    baseQuery: async () => Project.publicFilter(),
+    filters: {
+      category: { field: 'category' },
+      city: { field: 'location.city', match: exactText },
+      status: { field: 'status' }
+    },
+    facets: { category: 'category', city: 'location.city', status: 'status' },
+    snippetFields: ['shortDescription', 'description'],
+    titleField: 'title',
+    project: { 'volunteers.application': 0, 'volunteers.notes': 0, 'volunteers.history': 0 },
+    populate: { path: 'ngo', select: 'name logo verification.status' }
+  },
+  ngos: {
+    model: NGO,
+    baseQuery: async () => NGO.publicFilter(),
+    filters: {
+      focusArea: { field: 'focusAreas' },
+      city: { field: 'address.city', match: exactText }
+    },
+    facets: { focusArea: 'focusAreas', city: 'address.city' },
+    snippetFields: ['mission', 'description'],
+    titleField: 'name',
+    project: { documents: 0, bankDetails: 0, 'verification.rejectionReason': 0, invitations: 0 }
+  },
+  tasks: {
+    model: Task,
+    // Tasks are private to the people working on them
+    baseQuery: async (user) => {
+      const accessFilter = await taskAccessFilter(user);
+      return accessFilter ? { $and: [accessFilter] } : {};
+    },
+    requiresUser: true,
+    filters: {
+      category: { field: 'category' },
+      status: { field: 'status' }
+    },
+    facets: { category: 'category', status: 'status' },
+    snippetFields: ['description'],
+    titleField: 'title',
+    populate: { path: 'project', select: 'title' }
+  }
+};
+
+// Rough English stem, enough to highlight "teaching" for a search for "teachers"
+const stem = (word) => {
+  const stemmed = word.replace(/(ing|ers|er|ed|es|s|ly|ion|ions)$/, '');
+  return stemmed.length >= 3 ? stemmed : word;
+};
+
+const termsOf = (query) => [...new Set((String(query).toLowerCase().match(/[a-z0-9]+/g) || [])
+  .filter(word => word.length >= 2)
+  .map(stem))];
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// HTML-escaped text with matching words wrapped in <mark>
+const highlight = (text, terms) => {
+  if (terms.length === 0) return escapeHtml(text);
+  const pattern = new RegExp(`\\b((?:${terms.map(escapeRegExp).join('|')})[a-z0-9]*)`, 'gi');
+  return text.split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+// A window of text around the first match, highlighted. Falls back to the
+// start of the first non-empty field when no field contains a match.
+const buildSnippet = (doc, fields, terms) => {
+  const pattern = terms.length > 0
+    ? new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})`, 'i')
+    : null;
+  const texts = fields.map(field => doc.get(field)).filter(text => typeof text === 'string' && text.trim());
+  if (texts.length === 0) return '';
+
+  let text = texts[0];
+  let position = 0;
+  if (pattern) {
+    const matching = texts.find(t => pattern.test(t));
+    if (matching) {
+      text = matching;
+      position = matching.search(pattern);
+    }
+  }
+
+  let start = Math.max(0, position - Math.floor(SNIPPET_LENGTH / 3));
+  // Start on a word boundary
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < position ? space + 1 : start;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return `${start > 0 ? '…' : ''}${highlight(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+};
+
+// Run a ranked text search over one type.
+// Returns { items, total, facets } where items carry `score` and `highlights`.
+const searchType = async (type, query, { user, filters = {}, skip = 0, limit = 10 } = {}) => {
+  const config = SEARCH_TYPES[type];
+  const match = { ...(await config.baseQuery(user)), $text: { $search: query } };
+
+  // Filters narrow the base query rather than replace it, so a status filter
+  // can't reach past the statuses the public may see
+  Object.entries(config.filters).forEach(([name, { field, match: toCondition }]) => {
+    if (filters[name]) {
+      const value = String(filters[name]);
+      match.$and = [...(match.$and || []), { [field]: toCondition ? toCondition(value) : value }];
+    }
+  });
+
+  const facets = {};
+  Object.entries(config.facets).forEach(([name, field]) => {
+    facets[name] = [
+      { $unwind: `$${field}` },
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 20 }
+    ];
+  });
+
+  const itemsPipeline = [{ $sort: { score: -1, _id: 1 } }, { $skip: skip }, { $limit: limit }];
+  if (config.project) itemsPipeline.push({ $project: config.project });
+
+  const [result] = await config.model.aggregate([
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        items: itemsPipeline,
+        total: [{ $count: 'count' }],
+        ...facets
+      }
+    }
+  ]);
+
+  const scores = new Map();
+  let docs = result.items.map(({ score, ...doc }) => {
+    scores.set(String(doc._id), Math.round(score * 100) / 100);
+    return config.model.hydrate(doc);
+  });
+  if (config.populate) {
+    docs = await config.model.populate(docs, config.populate);
+  }
+
+  const terms = termsOf(query);
+  const items = docs.map(doc => ({
+    ...doc.toJSON(),
+    score: scores.get(String(doc._id)),
+    highlights: {
+      [config.titleField]: highlight(doc.get(config.titleField) || '', terms),
+      snippet: buildSnippet(doc, config.snippetFields, terms)
+    }
+  }));
+
+  return {
+    items,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: Object.fromEntries(Object.keys(config.facets).map(name => [
+      name,
+      result[name].map(({ _id, count }) => ({ value: _id, count }))
+    ]))
+  };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  escapeRegExp,
+  searchType
+};
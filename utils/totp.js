@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// RFC 6238 time-based one-time passwords, compatible with authenticator apps
+const TOTP_STEP = 30; // seconds
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step either side for clock drift
+const ISSUER = 'SevaSetu';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a new shared secret (base32, as authenticator apps expect)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getCurrentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP);
+
+const generateCode = (secret, step = getCurrentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Check a code against the secret; returns the matching time step or null.
+// Steps at or before `lastUsedStep` are rejected so a code can't be replayed.
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+  const current = getCurrentStep();
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI and QR code image for enrolling an authenticator app
+const getEnrolment = async (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getEnrolment
+};
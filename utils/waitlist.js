@@ -0,0 +1,72 @@
+const Project = require('../models/Project');
+const NGO = require('../models/NGO');
+const User = require('../models/User');
+const { sendWaitlistOfferEmail, sendApplicationStatusEmail } = require('./email');
+
+const getNGOName = async (project) => {
+  if (project.ngo && project.ngo.name) return project.ngo.name;
+  const ngo = await NGO.findById(project.ngo).select('name');
+  return ngo ? ngo.name : 'The NGO';
+};
+
+// Email each volunteer in `entries`; failures are only logged
+const notifyVolunteers = async (project, entries, send) => {
+  if (entries.length === 0) return;
+
+  const ngoName = await getNGOName(project);
+  const users = await User.find({ _id: { $in: entries.map(entry => entry.user) } }).select('name email');
+
+  await Promise.all(entries.map(async entry => {
+    const user = users.find(u => u._id.equals(entry.user));
+    if (!user) return;
+
+    try {
+      await send(user, entry, ngoName);
+    } catch (emailError) {
+      console.error('Failed to send waitlist email:', emailError);
+    }
+  }));
+};
+
+// Offer any open spots to the front of the waitlist and email the volunteers.
+// Saves the project when offers are made; returns the new offers.
+const fillOpenSpots = async (project) => {
+  const offers = project.offerOpenSpots();
+  if (offers.length === 0) return offers;
+
+  await project.save();
+  await notifyVolunteers(project, offers, (user, entry, ngoName) =>
+    sendWaitlistOfferEmail(user.email, user.name, project.title, ngoName, entry.offer.expiresAt));
+
+  return offers;
+};
+
+// Expire unconfirmed offers and pass the spots on to the next volunteers
+const processExpiredOffers = async () => {
+  const now = new Date();
+  const projects = await Project.find({
+    volunteers: { $elemMatch: { status: 'offered', 'offer.expiresAt': { $lte: now } } }
+  }).populate('ngo', 'name');
+
+  let expiredCount = 0;
+  for (const project of projects) {
+    try {
+      const expired = project.expireOffers(now);
+      await project.save();
+      expiredCount += expired.length;
+
+      await notifyVolunteers(project, expired, (user, entry, ngoName) =>
+        sendApplicationStatusEmail(user.email, user.name, project.title, ngoName, project.getStatusLabel('expired'), 'expired'));
+      await fillOpenSpots(project);
+    } catch (error) {
+      console.error(`Waitlist offer expiry for project ${project._id} failed:`, error);
+    }
+  }
+
+  return expiredCount;
+};
+
+module.exports = {
+  fillOpenSpots,
+  processExpiredOffers
+};
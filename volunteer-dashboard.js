@@ -6,9 +6,10 @@ class VolunteerDashboard {
         this.init();
     }
 
-    init() {
+    async init() {
         // Check authentication and role
-        this.checkAuth();
+        const authorized = await this.checkAuth();
+        if (!authorized) return;
         
         // Load user data
         this.loadUserData();
@@ -20,15 +21,22 @@ class VolunteerDashboard {
         this.showVolunteerSection('overview');
     }
 
-    checkAuth() {
-        const user = JSON.parse(localStorage.getItem('sevasetu_user') || '{}');
+    async checkAuth() {
+        const user = await verifySession();
         
-        if (!user.id || user.role !== 'volunteer' || !user.isVerified) {
+        if (!user) {
             window.location.href = 'auth.html';
-            return;
+            return false;
+        }
+        
+        const dashboardUrl = getDashboardUrl(user);
+        if (dashboardUrl !== 'volunteer-dashboard.html') {
+            window.location.href = dashboardUrl;
+            return false;
         }
         
         this.currentUser = user;
+        return true;
     }
 
     loadUserData() {
@@ -162,9 +170,83 @@ class VolunteerDashboard {
         }
     }
 
-    loadAvailableProjects() {
-        // In real app, this would fetch from API
-        console.log('Loading available projects...');
+    async loadAvailableProjects() {
+        const grid = document.getElementById('availableProjects');
+        if (!grid) return;
+
+        try {
+            const { data } = await apiRequest('/projects/recommended?limit=12');
+            grid.innerHTML = '';
+
+            if (data.recommendations.length === 0) {
+                const empty = document.createElement('p');
+                empty.textContent = 'No open projects match your profile right now. Check back soon!';
+                grid.appendChild(empty);
+                return;
+            }
+
+            data.recommendations.forEach(recommendation => {
+                grid.appendChild(this.createProjectCard(recommendation));
+            });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Card for a recommended project, with the reasons behind its match score
+    createProjectCard({ project, score, breakdown }) {
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        const card = element('div', 'project-card available');
+
+        const header = element('div', 'project-header');
+        header.appendChild(element('h3', null, project.title));
+        header.appendChild(element('span', 'project-match', `${score}% match`));
+        card.appendChild(header);
+
+        const ngo = element('div', 'project-ngo');
+        ngo.appendChild(element('i', 'fas fa-building'));
+        ngo.appendChild(element('span', null, project.ngo ? project.ngo.name : ''));
+        card.appendChild(ngo);
+
+        card.appendChild(element('p', null, project.shortDescription));
+
+        const meta = element('div', 'project-meta');
+        const { current, total } = project.requirements.volunteers;
+        [['fa-users', `${current}/${total} volunteers`], ['fa-map-marker-alt', project.location.city]]
+            .forEach(([icon, text]) => {
+                const item = element('span');
+                item.appendChild(element('i', `fas ${icon}`));
+                item.appendChild(document.createTextNode(` ${text}`));
+                meta.appendChild(item);
+            });
+        card.appendChild(meta);
+
+        const skills = element('div', 'project-skills');
+        (project.requirements.skills || []).forEach(skill => {
+            skills.appendChild(element('span', 'skill-tag', skill.name));
+        });
+        card.appendChild(skills);
+
+        const reasons = element('ul', 'match-reasons');
+        breakdown
+            .filter(item => item.points > 0)
+            .sort((a, b) => b.points - a.points)
+            .forEach(item => reasons.appendChild(element('li', null, item.reason)));
+        card.appendChild(reasons);
+
+        const actions = element('div', 'project-actions');
+        const applyButton = element('button', 'btn btn-small btn-primary', 'Apply Now');
+        applyButton.onclick = () => this.applyToProject(project._id, applyButton);
+        actions.appendChild(applyButton);
+        card.appendChild(actions);
+
+        return card;
     }
 
     loadMyProjects() {
@@ -187,20 +269,35 @@ class VolunteerDashboard {
         console.log('Loading messages...');
     }
 
-    applyToProject(projectId) {
-        // Simulate project application
+    // Apply with the volunteer's profile; projects with required questions say so in the error
+    async applyToProject(projectId, button = null) {
         const confirmation = confirm('Are you sure you want to apply for this project?');
-        
-        if (confirmation) {
-            // In real app, this would send application to API
-            alert('Application submitted successfully! The NGO will review your application and get back to you.');
-            
-            // Update UI to show application submitted
-            const applyButton = event.target;
-            applyButton.textContent = 'Application Sent';
-            applyButton.disabled = true;
-            applyButton.classList.remove('btn-primary');
-            applyButton.classList.add('btn-secondary');
+        if (!confirmation) return;
+
+        if (button) button.disabled = true;
+
+        try {
+            const { message, data } = await apiRequest(`/projects/${projectId}/apply`, {
+                method: 'POST',
+                body: {}
+            });
+
+            // Requirements set to warn are shown but don't stop the application
+            const warnings = (data.warnings || []).map(item => item.message);
+            this.showNotification([message, ...warnings].join(' '), 'success');
+
+            if (button) {
+                button.textContent = data.status === 'waitlisted' ? 'On Waitlist' : 'Application Sent';
+                button.classList.remove('btn-primary');
+                button.classList.add('btn-secondary');
+            }
+        } catch (error) {
+            const details = error.data && error.data.unmet
+                ? error.data.unmet.map(item => item.message)
+                : error.errors.map(item => (typeof item === 'string' ? item : item.msg));
+            this.showNotification([error.message, ...details].join(' '), 'error');
+
+            if (button) button.disabled = false;
         }
     }
 
@@ -266,11 +363,13 @@ class VolunteerDashboard {
         notification.className = `notification ${type}`;
         notification.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : 'info-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
             <button class="notification-close" onclick="this.parentElement.remove()">
                 <i class="fas fa-times"></i>
             </button>
         `;
+        // Messages can include text from project listings
+        notification.querySelector('span').textContent = message;
         
         // Add to page
         document.body.appendChild(notification);
@@ -298,10 +397,10 @@ class VolunteerDashboard {
         alert('Settings page coming soon!');
     }
 
-    logout() {
+    async logout() {
         const confirmation = confirm('Are you sure you want to logout?');
         if (confirmation) {
-            localStorage.removeItem('sevasetu_user');
+            await logoutSession();
             window.location.href = 'index.html';
         }
     }